@@ -0,0 +1,536 @@
+// airdrop.js – Airdrop eligibility checker and claims
+
+// Each airdrop is published as a campaign file: the Merkle root of its
+// allocations plus, per address, the amount and the proof that it is in
+// the tree (data/airdrop-campaign.schema.json).  tools/airdrop-merkle.js
+// builds one from the team's allocation CSV and GBonk.config.airdrop.url
+// lists them.  Anyone can paste an address, or use their connected
+// wallet, to see which airdrops it is in; each proof is checked here
+// against its campaign's root before it is shown as valid, and the claim
+// program checks it again on chain.  Hashing matches the tool:
+//
+//   leaf = sha256(0x00 | u64 index | 32‑byte address | u64 amount)
+//   node = sha256(0x01 | lesser child | greater child)
+//
+// with little‑endian integers and amounts in base units.
+//
+// Claims go through a "claim program" object with the same small
+// interface whether it talks to the real program or not:
+//
+//   isClaimed(campaign, claim)             → boolean
+//   buildClaim(claimant, campaign, claim)  → transaction for the wallet to sign
+//   send(transaction)                      → signature
+//
+// where `claim` is { address, index, amount, proof } from the campaign
+// file.  createOnChainProgram() implements it against the program ID in
+// GBonk.config.airdrop; createMockProgram() keeps claims in memory so the
+// whole flow can be tried out offline.
+(() => {
+  const GBonk = window.GBonk;
+  const t = (key, params) => GBonk.i18n.t(key, params);
+  const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+  const ASSOCIATED_TOKEN_PROGRAM_ID = 'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL';
+  const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
+  // First byte of the claim instruction's data.
+  const CLAIM_INSTRUCTION = 0;
+
+  // ---- Merkle proofs ----------------------------------------------------
+
+  function concat(parts) {
+    const bytes = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+    let offset = 0;
+    parts.forEach((part) => {
+      bytes.set(part, offset);
+      offset += part.length;
+    });
+    return bytes;
+  }
+
+  async function sha256(...parts) {
+    return new Uint8Array(await crypto.subtle.digest('SHA-256', concat(parts)));
+  }
+
+  function u64(value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setBigUint64(0, BigInt(value), true);
+    return bytes;
+  }
+
+  function fromHex(hex) {
+    return Uint8Array.from(hex.match(/../g) || [], (pair) => parseInt(pair, 16));
+  }
+
+  function toHex(bytes) {
+    return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  function compareBytes(a, b) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return a.length - b.length;
+  }
+
+  function leafHash(index, address, amount) {
+    return sha256(Uint8Array.of(0), u64(index), GBonk.base58.decode(address), u64(amount));
+  }
+
+  function nodeHash(a, b) {
+    return compareBytes(a, b) <= 0 ? sha256(Uint8Array.of(1), a, b) : sha256(Uint8Array.of(1), b, a);
+  }
+
+  // Whether `claim` is in `campaign`'s tree.  Resolves to true or false,
+  // or null when the browser has no WebCrypto (pages served over plain
+  // HTTP from anywhere but localhost).
+  async function verifyProof(campaign, claim) {
+    if (!window.crypto || !crypto.subtle) return null;
+    const address = GBonk.base58.decode(claim.address);
+    if (!address || address.length !== 32) return false;
+    let hash = await leafHash(claim.index, claim.address, claim.amount);
+    for (const sibling of claim.proof) {
+      hash = await nodeHash(hash, fromHex(sibling));
+    }
+    return toHex(hash) === campaign.root;
+  }
+
+  // 'upcoming', 'open' or 'ended'.
+  function campaignStatus(campaign, now = Date.now()) {
+    if (campaign.claimStart && now < Date.parse(campaign.claimStart)) return 'upcoming';
+    if (campaign.claimEnd && now >= Date.parse(campaign.claimEnd)) return 'ended';
+    return 'open';
+  }
+
+  // `address`'s allocation in `campaign`, or null if it has none.
+  function findClaim(campaign, address) {
+    const entry = campaign.claims[address];
+    return entry ? { address, index: entry.index, amount: entry.amount, proof: entry.proof } : null;
+  }
+
+  // Base units → whole tokens, for display.
+  function toTokens(amount, decimals) {
+    return Number(BigInt(amount)) / 10 ** decimals;
+  }
+
+  // ---- Claim programs ---------------------------------------------------
+
+  // Adapter for the deployed claim program, one distributor per campaign:
+  //
+  //   Distributor  PDA ["distributor", mint, root]
+  //   Vault        PDA ["vault", distributor] – token account holding the drop
+  //   Claim status PDA ["claim", distributor, u64 index] – exists once claimed
+  //
+  // Instruction data is the tag, then u64 index | u64 amount | u8 proof
+  // length | the proof's 32‑byte hashes.  The program creates the
+  // claimant's token account if it is missing.
+  function createOnChainProgram(programId, { rpc = GBonk.rpc.getClient() } = {}) {
+    const encoder = new TextEncoder();
+
+    function web3() {
+      if (!window.solanaWeb3) throw new Error('Solana web3.js is not loaded');
+      return window.solanaWeb3;
+    }
+
+    function key(address) {
+      return new (web3().PublicKey)(address);
+    }
+
+    function pda(seeds, program = programId) {
+      return web3().PublicKey.findProgramAddressSync(seeds, key(program))[0];
+    }
+
+    function addresses(campaign, claim, claimant) {
+      const mint = key(campaign.mint);
+      const distributor = pda([encoder.encode('distributor'), mint.toBytes(), fromHex(campaign.root)]);
+      const result = {
+        mint,
+        distributor,
+        vault: pda([encoder.encode('vault'), distributor.toBytes()]),
+        status: pda([encoder.encode('claim'), distributor.toBytes(), u64(claim.index)]),
+      };
+      if (claimant) {
+        result.claimant = key(claimant);
+        result.claimantTokens = pda(
+          [result.claimant.toBytes(), key(TOKEN_PROGRAM_ID).toBytes(), mint.toBytes()],
+          ASSOCIATED_TOKEN_PROGRAM_ID,
+        );
+      }
+      return result;
+    }
+
+    return {
+      async isClaimed(campaign, claim) {
+        return Boolean(await rpc.getAccountData(addresses(campaign, claim).status.toBase58()));
+      },
+      async buildClaim(claimant, campaign, claim) {
+        const { Transaction, TransactionInstruction } = web3();
+        const a = addresses(campaign, claim, claimant);
+        const data = new Uint8Array(18 + claim.proof.length * 32);
+        const v = new DataView(data.buffer);
+        v.setUint8(0, CLAIM_INSTRUCTION);
+        v.setBigUint64(1, BigInt(claim.index), true);
+        v.setBigUint64(9, BigInt(claim.amount), true);
+        v.setUint8(17, claim.proof.length);
+        claim.proof.forEach((hash, i) => data.set(fromHex(hash), 18 + i * 32));
+        const writable = (pubkey) => ({ pubkey, isSigner: false, isWritable: true });
+        const readonly = (address) => ({ pubkey: key(address), isSigner: false, isWritable: false });
+        const instruction = new TransactionInstruction({
+          programId: key(programId),
+          keys: [
+            { pubkey: a.claimant, isSigner: true, isWritable: true },
+            writable(a.distributor),
+            writable(a.status),
+            writable(a.vault),
+            writable(a.claimantTokens),
+            { pubkey: a.mint, isSigner: false, isWritable: false },
+            readonly(TOKEN_PROGRAM_ID),
+            readonly(ASSOCIATED_TOKEN_PROGRAM_ID),
+            readonly(SYSTEM_PROGRAM_ID),
+          ],
+          data,
+        });
+        const recentBlockhash = await rpc.getLatestBlockhash();
+        return new Transaction({ feePayer: a.claimant, recentBlockhash }).add(instruction);
+      },
+      send: (transaction) => GBonk.wallet.signAndSend(transaction),
+    };
+  }
+
+  // In‑memory stand‑in for the program.  "Transactions" are plain objects
+  // describing the claim; send() still asks the connected (usually fake)
+  // wallet to sign them, then checks the claim as the program would.
+  // `claimed` pre‑seeds claims as "<campaign id>:<index>".
+  function createMockProgram({ claimed = [], now = () => Date.now() } = {}) {
+    const done = new Set(claimed);
+    const claimKey = (campaign, claim) => `${campaign.id}:${claim.index}`;
+
+    async function apply({ claimant, campaign, claim }) {
+      if (claim.address !== claimant) throw new Error('The allocation belongs to another address');
+      if (campaignStatus(campaign, now()) !== 'open') throw new Error('Claims are not open');
+      if (done.has(claimKey(campaign, claim))) throw new Error('Already claimed');
+      if (await verifyProof(campaign, claim) === false) throw new Error('Invalid proof');
+      done.add(claimKey(campaign, claim));
+    }
+
+    return {
+      async isClaimed(campaign, claim) {
+        return done.has(claimKey(campaign, claim));
+      },
+      buildClaim: (claimant, campaign, claim) => Promise.resolve({ mock: true, claimant, campaign, claim }),
+      async send(transaction) {
+        const signature = await GBonk.wallet.signAndSend(transaction);
+        await apply(transaction);
+        return signature;
+      },
+    };
+  }
+
+  let program;
+
+  // The configured program: the mock, the on‑chain adapter, or null while
+  // claims are not live.
+  function getProgram() {
+    if (program === undefined) {
+      const cfg = GBonk.config.airdrop;
+      if (cfg.useMock) program = createMockProgram();
+      else if (cfg.programId) program = createOnChainProgram(cfg.programId);
+      else program = null;
+    }
+    return program;
+  }
+
+  // The campaign files listed at `url`, newest first.  One that fails to
+  // load is left out rather than hiding the others.
+  async function loadCampaigns(url = GBonk.config.airdrop.url) {
+    const index = await GBonk.fetchJSON(url);
+    const files = await Promise.allSettled(index.campaigns.map((file) => GBonk.fetchJSON(file)));
+    return files.filter((file, i) => {
+      if (file.status === 'fulfilled') return true;
+      console.error(`Failed to load the airdrop campaign ${index.campaigns[i]}`, file.reason);
+      return false;
+    }).map((file) => file.value);
+  }
+
+  // ---- UI ---------------------------------------------------------------
+
+  let els = null;
+  let campaigns = [];
+  let owner = null;
+  // The address last checked, and per campaign id its result:
+  // { claim, proofValid, claimed, busy, message: { text, state, link } }.
+  let checked = null;
+  const results = new Map();
+  // Check the wallet's address as soon as it connects.
+  let checkOnConnect = false;
+
+  function element(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== undefined) el.textContent = text;
+    return el;
+  }
+
+  function formatAmount(campaign, amount) {
+    const value = GBonk.i18n.formatNumber(toTokens(amount, campaign.decimals), { maximumFractionDigits: campaign.decimals });
+    return `${value} $GBONK`;
+  }
+
+  function formatDay(value) {
+    return GBonk.i18n.formatDate(new Date(value), { dateStyle: 'medium' });
+  }
+
+  function setStatus(message, state = 'info') {
+    els.status.textContent = message;
+    els.status.dataset.state = message ? state : '';
+  }
+
+  function windowText(campaign) {
+    const { claimStart: start, claimEnd: end } = campaign;
+    if (start && end) return t('airdrop.window', { start: formatDay(start), end: formatDay(end) });
+    if (start) return t('airdrop.windowFrom', { start: formatDay(start) });
+    if (end) return t('airdrop.windowUntil', { end: formatDay(end) });
+    return '';
+  }
+
+  function renderProof(campaign, claim) {
+    const details = element('details', 'airdrop-proof');
+    details.appendChild(element('summary', '', t('airdrop.showProof')));
+    const dl = element('dl');
+    const row = (term, value) => {
+      const div = element('div');
+      const dd = element('dd');
+      dd.appendChild(value instanceof Node ? value : element('code', '', value));
+      div.append(element('dt', '', term), dd);
+      dl.appendChild(div);
+    };
+    row(t('airdrop.index'), String(claim.index));
+    row(t('airdrop.baseUnits'), claim.amount);
+    row(t('airdrop.root'), campaign.root);
+    const hashes = element('ol');
+    claim.proof.forEach((hash) => {
+      const li = element('li');
+      li.appendChild(element('code', '', hash));
+      hashes.appendChild(li);
+    });
+    row(t('airdrop.proof'), hashes);
+    details.appendChild(dl);
+    return details;
+  }
+
+  // The claim button, or why there is none.
+  function renderClaim(campaign, result) {
+    const box = element('div', 'airdrop-claim');
+    const note = (key, params) => box.appendChild(element('p', 'airdrop-note', t(key, params)));
+    const status = campaignStatus(campaign);
+    if (result.claimed) note('airdrop.claimed');
+    else if (result.proofValid === false) return box;
+    else if (!getProgram()) note('airdrop.claimSoon');
+    else if (status === 'upcoming') note('airdrop.opensAt', { date: formatDay(campaign.claimStart) });
+    else if (status === 'ended') note('airdrop.closed', { date: formatDay(campaign.claimEnd) });
+    else if (owner && owner !== checked) note('airdrop.otherWallet', { address: GBonk.shortAddress(checked) });
+    else {
+      const button = element('button', 'cta-button');
+      button.type = 'button';
+      button.disabled = result.busy;
+      button.textContent = owner
+        ? t('airdrop.claim', { amount: formatAmount(campaign, result.claim.amount) })
+        : t('airdrop.connect');
+      button.addEventListener('click', () => claim(campaign, result));
+      box.appendChild(button);
+    }
+    if (result.message) {
+      const message = element('p', 'airdrop-claim-status', result.message.text);
+      message.setAttribute('role', 'status');
+      message.dataset.state = result.message.state;
+      if (result.message.link) {
+        const link = element('a', '', t('common.viewOnSolscan'));
+        link.href = result.message.link;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        message.append(' ', link);
+      }
+      box.appendChild(message);
+    }
+    return box;
+  }
+
+  function renderCampaign(campaign) {
+    const status = campaignStatus(campaign);
+    const article = element('article', 'airdrop-campaign');
+    article.id = `airdrop-${campaign.id}`;
+    article.dataset.status = status;
+    const header = element('header', 'airdrop-header');
+    const title = element('h3', 'airdrop-name', campaign.name);
+    title.id = `airdrop-${campaign.id}-title`;
+    article.setAttribute('aria-labelledby', title.id);
+    header.append(title, element('span', 'airdrop-badge', t(`airdrop.status.${status}`)));
+    article.appendChild(header);
+    if (campaign.description) article.appendChild(element('p', 'airdrop-description', campaign.description));
+    const meta = [
+      t('airdrop.recipients', { count: campaign.count, amount: formatAmount(campaign, campaign.total) }),
+      windowText(campaign),
+    ].filter(Boolean).join(' · ');
+    article.appendChild(element('p', 'airdrop-meta', meta));
+
+    const result = checked && results.get(campaign.id);
+    if (!result) return article;
+    if (!result.claim) {
+      article.appendChild(element('p', 'airdrop-ineligible', t('airdrop.notEligible')));
+      return article;
+    }
+    article.dataset.eligible = 'true';
+    article.appendChild(element('p', 'airdrop-amount', t('airdrop.eligible', { amount: formatAmount(campaign, result.claim.amount) })));
+    const proofKey = { true: 'airdrop.proofValid', false: 'airdrop.proofInvalid', null: 'airdrop.proofUnverifiable' }[result.proofValid];
+    const proofState = element('p', 'airdrop-proof-state', t(proofKey));
+    proofState.dataset.state = String(result.proofValid);
+    article.append(proofState, renderProof(campaign, result.claim), renderClaim(campaign, result));
+    return article;
+  }
+
+  function render() {
+    els.list.textContent = '';
+    campaigns.forEach((campaign) => els.list.appendChild(renderCampaign(campaign)));
+    if (!checked) return;
+    const eligible = Array.from(results.values()).filter((r) => r.claim).length;
+    setStatus(eligible ? t('airdrop.summary', { count: eligible }) : t('airdrop.notEligibleAny'), eligible ? 'success' : 'info');
+  }
+
+  // Look `address` up in every campaign and check its proofs.
+  async function check(address) {
+    address = String(address || '').trim();
+    const bytes = GBonk.base58.decode(address);
+    if (!bytes || bytes.length !== 32) {
+      setStatus(t('airdrop.invalidAddress'), 'error');
+      return;
+    }
+    setStatus(t('airdrop.checking'));
+    const active = getProgram();
+    const next = new Map();
+    await Promise.all(campaigns.map(async (campaign) => {
+      const found = findClaim(campaign, address);
+      const result = { claim: found, proofValid: null, claimed: false, busy: false, message: null };
+      if (found) {
+        result.proofValid = await verifyProof(campaign, found);
+        if (active) {
+          try {
+            result.claimed = await active.isClaimed(campaign, found);
+          } catch (err) {
+            // The program refuses a second claim anyway.
+            console.error(`Failed to read the claim status for ${campaign.id}`, err);
+          }
+        }
+      }
+      next.set(campaign.id, result);
+    }));
+    checked = address;
+    results.clear();
+    next.forEach((result, id) => results.set(id, result));
+    render();
+  }
+
+  async function claim(campaign, result) {
+    if (result.busy) return;
+    if (!owner) {
+      const connectBtn = document.getElementById('connect-wallet');
+      if (connectBtn) connectBtn.click();
+      return;
+    }
+    const active = getProgram();
+    result.busy = true;
+    result.message = { text: t('airdrop.approve'), state: 'info' };
+    render();
+    try {
+      const transaction = await active.buildClaim(owner, campaign, result.claim);
+      const signature = await active.send(transaction);
+      result.claimed = true;
+      result.message = { text: t('airdrop.submitted'), state: 'success', link: `https://solscan.io/tx/${signature}` };
+      if (GBonk.dashboard) GBonk.dashboard.refresh();
+    } catch (err) {
+      console.error(err);
+      result.message = err.code === 'rejected'
+        ? { text: t('airdrop.rejected'), state: 'rejected' }
+        : { text: t('airdrop.failed', { reason: err.message }), state: 'error' };
+    } finally {
+      result.busy = false;
+      render();
+    }
+  }
+
+  function useWallet() {
+    if (owner) {
+      els.input.value = owner;
+      check(owner);
+      return;
+    }
+    checkOnConnect = true;
+    const connectBtn = document.getElementById('connect-wallet');
+    if (connectBtn) connectBtn.click();
+  }
+
+  async function init() {
+    const section = document.getElementById('airdrop');
+    if (!section) return;
+    els = {
+      form: document.getElementById('airdrop-check'),
+      input: document.getElementById('airdrop-address'),
+      wallet: document.getElementById('airdrop-use-wallet'),
+      status: section.querySelector('.airdrop-status'),
+      list: document.getElementById('airdrop-campaigns'),
+    };
+    els.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (campaigns.length) check(els.input.value);
+    });
+    els.wallet.addEventListener('click', useWallet);
+    els.form.querySelectorAll('button').forEach((button) => { button.disabled = true; });
+
+    try {
+      campaigns = await loadCampaigns();
+    } catch (err) {
+      console.error('Failed to load the airdrop campaigns', err);
+      setStatus(t('airdrop.error'), 'error');
+      els.list.removeAttribute('aria-busy');
+      return;
+    }
+    els.list.removeAttribute('aria-busy');
+    if (!campaigns.length) {
+      setStatus(t('airdrop.empty'));
+      return;
+    }
+    els.form.querySelectorAll('button').forEach((button) => { button.disabled = false; });
+    render();
+    GBonk.i18n.subscribe(render);
+    if (GBonk.wallet) {
+      const follow = ({ publicKey }) => {
+        if (publicKey === owner) return;
+        owner = publicKey;
+        if (owner && checkOnConnect) {
+          checkOnConnect = false;
+          els.input.value = owner;
+          check(owner);
+          return;
+        }
+        results.forEach((result) => { result.message = null; });
+        render();
+      };
+      follow(GBonk.wallet.getState());
+      GBonk.wallet.subscribe(follow);
+    }
+  }
+
+  GBonk.airdrop = {
+    leafHash,
+    verifyProof,
+    campaignStatus,
+    findClaim,
+    loadCampaigns,
+    createOnChainProgram,
+    createMockProgram,
+    getProgram,
+    // Replace the program, e.g. with a pre‑seeded mock in tests.  Must be
+    // called before init().
+    setProgram(next) {
+      program = next;
+    },
+    init,
+  };
+})();
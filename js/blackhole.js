@@ -0,0 +1,212 @@
+// blackhole.js – The burn black hole on the universe canvas
+
+// Burned $GBONK is "sent into the black hole", so the universe has one: a
+// dark core ringed by a spinning accretion disk and a soft lensing glow.
+// Its size and brightness follow the share of the initial supply burned
+// so far (js/burn.js), and every new burn sends a shockwave out and a
+// swirl of embers in.
+//
+// Like the mini‑game it has no loop of its own: initUniverse() in main.js
+// calls frame() from its draw loop, and asks gravity() how far each star
+// and comet is pulled towards the hole, so their paths bend around it and
+// whatever crosses the horizon disappears.
+(() => {
+  const GBonk = window.GBonk;
+
+  // Horizon radius (px) with nothing burned, and what a fully burned
+  // supply would add.  The square root keeps small burns visible.
+  const MIN_RADIUS = 12;
+  const RADIUS_RANGE = 48;
+  // Position as a fraction of the viewport, clear of the mascot's path.
+  const POSITION = { x: 0.82, y: 0.26 };
+  // Gravity reaches this many horizon radii; at the horizon it pulls
+  // GRAVITY px per 60 Hz frame, falling off with the square of distance.
+  const REACH = 7;
+  const GRAVITY = 3;
+  // Share of the pull that goes sideways, so things spiral in.
+  const SWIRL = 0.6;
+  // Disk tilt (radians) and how flat the disk looks.
+  const TILT = -0.35;
+  const FLATTEN = 0.32;
+  // Burn event: shockwave and ember durations (ms) and ember count.
+  const SHOCKWAVE_MS = 1800;
+  const EMBER_MS = 1600;
+  const EMBERS = 28;
+  const FRAME_MS = 1000 / 60;
+
+  // { x, y, radius, intensity }, once the burned share is known.
+  let hole = null;
+  let share = null;
+  let spin = 0;
+  // Extra brightness after something falls in, fading back to 0.
+  let flare = 0;
+  let halo = null;
+  let shockwaves = [];
+  let embers = [];
+  // Reused by gravity() so the star loop does not allocate.
+  const pull = { x: 0, y: 0, inside: false };
+
+  // A soft purple glow around the horizon, rendered once per size.
+  function haloSprite(radius) {
+    const sprite = document.createElement('canvas');
+    const size = Math.ceil(radius * 8);
+    sprite.width = size;
+    sprite.height = size;
+    const g = sprite.getContext('2d');
+    const grad = g.createRadialGradient(size / 2, size / 2, radius * 0.9, size / 2, size / 2, size / 2);
+    grad.addColorStop(0, 'rgba(255, 190, 90, 0.55)');
+    grad.addColorStop(0.25, 'rgba(200, 80, 255, 0.18)');
+    grad.addColorStop(1, 'rgba(40, 0, 80, 0)');
+    g.fillStyle = grad;
+    g.fillRect(0, 0, size, size);
+    return sprite;
+  }
+
+  // Size and brightness for the burned share of the supply.
+  function setShare(value) {
+    share = Math.min(Math.max(value, 0), 1);
+    const radius = MIN_RADIUS + RADIUS_RANGE * Math.sqrt(share);
+    const intensity = 0.35 + 0.65 * Math.min(1, share / 0.3);
+    hole = { x: hole ? hole.x : 0, y: hole ? hole.y : 0, radius, intensity };
+    halo = haloSprite(radius);
+  }
+
+  // How far gravity moves something at (x, y) this frame, in px per 60 Hz
+  // frame: stars are displaced by it, comets accelerated.  Returns null
+  // out of reach; `inside` is set once past the horizon.
+  function gravity(x, y) {
+    if (!hole) return null;
+    const dx = hole.x - x;
+    const dy = hole.y - y;
+    const distance = Math.hypot(dx, dy);
+    if (distance > hole.radius * REACH) return null;
+    pull.inside = distance < hole.radius;
+    if (pull.inside) {
+      flare = Math.min(1, flare + 0.15);
+      pull.x = 0;
+      pull.y = 0;
+      return pull;
+    }
+    const strength = GRAVITY * (hole.radius / distance) ** 2;
+    const ux = dx / distance;
+    const uy = dy / distance;
+    // Inwards, plus a sideways share that turns the fall into a spiral.
+    pull.x = (ux - uy * SWIRL) * strength;
+    pull.y = (uy + ux * SWIRL) * strength;
+    return pull;
+  }
+
+  // Play a burn: a shockwave rolls out from the horizon and embers spiral
+  // in.  Nothing plays while motion is reduced.
+  function burst() {
+    if (!hole || (GBonk.motion && GBonk.motion.reduced())) return;
+    shockwaves.push({ age: 0 });
+    for (let i = 0; i < EMBERS; i++) {
+      embers.push({
+        age: -Math.random() * 400,
+        angle: Math.random() * Math.PI * 2,
+        distance: hole.radius * (4 + Math.random() * 3),
+        size: 1 + Math.random() * 2,
+      });
+    }
+    flare = 1;
+  }
+
+  function drawDisk(ctx, alpha) {
+    ctx.save();
+    ctx.translate(hole.x, hole.y);
+    ctx.rotate(TILT);
+    ctx.scale(1, FLATTEN);
+    // Streaks of glowing gas at different radii, turning at different
+    // speeds so the disk visibly spins.
+    for (let i = 0; i < 6; i++) {
+      const radius = hole.radius * (1.5 + i * 0.28);
+      const start = spin * (1.6 - i * 0.18) + i * 1.1;
+      ctx.strokeStyle = `rgba(255, ${190 - i * 18}, ${90 - i * 10}, ${(alpha * (0.75 - i * 0.09)).toFixed(3)})`;
+      ctx.lineWidth = hole.radius * 0.22;
+      ctx.beginPath();
+      ctx.arc(0, 0, radius, start, start + Math.PI * 1.3);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  function drawBurst(ctx, dt) {
+    for (let i = shockwaves.length - 1; i >= 0; i--) {
+      const wave = shockwaves[i];
+      wave.age += dt;
+      const t = wave.age / SHOCKWAVE_MS;
+      if (t >= 1) {
+        shockwaves.splice(i, 1);
+        continue;
+      }
+      ctx.strokeStyle = `rgba(255, 140, 60, ${(1 - t).toFixed(3)})`;
+      ctx.lineWidth = 3 * (1 - t) + 1;
+      ctx.beginPath();
+      ctx.arc(hole.x, hole.y, hole.radius * (1 + t * 9), 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    for (let i = embers.length - 1; i >= 0; i--) {
+      const ember = embers[i];
+      ember.age += dt;
+      if (ember.age < 0) continue;
+      const t = ember.age / EMBER_MS;
+      if (t >= 1) {
+        embers.splice(i, 1);
+        continue;
+      }
+      // Faster and tighter as they fall.
+      const distance = hole.radius + (ember.distance - hole.radius) * (1 - t) ** 2;
+      const angle = ember.angle + t * t * 6;
+      ctx.fillStyle = `rgba(255, ${Math.round(200 - t * 120)}, 60, ${(1 - t * 0.6).toFixed(3)})`;
+      ctx.beginPath();
+      ctx.arc(hole.x + Math.cos(angle) * distance, hole.y + Math.sin(angle) * distance * FLATTEN * 2, ember.size, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
+  // Advance by `dt` ms and draw onto `ctx` (a `width` × `height` CSS‑pixel
+  // viewport).  With dt = 0 (the still scene) it is drawn as it stands.
+  function frame(ctx, dt, width, height) {
+    if (!hole) return;
+    hole.x = width * POSITION.x;
+    hole.y = height * POSITION.y;
+    spin += (dt / FRAME_MS) * 0.01;
+    flare = Math.max(0, flare - dt / 1500);
+    const alpha = Math.min(1, hole.intensity + flare * 0.4);
+    const glow = hole.radius * 4 * (1 + flare * 0.3);
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    ctx.drawImage(halo, hole.x - glow, hole.y - glow, glow * 2, glow * 2);
+    ctx.restore();
+    drawDisk(ctx, alpha);
+    // The horizon, edged with a thin photon ring.
+    ctx.fillStyle = '#000';
+    ctx.beginPath();
+    ctx.arc(hole.x, hole.y, hole.radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = `rgba(255, 225, 160, ${(0.5 + alpha * 0.4).toFixed(3)})`;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.arc(hole.x, hole.y, hole.radius * 1.06, 0, Math.PI * 2);
+    ctx.stroke();
+    if (dt > 0) drawBurst(ctx, dt);
+  }
+
+  GBonk.blackhole = {
+    frame,
+    gravity,
+    burst,
+    // Burned share of the supply (0 → 1), or null before it is known.
+    share: () => share,
+    init() {
+      if (!GBonk.burn) return;
+      const apply = (reading) => {
+        if (reading && reading.initialSupply > 0) setShare(reading.burned / reading.initialSupply);
+      };
+      apply(GBonk.burn.current());
+      GBonk.burn.subscribe(apply);
+      GBonk.burn.onBurn(burst);
+    },
+  };
+})();
@@ -0,0 +1,124 @@
+// burn.js – Burned supply for the black hole, with burn detection and alerts
+
+// The tokenomics list says part of the supply has been "sent into the
+// black hole"; the universe canvas now shows that black hole
+// (js/blackhole.js), sized by how much has really been burned.  This
+// module polls the burned total from the source configured in
+// GBonk.config.burn and publishes every reading.  When the total grows
+// between two readings a burn event is published too, the black hole
+// plays it and a toast tells the visitor how much just went in.
+(() => {
+  const GBonk = window.GBonk;
+
+  const readings = GBonk.createEmitter();
+  const burns = GBonk.createEmitter();
+  // Latest reading: { burned, initialSupply, source, updatedAt }.
+  let current = null;
+  let timer = 0;
+  // Position in the fixture's samples.
+  let sample = 0;
+
+  async function sumBalances(client, accounts) {
+    const balances = await Promise.all(accounts.map((a) => client.getTokenAccountBalance(a)));
+    return balances.reduce((total, b) => total + Number(b.uiAmountString), 0);
+  }
+
+  // Tokens burned through the token program are missing from the supply;
+  // tokens sent to a burn (incinerator) account are still held there.
+  // Without the burn accounts most of the burn would be missed, so, as in
+  // js/tokenomics.js, the snapshot is used instead.
+  async function loadFromRpc(client = GBonk.rpc.getClient()) {
+    const { initialSupply, burnAccounts } = GBonk.config.tokenomics;
+    if (!burnAccounts.length) throw new Error('Burn token accounts are not configured');
+    const [supply, held] = await Promise.all([
+      client.getTokenSupply(GBonk.config.mint),
+      sumBalances(client, burnAccounts),
+    ]);
+    return {
+      burned: Math.max(0, initialSupply - Number(supply.uiAmountString)) + held,
+      initialSupply,
+      source: 'rpc',
+      updatedAt: new Date().toISOString(),
+    };
+  }
+
+  async function loadSnapshot() {
+    const snapshot = await GBonk.fetchJSON(GBonk.config.tokenomics.snapshotUrl);
+    return {
+      burned: snapshot.buckets.burned,
+      initialSupply: snapshot.initialSupply,
+      source: 'snapshot',
+      updatedAt: snapshot.updatedAt,
+    };
+  }
+
+  // The next sample of the fixture, staying on the last one.
+  async function loadFixture() {
+    const fixture = await GBonk.fetchJSON(GBonk.config.burn.fixtureUrl);
+    const entry = fixture.samples[Math.min(sample, fixture.samples.length - 1)];
+    sample++;
+    return {
+      burned: entry.burned,
+      initialSupply: fixture.initialSupply,
+      source: 'fixture',
+      updatedAt: entry.updatedAt || new Date().toISOString(),
+    };
+  }
+
+  async function load() {
+    if (GBonk.config.burn.source === 'fixture') return loadFixture();
+    try {
+      return await loadFromRpc();
+    } catch (err) {
+      console.warn('Live burn total unavailable, using snapshot:', err.message);
+      return loadSnapshot();
+    }
+  }
+
+  // "1.3M $GBONK just fell into the black hole".
+  function announce(amount, total) {
+    if (!GBonk.toast) return;
+    const compact = (value) => GBonk.i18n.formatNumber(value, { notation: 'compact', maximumFractionDigits: 1 });
+    GBonk.toast.show(GBonk.i18n.t('burn.toast', { amount: compact(amount), total: compact(total) }));
+  }
+
+  // Background tabs skip their turn; a burn in the meantime is still
+  // caught by the next reading.
+  async function poll() {
+    clearTimeout(timer);
+    if (document.hidden && current) {
+      timer = setTimeout(poll, GBonk.config.burn.pollInterval);
+      return;
+    }
+    try {
+      const reading = await load();
+      const previous = current;
+      current = reading;
+      readings.emit(reading);
+      // The first reading of a visit is the baseline, not a burn.  A
+      // snapshot standing in for a failed RPC read says nothing new.
+      if (previous && reading.source === previous.source && reading.burned > previous.burned) {
+        const amount = reading.burned - previous.burned;
+        burns.emit({ amount, total: reading.burned });
+        announce(amount, reading.burned);
+      }
+    } catch (err) {
+      console.error('Failed to load the burned supply', err);
+    }
+    timer = setTimeout(poll, GBonk.config.burn.pollInterval);
+  }
+
+  GBonk.burn = {
+    load,
+    loadFromRpc,
+    // Latest reading, or null before the first one.
+    current: () => current,
+    // Called with every reading.
+    subscribe: readings.subscribe,
+    // Called with { amount, total } whenever the burned total grows.
+    onBurn: burns.subscribe,
+    init() {
+      poll();
+    },
+  };
+})();
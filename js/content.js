@@ -0,0 +1,341 @@
+// content.js – Renders editable site copy from data/content.json
+
+// Roadmap milestones, How to Buy steps, tokenomics descriptions, buy
+// portal cards and FAQ entries live in one content file
+// (GBonk.config.content.url, described by data/content.schema.json) so
+// they can be updated without touching index.html.  Each list is rendered
+// into the element marked data-content="<key>" using the same classes the
+// hand‑written markup had, so styles and the initialisers in main.js
+// (which run after init() settles) work unchanged.  Translations live
+// beside it as content.<locale>.json (data/content-translation.schema.json)
+// and hold only the wording, by entry id: statuses, dates, progress, links
+// and URLs are kept in the English file alone, so a milestone moves to
+// "done" with one edit.  Wording that is not translated yet shows in
+// English, and the page re‑renders when the language changes.
+//
+// FAQ entries get stable ids (their `id`, or a slug of the question) so
+// answers can be linked to as #faq-<id>; see js/faq.js.
+//
+// Text fields accept a small, safe Markdown subset: **bold**, *italic*,
+// [links](url) and blank lines between paragraphs.  Nothing is ever parsed
+// as HTML.
+(() => {
+  const GBonk = window.GBonk;
+
+  // **bold**, *italic* and [text](url), in that order of precedence.
+  const INLINE_PATTERN = /\*\*(.+?)\*\*|\*(.+?)\*|\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+  // Links may be relative (e.g. whitepaper.html) or http(s); anything else
+  // (javascript:, data: …) is rendered as plain text.
+  function safeHref(value) {
+    try {
+      const url = new URL(value, document.baseURI);
+      return url.protocol === 'https:' || url.protocol === 'http:' ? value : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function renderInline(text) {
+    const fragment = document.createDocumentFragment();
+    let last = 0;
+    text.replace(INLINE_PATTERN, (match, bold, italic, label, href, offset) => {
+      if (offset > last) fragment.append(text.slice(last, offset));
+      if (bold) {
+        const strong = document.createElement('strong');
+        strong.appendChild(renderInline(bold));
+        fragment.appendChild(strong);
+      } else if (italic) {
+        const em = document.createElement('em');
+        em.appendChild(renderInline(italic));
+        fragment.appendChild(em);
+      } else if (safeHref(href)) {
+        const a = document.createElement('a');
+        a.href = href;
+        // Same‑site documents such as the whitepaper also open in a new
+        // tab, as they always have.
+        a.target = '_blank';
+        if (/^https?:/i.test(href)) a.rel = 'noopener';
+        a.appendChild(renderInline(label));
+        fragment.appendChild(a);
+      } else {
+        fragment.append(match);
+      }
+      last = offset + match.length;
+      return match;
+    });
+    if (last < text.length) fragment.append(text.slice(last));
+    return fragment;
+  }
+
+  // Paragraphs separated by blank lines, each rendered as a <p>.
+  function renderMarkdown(text) {
+    const fragment = document.createDocumentFragment();
+    String(text).split(/\n\s*\n/).forEach((block) => {
+      const trimmed = block.trim();
+      if (!trimmed) return;
+      const p = document.createElement('p');
+      p.appendChild(renderInline(trimmed.replace(/\s*\n\s*/g, ' ')));
+      fragment.appendChild(p);
+    });
+    return fragment;
+  }
+
+  // "What is $GBONK?" → "what-is-gbonk".  Accents are dropped; scripts
+  // without Latin letters produce an empty slug.
+  function slug(text) {
+    return String(text)
+      .normalize('NFD')
+      .replace(/\p{M}/gu, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  // Element id of an FAQ entry.  Give entries an explicit `id` so links
+  // keep working across translations and rewordings.
+  function faqId(item, index) {
+    return `faq-${item.id || slug(item.question) || `item-${index + 1}`}`;
+  }
+
+  function heading(text) {
+    const h3 = document.createElement('h3');
+    h3.textContent = text;
+    return h3;
+  }
+
+  function paragraph(text) {
+    const p = document.createElement('p');
+    p.appendChild(renderInline(text));
+    return p;
+  }
+
+  // Badge keys for the roadmap statuses.
+  const ROADMAP_STATUS = { planned: 'planned', 'in-progress': 'inProgress', done: 'done', delayed: 'delayed' };
+
+  // One renderer per content key; each returns the element for one entry.
+  const RENDERERS = {
+    // Milestone with its declared status, target date, progress and
+    // announcement link.  js/roadmap.js keeps the status and "time left"
+    // current and revealing is left to the [data-animate] observer.
+    roadmap(item) {
+      const { t } = GBonk.i18n;
+      const status = ROADMAP_STATUS[item.status] ? item.status : 'planned';
+      const div = document.createElement('div');
+      div.className = 'timeline-item';
+      div.dataset.animate = '';
+      div.dataset.status = status;
+      div.dataset.state = status;
+      const header = document.createElement('div');
+      header.className = 'timeline-header';
+      const badge = document.createElement('span');
+      badge.className = 'roadmap-status';
+      badge.textContent = t(`roadmap.status.${ROADMAP_STATUS[status]}`);
+      header.append(heading(item.period), badge);
+      div.append(header, paragraph(item.text));
+      const meta = document.createElement('div');
+      meta.className = 'roadmap-meta';
+      if (item.target) {
+        div.dataset.target = item.target;
+        const time = document.createElement('time');
+        time.className = 'roadmap-target';
+        time.dateTime = item.target;
+        const date = GBonk.i18n.formatDate(new Date(`${item.target}T00:00:00Z`), { dateStyle: 'medium', timeZone: 'UTC' });
+        time.textContent = t('roadmap.target', { date });
+        const relative = document.createElement('span');
+        relative.className = 'roadmap-relative';
+        meta.append(time, relative);
+      }
+      if (typeof item.progress === 'number') {
+        const value = Math.min(Math.max(Math.round(item.progress), 0), 100);
+        const progress = document.createElement('div');
+        progress.className = 'roadmap-progress';
+        const bar = document.createElement('div');
+        bar.className = 'roadmap-progress-bar';
+        bar.setAttribute('role', 'progressbar');
+        bar.setAttribute('aria-valuemin', '0');
+        bar.setAttribute('aria-valuemax', '100');
+        bar.setAttribute('aria-valuenow', String(value));
+        bar.setAttribute('aria-label', t('roadmap.progress'));
+        const fill = document.createElement('span');
+        fill.style.width = `${value}%`;
+        bar.appendChild(fill);
+        const label = document.createElement('span');
+        label.className = 'roadmap-progress-value';
+        label.textContent = GBonk.i18n.formatNumber(value / 100, { style: 'percent' });
+        progress.append(bar, label);
+        meta.appendChild(progress);
+      }
+      const href = item.link && safeHref(item.link);
+      if (href) {
+        const a = document.createElement('a');
+        a.className = 'roadmap-link';
+        a.href = href;
+        a.target = '_blank';
+        a.rel = 'noopener';
+        a.textContent = t('roadmap.announcement');
+        meta.appendChild(a);
+      }
+      if (meta.childElementCount) div.appendChild(meta);
+      return div;
+    },
+    howToBuy(item, index) {
+      const div = document.createElement('div');
+      div.className = 'step';
+      div.append(heading(`${index + 1}. ${item.title}`), paragraph(item.text));
+      return div;
+    },
+    portals(item) {
+      const a = document.createElement('a');
+      a.className = 'info-card';
+      a.href = safeHref(item.url) || '#';
+      a.target = '_blank';
+      a.rel = 'noopener';
+      a.append(heading(item.name), paragraph(item.text));
+      return a;
+    },
+    // WAI‑ARIA accordion: a button in a heading controls a labelled region.
+    faq(item, index) {
+      const id = faqId(item, index);
+      const div = document.createElement('div');
+      div.className = 'faq-item';
+      div.id = id;
+      const h3 = document.createElement('h3');
+      h3.className = 'faq-heading';
+      const question = document.createElement('button');
+      question.className = 'faq-question';
+      question.type = 'button';
+      question.id = `${id}-question`;
+      question.setAttribute('aria-expanded', 'false');
+      question.setAttribute('aria-controls', `${id}-answer`);
+      question.textContent = item.question;
+      h3.appendChild(question);
+      const answer = document.createElement('div');
+      answer.className = 'faq-answer';
+      answer.id = `${id}-answer`;
+      answer.setAttribute('role', 'region');
+      answer.setAttribute('aria-labelledby', question.id);
+      // The inner wrapper lets the answer animate open without measuring
+      // its height (see .faq-answer in styles.css).
+      const inner = document.createElement('div');
+      inner.className = 'faq-answer-inner';
+      inner.appendChild(renderMarkdown(item.answer));
+      answer.appendChild(inner);
+      div.append(h3, answer);
+      return div;
+    },
+  };
+
+  const renders = GBonk.createEmitter();
+
+  // Render every list present in `content` into its data-content target,
+  // then tell subscribers (which re-attach state such as open FAQ items).
+  function render(content) {
+    Object.entries(RENDERERS).forEach(([key, renderItem]) => {
+      const target = document.querySelector(`[data-content="${key}"]`);
+      const items = content[key];
+      if (!target || !Array.isArray(items)) return;
+      target.textContent = '';
+      items.forEach((item, index) => target.appendChild(renderItem(item, index)));
+    });
+    if (Array.isArray(content.tokenomics) && GBonk.tokenomics) {
+      GBonk.tokenomics.setBucketText(content.tokenomics);
+    }
+    renders.emit(content);
+  }
+
+  function showError() {
+    document.querySelectorAll('[data-content]').forEach((target) => {
+      if (target.childElementCount) return;
+      const p = document.createElement('p');
+      p.className = 'content-error';
+      p.textContent = GBonk.i18n.t('content.error');
+      target.appendChild(p);
+    });
+  }
+
+  // The fields a translation may replace, per list.
+  const TRANSLATED = {
+    roadmap: ['period', 'text'],
+    howToBuy: ['title', 'text'],
+    tokenomics: ['label', 'summary', 'description'],
+    portals: ['text'],
+    faq: ['question', 'answer'],
+  };
+
+  // What a translation file calls an entry: its bucket for tokenomics,
+  // the FAQ anchor (without "faq-") for questions, else its id.
+  function entryKey(list, item, index) {
+    if (list === 'tokenomics') return item.bucket;
+    if (list === 'faq') return faqId(item, index).slice('faq-'.length);
+    return item.id;
+  }
+
+  // `content` with the wording of `translation` laid over it.
+  function translate(content, translation) {
+    const merged = { ...content };
+    Object.entries(TRANSLATED).forEach(([list, fields]) => {
+      const texts = translation[list];
+      if (!Array.isArray(content[list]) || !texts || typeof texts !== 'object') return;
+      merged[list] = content[list].map((item, index) => {
+        const key = entryKey(list, item, index);
+        const text = key !== undefined && Object.hasOwn(texts, key) ? texts[key] : null;
+        if (!text || typeof text !== 'object') return item;
+        const next = { ...item };
+        fields.forEach((field) => {
+          if (typeof text[field] === 'string') next[field] = text[field];
+        });
+        return next;
+      });
+    });
+    return merged;
+  }
+
+  // Content for `locale`: the English file, with the locale's wording
+  // where there is a translation.
+  async function load(locale = GBonk.i18n.locale()) {
+    const { url } = GBonk.config.content;
+    const [content, translation] = await Promise.all([
+      GBonk.fetchJSON(url),
+      locale === 'en' ? null : GBonk.fetchJSON(url.replace(/\.json$/, `.${locale}.json`)).catch((err) => {
+        console.warn(`No ${locale} content, using English:`, err.message);
+        return null;
+      }),
+    ]);
+    return translation ? translate(content, translation) : content;
+  }
+
+  // Only the latest request renders, so a slow response for a language
+  // the visitor has already switched away from is dropped.
+  let latest = 0;
+
+  async function loadAndRender() {
+    const request = ++latest;
+    try {
+      const content = await load();
+      if (request === latest) render(content);
+    } catch (err) {
+      console.error('Failed to load site content', err);
+      showError();
+    }
+  }
+
+  GBonk.content = {
+    renderInline,
+    renderMarkdown,
+    slug,
+    faqId,
+    render,
+    load,
+    // Called with the content object after every render.
+    subscribe: renders.subscribe,
+    // Load and render, and again whenever the language changes.  Always
+    // resolves so the caller can run its initialisers afterwards either
+    // way.
+    async init() {
+      if (!document.querySelector('[data-content]')) return;
+      GBonk.i18n.subscribe(loadAndRender);
+      await loadAndRender();
+    },
+  };
+})();
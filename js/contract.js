@@ -0,0 +1,257 @@
+// contract.js – Contract address display, copy, QR code and lookalike checks
+
+// Scammers routinely post addresses that share the first and last few
+// characters with the real $GBONK mint, so the address block does more
+// than copy text:
+//
+//   - the official mint comes from data/contract.json, optionally signed
+//     with the project's Ed25519 key, and is cross-checked against the
+//     mint built into the site configuration;
+//   - the displayed address is compared with it, now and whenever the DOM
+//     changes, and a loud warning is raised (and the address restored) if
+//     anything has swapped it out;
+//   - copying and the QR code always use the official mint, never the
+//     text on the page;
+//   - visitors can paste any address and see whether it is the official
+//     one, a lookalike, or something else entirely.
+(() => {
+  const GBonk = window.GBonk;
+  const t = (key, params) => GBonk.i18n.t(key, params);
+
+  // Characters highlighted at each end of the address, and how many of
+  // them a lookalike shares with the official mint.
+  const EDGE = 4;
+  // Most to least serious, which is also the order they are shown in.
+  const WARNINGS = ['tampered', 'mismatch', 'signatureFailed'];
+
+  const decodeBase58 = (text) => GBonk.base58.decode(text);
+
+  // Solana addresses (mints included) are 32‑byte public keys.
+  function isValidAddress(text) {
+    const bytes = decodeBase58(text);
+    return Boolean(bytes) && bytes.length === 32;
+  }
+
+  // Classify an address against the official mint: 'official', 'invalid'
+  // (not base58 or not 32 bytes), 'lookalike' (valid, different, but
+  // sharing its leading or trailing characters) or 'other'.
+  function classify(text, official) {
+    const address = String(text || '').replace(/\s+/g, '');
+    if (!isValidAddress(address)) return 'invalid';
+    if (address === official) return 'official';
+    const prefix = address.slice(0, EDGE) === official.slice(0, EDGE);
+    const suffix = address.slice(-EDGE) === official.slice(-EDGE);
+    return prefix || suffix ? 'lookalike' : 'other';
+  }
+
+  // Check record.signature (base58 Ed25519) over the mint as UTF‑8.
+  // Returns true or false, or null when the browser cannot verify
+  // Ed25519 signatures.
+  function verifySignature(record, publicKey) {
+    return GBonk.verifyEd25519(publicKey, decodeBase58(record.signature), record.mint);
+  }
+
+  // Resolve the official mint.  Returns { mint, source, updatedAt,
+  // warnings }, where source is 'signed', 'file', 'unverified' (a key is
+  // configured but the signature could not be checked) or 'config' (the
+  // file is unavailable).
+  async function loadCanonical() {
+    const cfg = GBonk.config.contract;
+    const fallback = { mint: GBonk.config.mint, source: 'config', updatedAt: null, warnings: [] };
+    let record;
+    try {
+      record = await GBonk.fetchJSON(cfg.url);
+    } catch (err) {
+      console.warn('Official address file unavailable, using the configured mint', err);
+      return fallback;
+    }
+    if (!record || !isValidAddress(record.mint)) {
+      console.warn('Official address file has no valid mint, using the configured mint');
+      return fallback;
+    }
+    // A malformed date is left out rather than shown as "Invalid Date".
+    const updatedAt = record.updatedAt && !Number.isNaN(Date.parse(record.updatedAt)) ? record.updatedAt : null;
+    const result = { mint: record.mint, source: 'file', updatedAt, warnings: [] };
+    if (cfg.publicKey) {
+      const verified = await verifySignature(record, cfg.publicKey);
+      if (verified === false) return { ...fallback, warnings: ['signatureFailed'] };
+      if (verified === null) return { ...fallback, source: 'unverified' };
+      result.source = 'signed';
+    }
+    if (result.mint !== GBonk.config.mint) result.warnings.push('mismatch');
+    return result;
+  }
+
+  let canonical = null;
+  let els = {};
+  let observer = null;
+  const warnings = new Set();
+  let copyTimer = 0;
+
+  // Show the address with its leading and trailing characters
+  // highlighted, which are the ones people compare by eye.
+  function renderAddress() {
+    const { mint } = canonical;
+    observer.disconnect();
+    const edge = (text) => {
+      const span = document.createElement('span');
+      span.className = 'address-edge';
+      span.textContent = text;
+      return span;
+    };
+    els.address.replaceChildren(edge(mint.slice(0, EDGE)), mint.slice(EDGE, -EDGE), edge(mint.slice(-EDGE)));
+    observe();
+  }
+
+  function renderWarnings() {
+    if (!els.warning) return;
+    const active = WARNINGS.filter((key) => warnings.has(key));
+    els.warning.replaceChildren(...active.map((key) => {
+      const p = document.createElement('p');
+      p.textContent = t(`contract.${key}`);
+      return p;
+    }));
+    els.warning.hidden = active.length === 0;
+  }
+
+  function renderSource() {
+    if (!els.source) return;
+    const { source, updatedAt } = canonical;
+    const key = `contract.source${source.charAt(0).toUpperCase()}${source.slice(1)}`;
+    const date = updatedAt ? GBonk.i18n.formatDate(new Date(updatedAt), { dateStyle: 'medium' }) : '';
+    els.source.textContent = t(key, { date });
+  }
+
+  function renderQR() {
+    if (!els.qr || !GBonk.qr) return;
+    els.qr.replaceChildren(GBonk.qr.toSVG(canonical.mint, { label: t('contract.qrLabel') }));
+  }
+
+  // Compare what the page shows with the official mint.  Anything else is
+  // treated as tampering: warn and put the official address back.
+  function check() {
+    const current = document.getElementById('contract-address');
+    if (current && current !== els.address) {
+      // The element itself was swapped out.
+      els.address = current;
+      observe();
+    }
+    if (!els.address) return;
+    const shown = els.address.textContent.replace(/\s+/g, '');
+    if (shown === canonical.mint) return;
+    console.warn('Displayed contract address did not match the official mint and was restored');
+    warnings.add('tampered');
+    renderWarnings();
+    renderAddress();
+  }
+
+  function observe() {
+    if (!observer || !els.block) return;
+    observer.observe(els.block, { childList: true, characterData: true, subtree: true, attributes: true, attributeFilter: ['id'] });
+  }
+
+  function announceCopy(key) {
+    clearTimeout(copyTimer);
+    els.status.textContent = t(key);
+    copyTimer = setTimeout(() => { els.status.textContent = ''; }, 2000);
+  }
+
+  function copy() {
+    // The official mint, whatever the page currently shows.
+    return navigator.clipboard.writeText(canonical.mint)
+      .then(() => announceCopy('copy.copied'))
+      .catch(() => announceCopy('copy.failed'));
+  }
+
+  function renderVerifyResult() {
+    const { input, result } = els;
+    if (!input || !result) return;
+    const value = input.value.trim();
+    result.classList.remove('is-official', 'is-danger');
+    if (!value) {
+      result.textContent = '';
+      return;
+    }
+    const verdict = classify(value, canonical.mint);
+    result.textContent = t(`contract.result${verdict.charAt(0).toUpperCase()}${verdict.slice(1)}`);
+    result.classList.add(verdict === 'official' ? 'is-official' : 'is-danger');
+  }
+
+  function initVerify() {
+    const form = document.getElementById('contract-verify');
+    if (!form) return;
+    els.input = form.querySelector('input[name="address"]');
+    els.result = form.querySelector('.contract-verify-result');
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      renderVerifyResult();
+    });
+    // A stale verdict next to an edited address would be misleading.
+    els.input.addEventListener('input', () => {
+      els.result.textContent = '';
+      els.result.classList.remove('is-official', 'is-danger');
+    });
+  }
+
+  function init() {
+    els = {
+      block: document.querySelector('.contract-address'),
+      address: document.getElementById('contract-address'),
+      copy: document.getElementById('copy-address'),
+      status: document.getElementById('copy-status'),
+      warning: document.getElementById('contract-warning'),
+      source: document.getElementById('contract-source'),
+      qr: document.getElementById('contract-qr'),
+    };
+    if (!els.block || !els.address) return;
+    // Until the official file has loaded, the configured mint stands in.
+    canonical = { mint: GBonk.config.mint, source: 'config', updatedAt: null, warnings: [] };
+    observer = new MutationObserver(check);
+    check();
+    renderAddress();
+    renderQR();
+    if (els.copy && els.status) els.copy.addEventListener('click', copy);
+    initVerify();
+
+    loadCanonical().then((result) => {
+      const changed = result.mint !== canonical.mint;
+      canonical = result;
+      result.warnings.forEach((key) => warnings.add(key));
+      renderWarnings();
+      renderSource();
+      // The page still shows the configured mint, which is not tampering
+      // (the mismatch warning covers it); anything else still is.
+      if (changed) {
+        renderAddress();
+        renderQR();
+        renderVerifyResult();
+      } else {
+        check();
+      }
+    }).catch((err) => {
+      // Say the address could not be checked rather than leave the line
+      // blank.
+      console.error('Could not check the official address', err);
+      canonical = { ...canonical, source: 'unverified', updatedAt: null };
+      renderSource();
+      check();
+    });
+
+    GBonk.i18n.subscribe(() => {
+      renderWarnings();
+      renderSource();
+      renderQR();
+      renderVerifyResult();
+    });
+  }
+
+  GBonk.contract = {
+    decodeBase58,
+    isValidAddress,
+    classify,
+    verifySignature,
+    // The official mint once resolved, otherwise the configured one.
+    official: () => (canonical ? canonical.mint : GBonk.config.mint),
+    init,
+  };
+})();
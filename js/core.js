@@ -0,0 +1,357 @@
+// core.js – Shared namespace, configuration and helpers for the GalacticBonk site
+
+// Every feature script registers itself on window.GBonk so that main.js
+// can bootstrap them once the DOM is ready.  This file must be loaded
+// first; the others only ever extend the namespace it creates.
+(() => {
+  const GBonk = (window.GBonk = window.GBonk || {});
+
+  // Default configuration.  Anything here can be overridden by defining
+  // window.GBONK_CONFIG in an inline script before this file loads, e.g.
+  //
+  //   <script>window.GBONK_CONFIG = { rpcUrl: 'http://localhost:8899' };</script>
+  //
+  // which is how the live data panels are pointed at a local mock server
+  // during development.
+  const defaults = {
+    // Solana JSON‑RPC endpoint used for all on‑chain reads.
+    rpcUrl: 'https://api.mainnet-beta.solana.com',
+    // Milliseconds before an RPC or data request is abandoned.
+    requestTimeout: 8000,
+    // The $GBONK mint.  This is the same address shown in #contract-address
+    // and must match the official address file (see `contract` below).
+    mint: 'AjdCzXwien2FmTx3GDZeA6YX34A6rzhQCCZXSa7tqXJ4',
+    // SPL token decimals for $GBONK.
+    decimals: 6,
+    // Dexscreener‑compatible pair data API used for the price ticker.
+    market: {
+      apiUrl: 'https://api.dexscreener.com/latest/dex',
+      chainId: 'solana',
+      // Optional pool address; when empty the most liquid pool for the
+      // mint is used.
+      pairAddress: '',
+      pollInterval: 30000,
+      // Upper bound for the exponential back‑off after failed polls.
+      maxPollInterval: 300000,
+      // Data older than this is flagged as stale in the ticker.
+      staleAfter: 120000,
+    },
+    // Jupiter‑compatible quote/swap API used by the in‑page swap widget.
+    swap: {
+      apiUrl: 'https://lite-api.jup.ag/swap/v1',
+      defaultSlippageBps: 100,
+      // SOL kept back for network fees and token account rent; a swap
+      // that would dip into it is refused as "not enough SOL".
+      feeReserveSol: 0.01,
+    },
+    // Staking program (Q4 2025 roadmap item).  Until a program ID is set
+    // the section only offers the rewards estimator; useMock swaps in the
+    // in‑memory program from js/staking.js for development and testing.
+    staking: {
+      programId: '',
+      useMock: false,
+      // Advertised lock periods, used by the estimator until the live pool
+      // account can be read.
+      locks: [
+        { days: 30, aprBps: 800 },
+        { days: 90, aprBps: 1500 },
+        { days: 180, aprBps: 2500 },
+      ],
+    },
+    // Community feed proxy (see data/feed.schema.json for the format).
+    feed: {
+      url: '/api/feed',
+      pageSize: 6,
+      // Bundled posts shown when the proxy is unreachable and nothing is
+      // cached yet.
+      fallbackUrl: 'data/feed-fallback.json',
+    },
+    // Rendering quality for the background animations (see js/quality.js).
+    // 'auto' adapts to the measured frame time; 'low', 'medium' or 'high'
+    // pins a tier.
+    quality: {
+      tier: 'auto',
+      // Milliseconds of frames averaged before each adjustment.
+      sampleWindow: 2000,
+      // Average frame times (ms) that trigger a step down or count towards
+      // a step up.  40 ms is 25 fps; 30 Hz displays sit between the two
+      // and keep their tier.
+      downgradeFrameTime: 40,
+      upgradeFrameTime: 20,
+      // Consecutive fast windows required before stepping up.
+      upgradeAfter: 3,
+    },
+    // The 3D mascot (see js/mascot.js): a rigged glTF/GLB model, the names
+    // of its animation clips and of the bone that follows the pointer.
+    // The model is scaled to `height` world units.  assets/mascot.glb is
+    // built by tools/mascot-gltf.js.  With modelUrl '' the low‑poly
+    // stand‑in is shown (as it is when the model cannot be loaded)
+    // without fetching the loader.
+    mascot: {
+      modelUrl: 'assets/mascot.glb',
+      clips: { idle: 'Idle', walk: 'Walk', wave: 'Wave', bonk: 'Bonk' },
+      headBone: 'Head',
+      height: 3.5,
+    },
+    // "Bonk the comet" mini‑game (see js/game.js): milliseconds per round.
+    game: {
+      roundLength: 60000,
+    },
+    // Interface languages (see js/i18n.js).  The default is used when none
+    // of the visitor's browser languages is supported.
+    i18n: {
+      defaultLocale: 'en',
+      localesUrl: 'locales',
+    },
+    // Official contract address file (see js/contract.js and
+    // data/contract.schema.json).  With a base58 Ed25519 publicKey set,
+    // the file is only trusted if its signature verifies.
+    contract: {
+      url: 'data/contract.json',
+      publicKey: '',
+    },
+    // Third‑party libraries (see js/vendor.js).  Each comes from a CDN at a
+    // pinned version, checked against its Subresource Integrity hash, and
+    // from the byte‑identical copy under vendor/ when the CDN fails or
+    // takes longer than `timeout` ms.  When upgrading, replace the files
+    // in vendor/ and update the hashes here and in index.html's import
+    // map.
+    vendor: {
+      timeout: 8000,
+      // Classic scripts, loaded on demand; `global` is what they define.
+      scripts: {
+        chart: {
+          global: 'Chart',
+          src: 'https://cdn.jsdelivr.net/npm/chart.js@4.5.1/dist/chart.umd.min.js',
+          fallback: 'vendor/chart.js/chart.umd.min.js',
+          integrity: 'sha384-jb8JQMbMoBUzgWatfe6COACi2ljcDdZQ2OxczGA3bGNeWe+6DChMTBJemed7ZnvJ',
+        },
+      },
+      // Self‑hosted copies of the ES modules in index.html's import map,
+      // in the same shape (keys ending in '/' map a prefix).
+      modules: {
+        three: 'vendor/three/three.module.js',
+        'three/addons/': 'vendor/three/addons/',
+      },
+    },
+    // Editable site copy (see data/content.schema.json for the format).
+    content: {
+      url: 'data/content.json',
+    },
+    // Whitepaper releases (see js/whitepaper.js).  The manifest lists every
+    // version, newest first; each is a Markdown file beside it.
+    whitepaper: {
+      url: 'whitepaper/versions.json',
+    },
+    tokenomics: {
+      // Supply minted at launch.  Anything missing from the current supply
+      // has been burned through the token program.
+      initialSupply: 865958249.418936,
+      // SPL token accounts (not owner wallets) whose balances make up each
+      // bucket.  The burn bucket also includes tokens sent to the
+      // incinerator rather than burned outright.  Until these are filled in
+      // the live source cannot be computed and the snapshot is used.
+      burnAccounts: [],
+      treasuryAccounts: [],
+      teamAccounts: [],
+      // Bundled fallback used whenever the RPC is unreachable.
+      snapshotUrl: 'data/tokenomics-snapshot.json',
+    },
+    // Burned supply, drawn as the black hole on the universe canvas (see
+    // js/burn.js and js/blackhole.js).  With source 'rpc' the burned
+    // amount is the supply's shortfall against tokenomics.initialSupply
+    // plus the balances of tokenomics.burnAccounts, falling back to the
+    // tokenomics snapshot; 'fixture' replays fixtureUrl (described by
+    // data/burn-fixture.schema.json), one sample per poll, for trying out
+    // burn events locally.
+    burn: {
+      source: 'rpc',
+      fixtureUrl: 'data/burn-fixture.json',
+      pollInterval: 60000,
+    },
+    // Team vesting schedule (js/vesting.js), described by
+    // data/vesting.schema.json.  Each wallet names the token account that
+    // holds its locked tokens, whose balance is checked against what the
+    // schedule says is still locked.  data/vesting-fixture.json is a
+    // made‑up schedule for trying the chart and table out locally.
+    vesting: {
+      url: 'data/vesting.json',
+    },
+    // Community governance (js/governance.js).  With backend 'json' the
+    // proposals, snapshots and votes are read from `url` (described by
+    // data/governance.schema.json) and votes cast during the visit are kept
+    // in memory, for testing; data/governance-fixture.json has a few
+    // made‑up proposals with signed votes.  With 'http', `url` is the base
+    // of a governance API that stores them instead.
+    governance: {
+      backend: 'json',
+      url: 'data/governance.json',
+      // Tallies of open proposals are refreshed this often (ms).
+      pollInterval: 30000,
+    },
+    // Airdrops (js/airdrop.js).  `url` lists the published campaign files
+    // (data/airdrops.schema.json), each built from an allocation CSV by
+    // tools/airdrop-merkle.js; data/airdrops-fixture.json lists a made‑up
+    // campaign for trying the checker out locally.  Claims go through the
+    // claim program at programId, or the in‑memory one with useMock for
+    // testing the whole flow offline; with neither, the checker still
+    // shows each allocation and its proof.
+    airdrop: {
+      url: 'data/airdrops.json',
+      programId: '',
+      useMock: false,
+    },
+    // Installable app (js/pwa.js): the service worker that keeps the site
+    // working offline, or '' to run without one (handy while developing,
+    // since it serves the cached shell until the next VERSION in sw.js).
+    // Registered pages check for a new deploy this often (ms) while open.
+    pwa: {
+      serviceWorker: 'sw.js',
+      updateCheckInterval: 3600000,
+    },
+  };
+
+  // Recursively merge plain objects; arrays and primitives are replaced.
+  function merge(target, source) {
+    Object.keys(source || {}).forEach((key) => {
+      const value = source[key];
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        target[key] = merge(Object.assign({}, target[key]), value);
+      } else {
+        target[key] = value;
+      }
+    });
+    return target;
+  }
+
+  GBonk.config = merge(merge({}, defaults), window.GBONK_CONFIG);
+
+  // Fetch a document and read its body with `read`, abandoning the request
+  // after `timeout` ms.  A non‑2xx status is treated as an error so callers
+  // can fall back to bundled data with a single catch.
+  async function request(url, options, read) {
+    const { timeout = GBonk.config.requestTimeout, ...init } = options;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    try {
+      const res = await fetch(url, { ...init, signal: controller.signal });
+      if (!res.ok) throw new Error(`Request to ${url} failed with HTTP ${res.status}`);
+      return await read(res);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  GBonk.fetchJSON = function fetchJSON(url, options = {}) {
+    return request(url, options, (res) => res.json());
+  };
+
+  // Same, for plain text such as the whitepaper's Markdown sources.
+  GBonk.fetchText = function fetchText(url, options = {}) {
+    return request(url, options, (res) => res.text());
+  };
+
+  // Tiny listener registry used by modules that publish state changes.
+  // subscribe() returns a function that removes the listener again.
+  GBonk.createEmitter = function createEmitter() {
+    const listeners = new Set();
+    return {
+      subscribe(fn) {
+        listeners.add(fn);
+        return () => listeners.delete(fn);
+      },
+      emit(value) {
+        listeners.forEach((fn) => {
+          try {
+            fn(value);
+          } catch (err) {
+            console.error(err);
+          }
+        });
+      },
+    };
+  };
+
+  // Whether the browser has a network connection, and a way to hear when
+  // that changes (listeners get true or false).  Live panels use it to
+  // say they are offline rather than wait on requests that cannot work;
+  // being online is no promise an API is reachable, so they still handle
+  // errors.
+  const connectivity = GBonk.createEmitter();
+  window.addEventListener('online', () => connectivity.emit(true));
+  window.addEventListener('offline', () => connectivity.emit(false));
+
+  GBonk.connectivity = {
+    online: () => navigator.onLine !== false,
+    subscribe: connectivity.subscribe,
+  };
+
+  // Shorten a base58 address for display, e.g. "AjdC…qXJ4".
+  GBonk.shortAddress = function shortAddress(address, chars = 4) {
+    if (!address || address.length <= chars * 2 + 1) return address || '';
+    return `${address.slice(0, chars)}…${address.slice(-chars)}`;
+  };
+
+  // Base58 (Bitcoin alphabet), as used for Solana addresses and
+  // signatures.  Leading zero bytes are written as leading '1's.
+  const BASE58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+  GBonk.base58 = {
+    encode(bytes) {
+      const digits = [];
+      for (const byte of bytes) {
+        let carry = byte;
+        for (let i = 0; i < digits.length; i++) {
+          carry += digits[i] << 8;
+          digits[i] = carry % 58;
+          carry = Math.floor(carry / 58);
+        }
+        while (carry) {
+          digits.push(carry % 58);
+          carry = Math.floor(carry / 58);
+        }
+      }
+      let text = '';
+      for (let i = 0; i < bytes.length && bytes[i] === 0; i++) text += '1';
+      for (let i = digits.length - 1; i >= 0; i--) text += BASE58[digits[i]];
+      return text;
+    },
+    // Bytes of a base58 string, or null if it contains characters outside
+    // the alphabet.
+    decode(text) {
+      if (typeof text !== 'string' || !text) return null;
+      const bytes = [];
+      for (const char of text) {
+        let carry = BASE58.indexOf(char);
+        if (carry < 0) return null;
+        for (let i = 0; i < bytes.length; i++) {
+          carry += bytes[i] * 58;
+          bytes[i] = carry & 0xff;
+          carry >>= 8;
+        }
+        while (carry) {
+          bytes.push(carry & 0xff);
+          carry >>= 8;
+        }
+      }
+      for (let i = 0; i < text.length && text[i] === '1'; i++) bytes.push(0);
+      return Uint8Array.from(bytes.reverse());
+    },
+  };
+
+  // Check an Ed25519 `signature` (bytes) over `message` (bytes or text)
+  // by the base58 `publicKey`.  Resolves to true or false, or null when
+  // the browser cannot verify Ed25519 signatures.
+  GBonk.verifyEd25519 = async function verifyEd25519(publicKey, signature, message) {
+    const key = GBonk.base58.decode(publicKey);
+    if (!key || key.length !== 32 || !signature || signature.length !== 64) return false;
+    let cryptoKey;
+    try {
+      cryptoKey = await crypto.subtle.importKey('raw', key, { name: 'Ed25519' }, false, ['verify']);
+    } catch (err) {
+      return null;
+    }
+    const data = typeof message === 'string' ? new TextEncoder().encode(message) : message;
+    return crypto.subtle.verify({ name: 'Ed25519' }, cryptoKey, signature, data);
+  };
+})();
@@ -0,0 +1,159 @@
+// dashboard.js – Holder dashboard for the connected wallet
+
+// Once a wallet is connected we look up its $GBONK token accounts through
+// the shared RPC client (GBonk.rpc, swappable for a mock) and show the
+// balance, its USD value and its share of the circulating supply.  The
+// holding is also highlighted as a "You" slice on the tokenomics chart.
+(() => {
+  const GBonk = window.GBonk;
+  // Balances are refreshed while connected so the panel tracks trades.
+  const REFRESH_INTERVAL = 60000;
+
+  // Sum the $GBONK held across all of an owner's token accounts.  Most
+  // wallets have a single associated account, but nothing stops a holder
+  // having several.
+  async function fetchHolderBalance(owner, client = GBonk.rpc.getClient()) {
+    const accounts = await client.getTokenAccountsByOwner(owner, GBonk.config.mint);
+    return accounts.reduce((total, { account }) => {
+      const amount = account.data.parsed.info.tokenAmount;
+      return total + Number(amount.uiAmountString);
+    }, 0);
+  }
+
+  // Gather everything the panel shows.  The price is optional: if the
+  // market API is down we still show the balance and share.
+  async function loadHoldings(owner) {
+    const [balance, pair] = await Promise.all([
+      fetchHolderBalance(owner),
+      GBonk.market.fetchPair().catch((err) => {
+        console.warn('Price unavailable', err);
+        return null;
+      }),
+    ]);
+    const tokenomics = GBonk.tokenomics && GBonk.tokenomics.current();
+    const circulating = tokenomics ? tokenomics.buckets.circulating : null;
+    return {
+      balance,
+      valueUsd: pair && pair.priceUsd !== null ? balance * pair.priceUsd : null,
+      share: circulating ? balance / circulating : null,
+    };
+  }
+
+  const { formatNumber, t } = GBonk.i18n;
+
+  function formatShare(share) {
+    const percent = share * 100;
+    if (percent === 0) return '0\u00a0%';
+    // Keep a few significant digits for small holders.
+    const options = percent < 0.01
+      ? { maximumSignificantDigits: 2 }
+      : { minimumFractionDigits: 2, maximumFractionDigits: 2 };
+    return `${formatNumber(percent, options)}\u00a0%`;
+  }
+
+  function init() {
+    const panel = document.getElementById('holder-dashboard');
+    if (!panel || !GBonk.wallet) return;
+    const prompt = panel.querySelector('.holder-prompt');
+    const stats = panel.querySelector('.holder-stats');
+    const errorEl = panel.querySelector('.holder-error');
+    const fields = {};
+    panel.querySelectorAll('[data-field]').forEach((el) => { fields[el.dataset.field] = el; });
+
+    let owner = null;
+    let timer = null;
+    let lastHoldings = null;
+
+    function render(holdings) {
+      fields.balance.textContent = `${formatNumber(holdings.balance, { maximumFractionDigits: 2 })} $GBONK`;
+      fields.value.textContent = holdings.valueUsd !== null
+        ? formatNumber(holdings.valueUsd, { style: 'currency', currency: 'USD' })
+        : '–';
+      fields.share.textContent = holdings.share !== null ? formatShare(holdings.share) : '–';
+    }
+
+    // Offline, the last figures stay up (or "–" if there are none yet) with
+    // a note, instead of the panel waiting on requests that cannot succeed.
+    function showOffline() {
+      if (!lastHoldings) Object.values(fields).forEach((el) => { el.textContent = '–'; });
+      errorEl.textContent = t('dashboard.offline');
+      errorEl.hidden = false;
+    }
+
+    async function refresh() {
+      const requestedFor = owner;
+      if (!requestedFor) return;
+      if (!GBonk.connectivity.online()) {
+        showOffline();
+        return;
+      }
+      panel.setAttribute('aria-busy', 'true');
+      try {
+        const holdings = await loadHoldings(requestedFor);
+        // Ignore responses for a wallet that has since changed.
+        if (requestedFor !== owner) return;
+        lastHoldings = holdings;
+        errorEl.hidden = true;
+        render(holdings);
+        if (GBonk.tokenomics) GBonk.tokenomics.setHolderBalance(holdings.balance);
+      } catch (err) {
+        if (requestedFor !== owner) return;
+        console.error(err);
+        errorEl.textContent = t('dashboard.error');
+        errorEl.hidden = false;
+      } finally {
+        panel.removeAttribute('aria-busy');
+      }
+    }
+
+    GBonk.wallet.subscribe(({ publicKey }) => {
+      if (publicKey === owner) return;
+      owner = publicKey;
+      clearInterval(timer);
+      lastHoldings = null;
+      prompt.hidden = Boolean(owner);
+      stats.hidden = !owner;
+      errorEl.hidden = true;
+      if (!owner) {
+        if (GBonk.tokenomics) GBonk.tokenomics.setHolderBalance(0);
+        return;
+      }
+      Object.values(fields).forEach((el) => { el.textContent = '…'; });
+      refresh();
+      timer = setInterval(refresh, REFRESH_INTERVAL);
+    });
+
+    // The share depends on the circulating supply, which may arrive after
+    // the balance (or change on a later tokenomics reload).
+    if (GBonk.tokenomics) {
+      GBonk.tokenomics.subscribe((data) => {
+        if (!lastHoldings) return;
+        lastHoldings.share = lastHoldings.balance / data.buckets.circulating;
+        render(lastHoldings);
+        GBonk.tokenomics.setHolderBalance(lastHoldings.balance);
+      });
+    }
+
+    GBonk.i18n.subscribe(() => {
+      if (lastHoldings) render(lastHoldings);
+      if (owner && !GBonk.connectivity.online()) showOffline();
+    });
+
+    GBonk.connectivity.subscribe((online) => {
+      if (!owner) return;
+      if (online) refresh();
+      else showOffline();
+    });
+
+    GBonk.dashboard.refresh = refresh;
+  }
+
+  GBonk.dashboard = {
+    fetchHolderBalance,
+    loadHoldings,
+    init,
+    // Re-query the connected wallet's holdings (e.g. after a swap).
+    // Replaced with the live implementation once the panel is initialised.
+    refresh: () => Promise.resolve(),
+  };
+})();
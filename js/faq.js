@@ -0,0 +1,225 @@
+// faq.js – FAQ accordion with search, deep links and structured data
+
+// The entries are rendered by js/content.js as a WAI‑ARIA accordion (a
+// button in a heading controlling a labelled region) and re‑rendered when
+// the language changes, so everything here works from the DOM and is
+// re‑attached after each render:
+//
+//   - questions open and close on click, and the arrow keys, Home and End
+//     move between them;
+//   - the search box filters entries with a typo‑tolerant match over
+//     questions and answers;
+//   - #faq-<id> in the URL opens that answer and scrolls to it, and
+//     opening an answer puts its link in the address bar;
+//   - a FAQPage JSON‑LD block mirrors the rendered entries for search
+//     engines.
+(() => {
+  const GBonk = window.GBonk;
+  const t = (key, params) => GBonk.i18n.t(key, params);
+
+  let list = null;
+  let search = null;
+  let status = null;
+  let structuredData = null;
+  // Ids of open entries, kept across re-renders.
+  const open = new Set();
+
+  // Lower case, without accents or Arabic vowel marks.
+  function normalise(text) {
+    return String(text).normalize('NFD').replace(/\p{M}/gu, '').toLocaleLowerCase(GBonk.i18n.locale());
+  }
+
+  function words(text) {
+    return normalise(text).split(/[^\p{L}\p{N}$]+/u).filter(Boolean);
+  }
+
+  // Whether the edit distance between `a` and `b` is at most `max`.
+  function withinDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return false;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      for (let j = 1; j <= b.length; j++) {
+        row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+      if (Math.min(...row) > max) return false;
+      previous = row;
+    }
+    return previous[b.length] <= max;
+  }
+
+  // A search term matches a word it is part of, or (from four letters
+  // on) the start of a word it is a typo or two away from, so "distrbut"
+  // still finds "distributed".
+  function termMatches(term, word) {
+    if (word.includes(term)) return true;
+    if (term.length < 4) return false;
+    const max = term.length >= 8 ? 2 : 1;
+    for (let length = term.length - max; length <= term.length + max; length++) {
+      if (length > 0 && length <= word.length && withinDistance(term, word.slice(0, length), max)) return true;
+    }
+    return false;
+  }
+
+  // Every term of `query` must match somewhere in `text`.
+  function matches(query, text) {
+    const terms = words(query);
+    const haystack = words(text);
+    return terms.every((term) => haystack.some((word) => termMatches(term, word)));
+  }
+
+  function items() {
+    return list ? Array.from(list.querySelectorAll('.faq-item')) : [];
+  }
+
+  function parts(item) {
+    return {
+      question: item.querySelector('.faq-question'),
+      answer: item.querySelector('.faq-answer'),
+    };
+  }
+
+  function setOpen(item, isOpen) {
+    const { question } = parts(item);
+    item.classList.toggle('open', isOpen);
+    question.setAttribute('aria-expanded', String(isOpen));
+    if (isOpen) open.add(item.id);
+    else open.delete(item.id);
+  }
+
+  // Opening an answer makes the address bar link to it; closing it falls
+  // back to the section.  replaceState neither scrolls nor adds history.
+  function updateHash(item) {
+    if (!history.replaceState) return;
+    if (item.classList.contains('open')) {
+      history.replaceState(null, '', `#${item.id}`);
+    } else if (location.hash === `#${item.id}`) {
+      history.replaceState(null, '', '#faq');
+    }
+  }
+
+  function filter() {
+    const query = search ? search.value.trim() : '';
+    const all = items();
+    let shown = 0;
+    all.forEach((item) => {
+      const visible = !query || matches(query, item.textContent);
+      item.hidden = !visible;
+      if (visible) shown++;
+    });
+    if (!status) return;
+    if (!query) status.textContent = '';
+    else if (!shown) status.textContent = t('faq.noResults');
+    else status.textContent = t('faq.results', { count: shown, total: all.length });
+  }
+
+  // The element id named in the URL, or '' when the hash is not valid
+  // percent‑encoding (e.g. #faq-%E0).
+  function hashId() {
+    try {
+      return decodeURIComponent(location.hash.slice(1));
+    } catch (err) {
+      return '';
+    }
+  }
+
+  // Open and scroll to the entry named in the URL, if there is one.
+  function openFromHash() {
+    const id = hashId();
+    if (!id.startsWith('faq-')) return;
+    const item = items().find((el) => el.id === id);
+    if (!item) return;
+    if (item.hidden && search) {
+      search.value = '';
+      filter();
+    }
+    setOpen(item, true);
+    // Smooth or instant according to the motion policy (html
+    // scroll-behavior), clear of the fixed header (scroll-margin-top).
+    item.scrollIntoView({ block: 'start' });
+    parts(item).question.focus({ preventScroll: true });
+  }
+
+  function renderStructuredData() {
+    const page = location.href.split('#')[0];
+    const data = {
+      '@context': 'https://schema.org',
+      '@type': 'FAQPage',
+      inLanguage: GBonk.i18n.locale(),
+      mainEntity: items().map((item) => {
+        const { question, answer } = parts(item);
+        const text = Array.from(answer.querySelectorAll('p'), (p) => p.textContent.trim()).join('\n\n');
+        return {
+          '@type': 'Question',
+          name: question.textContent.trim(),
+          url: `${page}#${item.id}`,
+          acceptedAnswer: { '@type': 'Answer', text },
+        };
+      }),
+    };
+    if (!structuredData) {
+      structuredData = document.createElement('script');
+      structuredData.type = 'application/ld+json';
+      structuredData.id = 'faq-structured-data';
+      document.head.appendChild(structuredData);
+    }
+    // Escaped so no answer can close the script element early.
+    structuredData.textContent = JSON.stringify(data).replace(/</g, '\\u003c');
+  }
+
+  // After a (re-)render: restore open entries and the filter.
+  function refresh() {
+    items().forEach((item) => setOpen(item, open.has(item.id)));
+    filter();
+    renderStructuredData();
+  }
+
+  // WAI‑ARIA accordion keys: arrows move between visible questions and
+  // wrap, Home and End jump to the first and last.
+  function onKeydown(event) {
+    const current = event.target.closest('.faq-question');
+    if (!current) return;
+    const questions = items().filter((item) => !item.hidden).map((item) => parts(item).question);
+    const index = questions.indexOf(current);
+    let next = null;
+    if (event.key === 'ArrowDown') next = questions[(index + 1) % questions.length];
+    else if (event.key === 'ArrowUp') next = questions[(index - 1 + questions.length) % questions.length];
+    else if (event.key === 'Home') next = questions[0];
+    else if (event.key === 'End') next = questions[questions.length - 1];
+    if (!next) return;
+    event.preventDefault();
+    next.focus();
+  }
+
+  function init() {
+    list = document.querySelector('.faq-list');
+    if (!list) return;
+    search = document.getElementById('faq-search');
+    status = document.getElementById('faq-search-status');
+
+    list.addEventListener('click', (event) => {
+      const question = event.target.closest('.faq-question');
+      const item = question && question.closest('.faq-item');
+      if (!item) return;
+      setOpen(item, !item.classList.contains('open'));
+      updateHash(item);
+    });
+    list.addEventListener('keydown', onKeydown);
+    if (search) {
+      search.addEventListener('input', filter);
+      search.addEventListener('keydown', (event) => {
+        if (event.key !== 'Escape' || !search.value) return;
+        search.value = '';
+        filter();
+      });
+    }
+    window.addEventListener('hashchange', openFromHash);
+    if (GBonk.content) GBonk.content.subscribe(refresh);
+    GBonk.i18n.subscribe(filter);
+
+    refresh();
+    openFromHash();
+  }
+
+  GBonk.faq = { matches, init };
+})();
@@ -0,0 +1,286 @@
+// feed.js – Community feed of X and Telegram posts for #tweet-feed
+
+// Posts come from our own proxy of the X and Telegram channels
+// (GBonk.config.feed.url), in the format described by
+// data/feed.schema.json.  Post text is never parsed as HTML: it is split
+// into plain text, links, hashtags, cashtags and mentions and each piece
+// is built as a DOM node.  Relative times are computed from the real
+// timestamps and kept fresh.  The first page is cached in localStorage so
+// returning visitors see something offline, with a bundled fallback file
+// as the last resort.
+(() => {
+  const GBonk = window.GBonk;
+  const { t } = GBonk.i18n;
+  const CACHE_KEY = 'gbonk:feed';
+
+  const SOURCES = {
+    x: { label: 'X', profile: 'https://x.com/GalacticBonk' },
+    telegram: { label: 'Telegram', profile: 'https://t.me/GalacticBonk' },
+  };
+
+  // Links, #hashtags, $cashtags and @mentions.  Hashtags and mentions must
+  // not be preceded by a word character so e-mail addresses and URL
+  // fragments are left alone.
+  const TOKEN_PATTERN = /(https?:\/\/[^\s<>"]+)|(^|[^\w&])(#[\p{L}\p{N}_]+)|(^|[^\w])(\$[A-Za-z][A-Za-z0-9_]{0,14})\b|(^|[^\w])(@[A-Za-z0-9_]{1,15})\b/gu;
+
+  // Split post text into typed segments: { type: 'text' | 'link' |
+  // 'hashtag' | 'cashtag' | 'mention', value }.
+  function tokenize(text) {
+    const segments = [];
+    let last = 0;
+    const push = (type, value) => {
+      if (!value) return;
+      const prev = segments[segments.length - 1];
+      if (type === 'text' && prev && prev.type === 'text') prev.value += value;
+      else segments.push({ type, value });
+    };
+    text.replace(TOKEN_PATTERN, (match, url, hashPre, hashtag, cashPre, cashtag, mentionPre, mention, offset) => {
+      push('text', text.slice(last, offset));
+      if (url) {
+        // Trailing punctuation is almost always sentence punctuation.
+        const trimmed = url.replace(/[).,!?:;'"]+$/, '');
+        push('link', trimmed);
+        push('text', url.slice(trimmed.length));
+      } else if (hashtag) {
+        push('text', hashPre);
+        push('hashtag', hashtag);
+      } else if (cashtag) {
+        push('text', cashPre);
+        push('cashtag', cashtag);
+      } else {
+        push('text', mentionPre);
+        push('mention', mention);
+      }
+      last = offset + match.length;
+      return match;
+    });
+    push('text', text.slice(last));
+    return segments;
+  }
+
+  // Only http(s) URLs become links; anything else stays plain text.
+  function safeUrl(value) {
+    try {
+      const url = new URL(value);
+      return url.protocol === 'https:' || url.protocol === 'http:' ? url.href : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function externalLink(href, text) {
+    const a = document.createElement('a');
+    a.href = href;
+    a.target = '_blank';
+    a.rel = 'noopener nofollow ugc';
+    a.textContent = text;
+    return a;
+  }
+
+  // Build the DOM for a post's text.  Newlines become <br>.
+  function renderText(text) {
+    const fragment = document.createDocumentFragment();
+    tokenize(text).forEach(({ type, value }) => {
+      if (type === 'link') {
+        const href = safeUrl(value);
+        fragment.appendChild(href ? externalLink(href, value.replace(/^https?:\/\//, '')) : document.createTextNode(value));
+      } else if (type === 'hashtag') {
+        fragment.appendChild(externalLink(`https://x.com/hashtag/${encodeURIComponent(value.slice(1))}`, value));
+      } else if (type === 'cashtag') {
+        fragment.appendChild(externalLink(`https://x.com/search?q=${encodeURIComponent(value)}`, value));
+      } else if (type === 'mention') {
+        fragment.appendChild(externalLink(`https://x.com/${encodeURIComponent(value.slice(1))}`, value));
+      } else {
+        value.split('\n').forEach((line, i) => {
+          if (i > 0) fragment.appendChild(document.createElement('br'));
+          if (line) fragment.appendChild(document.createTextNode(line));
+        });
+      }
+    });
+    return fragment;
+  }
+
+  const UNITS = [
+    ['year', 365 * 24 * 3600],
+    ['month', 30 * 24 * 3600],
+    ['week', 7 * 24 * 3600],
+    ['day', 24 * 3600],
+    ['hour', 3600],
+    ['minute', 60],
+  ];
+
+  // "5m ago", "yesterday", "3w ago" … relative to `now`, in the page
+  // language.
+  function relativeTime(date, now = Date.now()) {
+    const seconds = Math.round((date.getTime() - now) / 1000);
+    const abs = Math.abs(seconds);
+    for (const [unit, size] of UNITS) {
+      if (abs >= size) {
+        return GBonk.i18n.formatRelative(Math.round(seconds / size), unit, { numeric: 'auto', style: 'narrow' });
+      }
+    }
+    return t('feed.justNow');
+  }
+
+  // Drop anything that does not match the schema's required fields.
+  function validPosts(posts) {
+    return (Array.isArray(posts) ? posts : []).filter((p) => (
+      p && typeof p.id === 'string'
+      && typeof p.text === 'string'
+      && Object.hasOwn(SOURCES, p.source)
+      && !Number.isNaN(Date.parse(p.createdAt))
+    ));
+  }
+
+  // Fetch one page from the proxy.  Resolves to { posts, nextCursor }.
+  async function fetchPage(cursor) {
+    const { url, pageSize } = GBonk.config.feed;
+    const params = new URLSearchParams({ limit: String(pageSize) });
+    if (cursor) params.set('cursor', cursor);
+    const body = await GBonk.fetchJSON(`${url}${url.includes('?') ? '&' : '?'}${params}`);
+    return { posts: validPosts(body.posts), nextCursor: body.nextCursor || null };
+  }
+
+  function readCache() {
+    try {
+      const cached = JSON.parse(localStorage.getItem(CACHE_KEY));
+      return cached && Array.isArray(cached.posts) ? { posts: validPosts(cached.posts), savedAt: cached.savedAt } : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function writeCache(posts) {
+    try {
+      localStorage.setItem(CACHE_KEY, JSON.stringify({ posts, savedAt: Date.now() }));
+    } catch (err) {
+      // Storage full or disabled; the bundled fallback still works.
+    }
+  }
+
+  // First page with offline fallbacks: live → cached → bundled.  The
+  // result's `offline` flag tells the UI to show a notice and hide
+  // "Load more".
+  async function loadFirstPage() {
+    try {
+      const page = await fetchPage();
+      writeCache(page.posts);
+      return { ...page, offline: false };
+    } catch (err) {
+      console.warn('Live feed unavailable:', err.message);
+    }
+    const cached = readCache();
+    if (cached && cached.posts.length) return { posts: cached.posts, nextCursor: null, offline: true };
+    const bundled = await GBonk.fetchJSON(GBonk.config.feed.fallbackUrl);
+    return { posts: validPosts(bundled.posts), nextCursor: null, offline: true };
+  }
+
+  function renderPost(post) {
+    const source = SOURCES[post.source];
+    const li = document.createElement('li');
+    li.className = `feed-post feed-${post.source}`;
+    const author = document.createElement('strong');
+    author.textContent = (post.author && post.author.handle) || '@GalacticBonk';
+    const time = document.createElement('time');
+    const date = new Date(post.createdAt);
+    time.dateTime = date.toISOString();
+    time.title = GBonk.i18n.formatDate(date, { dateStyle: 'medium', timeStyle: 'short' });
+    time.textContent = relativeTime(date);
+    const meta = document.createElement('span');
+    meta.className = 'feed-meta';
+    meta.appendChild(time);
+    const permalink = safeUrl(post.url || '') || source.profile;
+    meta.append(' · ', externalLink(permalink, t('feed.on', { source: source.label })));
+    const body = document.createElement('p');
+    body.className = 'feed-text';
+    body.appendChild(renderText(post.text));
+    li.append(author, ' • ', meta, body);
+    return li;
+  }
+
+  function init() {
+    const feed = document.getElementById('tweet-feed');
+    if (!feed) return;
+    const moreBtn = document.getElementById('feed-more');
+    const notice = document.getElementById('feed-notice');
+    const seen = new Set();
+    const shown = [];
+    let cursor = null;
+    // Key of the message in the notice, so it can be re-translated.
+    let noticeKey = null;
+
+    function append(posts) {
+      posts.forEach((post) => {
+        if (seen.has(post.id)) return;
+        seen.add(post.id);
+        shown.push(post);
+        feed.appendChild(renderPost(post));
+      });
+    }
+
+    function setNotice(key) {
+      noticeKey = key;
+      if (!notice) return;
+      notice.hidden = !key;
+      notice.textContent = key ? t(key) : '';
+    }
+
+    function setMore(nextCursor) {
+      cursor = nextCursor;
+      if (moreBtn) moreBtn.hidden = !cursor;
+    }
+
+    feed.setAttribute('aria-busy', 'true');
+    loadFirstPage().then((page) => {
+      append(page.posts);
+      setMore(page.nextCursor);
+      setNotice(page.offline ? 'feed.offline' : null);
+    }).catch((err) => {
+      console.error('Failed to load community feed', err);
+      setNotice('feed.failed');
+    }).finally(() => feed.removeAttribute('aria-busy'));
+
+    if (moreBtn) {
+      moreBtn.textContent = t('feed.more');
+      moreBtn.addEventListener('click', async () => {
+        moreBtn.disabled = true;
+        moreBtn.textContent = t('feed.loading');
+        try {
+          const page = await fetchPage(cursor);
+          append(page.posts);
+          setMore(page.nextCursor);
+        } catch (err) {
+          console.error(err);
+          setNotice('feed.moreFailed');
+        } finally {
+          moreBtn.disabled = false;
+          moreBtn.textContent = t('feed.more');
+        }
+      });
+    }
+
+    // Rebuild the posts in the new language (relative times, "on X").
+    GBonk.i18n.subscribe(() => {
+      feed.textContent = '';
+      shown.forEach((post) => feed.appendChild(renderPost(post)));
+      if (noticeKey) setNotice(noticeKey);
+      if (moreBtn && !moreBtn.disabled) moreBtn.textContent = t('feed.more');
+    });
+
+    // Keep "5m ago" labels honest while the page stays open.
+    setInterval(() => {
+      feed.querySelectorAll('time').forEach((time) => {
+        time.textContent = relativeTime(new Date(time.dateTime));
+      });
+    }, 60000);
+  }
+
+  GBonk.feed = {
+    tokenize,
+    renderText,
+    relativeTime,
+    fetchPage,
+    loadFirstPage,
+    init,
+  };
+})();
@@ -0,0 +1,388 @@
+// game.js – "Bonk the comet": an opt‑in mini‑game on the universe canvas
+
+// Pressing the start button in the hero turns the background into a
+// shooting gallery for one timed round.  Comets drift in from the right
+// and meteors fall steeply from the top; bonking one scores points, and
+// quick successive bonks build a combo that multiplies them while a miss
+// breaks it.  Targets come faster, smaller and more often as the round
+// goes on.  The best scores are kept in localStorage.
+//
+// The game has no loop of its own: initUniverse() in main.js calls
+// frame() from its draw loop, which returns at once when no round is
+// running, so normal browsing is unaffected.  While a round runs the
+// canvas is lifted above the page (body.game-playing) to receive pointer
+// and touch input.  Keyboard players aim a crosshair with the arrow keys
+// or WASD and bonk with Space or Enter; Escape ends the round.
+(() => {
+  const GBonk = window.GBonk;
+  const STORAGE_KEY = 'gbonk:game-scores';
+  const MAX_SCORES = 5;
+  // Bonks closer together than this (ms) extend the combo, up to ×5.
+  const COMBO_WINDOW = 1500;
+  const MAX_COMBO = 5;
+  // Extra hit radius for fingers, which cover more than a cursor.
+  const TOUCH_SLOP = 16;
+  // Crosshair speed for keyboard aiming, in px per ms.
+  const AIM_SPEED = 0.6;
+  const AIM_KEYS = {
+    ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1],
+    a: [-1, 0], d: [1, 0], w: [0, -1], s: [0, 1],
+  };
+
+  // Speeds are in px per ms at the start of the round; radii in px.
+  const KINDS = {
+    comet: { points: 100, radius: 30, speed: 0.25, colour: '255,255,255' },
+    meteor: { points: 250, radius: 22, speed: 0.45, colour: '255,170,80' },
+  };
+
+  const changes = GBonk.createEmitter();
+  const heldKeys = new Set();
+  let round = null;
+  // The last completed round, shown in the results panel.
+  let results = null;
+  let hud = null;
+  let lastHud = '';
+
+  function lerp(from, to, t) {
+    return from + (to - from) * t;
+  }
+
+  function loadScores() {
+    try {
+      const scores = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      return Array.isArray(scores) ? scores.filter((entry) => Number.isFinite(entry.score)) : [];
+    } catch (err) {
+      return [];
+    }
+  }
+
+  // Add `score` to the table.  Returns the entry's date, which identifies
+  // it in the table, and whether it is the new best.
+  function saveScore(score) {
+    const scores = loadScores();
+    const best = score > 0 && (!scores.length || score > scores[0].score);
+    const date = new Date().toISOString();
+    scores.push({ score, date });
+    scores.sort((a, b) => b.score - a.score);
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(scores.slice(0, MAX_SCORES)));
+    } catch (err) {
+      // Storage disabled; the score is shown but not kept.
+    }
+    return { date, best };
+  }
+
+  // Difficulty runs from 0 at the start of the round to 1 at the end.
+  function difficulty() {
+    return Math.min(round.time / GBonk.config.game.roundLength, 1);
+  }
+
+  function spawnTarget(width, height) {
+    const level = difficulty();
+    const kind = Math.random() < lerp(0.15, 0.5, level) ? 'meteor' : 'comet';
+    const { radius, speed } = KINDS[kind];
+    const velocity = speed * lerp(1, 2.2, level) * (0.85 + Math.random() * 0.3);
+    // Comets cross from the right at a shallow angle; meteors drop in from
+    // the top, leaning left or right.
+    const angle = kind === 'comet'
+      ? Math.PI - (Math.random() * 0.5 - 0.1)
+      : Math.PI / 2 + (Math.random() - 0.5) * 0.8;
+    const size = radius * lerp(1, 0.65, level);
+    return {
+      kind,
+      radius: size,
+      x: kind === 'comet' ? width + size : Math.random() * width,
+      y: kind === 'comet' ? Math.random() * height * 0.7 : -size,
+      vx: Math.cos(angle) * velocity,
+      vy: Math.sin(angle) * velocity,
+    };
+  }
+
+  function field(name) {
+    return hud.querySelector(`[data-field="${name}"]`);
+  }
+
+  // Refresh the HUD, touching the DOM only when something shown changed.
+  function renderHud() {
+    const { t, formatNumber } = GBonk.i18n;
+    const remaining = Math.max(0, Math.ceil((GBonk.config.game.roundLength - round.time) / 1000));
+    const combo = round.combo > 1 ? t('game.combo', { count: round.combo }) : '';
+    const key = `${round.score}|${combo}|${remaining}`;
+    if (key === lastHud) return;
+    lastHud = key;
+    field('score').textContent = formatNumber(round.score);
+    field('combo').textContent = combo;
+    field('time').textContent = formatNumber(remaining);
+  }
+
+  function renderResults() {
+    const { t, formatNumber, formatDate } = GBonk.i18n;
+    field('final').textContent = t('game.final', { score: formatNumber(results.score), count: results.hits });
+    field('best').hidden = !results.best;
+    const list = hud.querySelector('.game-scores');
+    list.textContent = '';
+    const scores = loadScores();
+    if (!scores.length) {
+      const empty = document.createElement('li');
+      empty.className = 'game-scores-empty';
+      empty.textContent = t('game.noScores');
+      list.appendChild(empty);
+      return;
+    }
+    scores.forEach((entry) => {
+      const item = document.createElement('li');
+      if (entry.date === results.date) item.classList.add('current');
+      const score = document.createElement('strong');
+      score.textContent = formatNumber(entry.score);
+      const date = document.createElement('time');
+      date.dateTime = entry.date;
+      date.textContent = formatDate(new Date(entry.date), { dateStyle: 'medium' });
+      item.append(score, ' ', date);
+      list.appendChild(item);
+    });
+  }
+
+  // Bonk at (x, y): the nearest target within reach is hit, otherwise the
+  // combo is lost.
+  function bonk(x, y, slop = 0) {
+    let hit = null;
+    let nearest = Infinity;
+    round.targets.forEach((target) => {
+      const distance = Math.hypot(target.x - x, target.y - y);
+      if (distance <= target.radius + slop && distance < nearest) {
+        hit = target;
+        nearest = distance;
+      }
+    });
+    if (!hit) {
+      round.combo = 0;
+      round.bursts.push({ x, y, age: 0, text: '', miss: true });
+      return;
+    }
+    round.targets.splice(round.targets.indexOf(hit), 1);
+    round.combo = round.time - round.lastHit <= COMBO_WINDOW ? Math.min(round.combo + 1, MAX_COMBO) : 1;
+    round.lastHit = round.time;
+    round.hits++;
+    const points = KINDS[hit.kind].points * round.combo;
+    round.score += points;
+    round.bursts.push({ x: hit.x, y: hit.y, age: 0, text: `+${points}`, miss: false });
+  }
+
+  function drawTarget(ctx, target) {
+    const { colour } = KINDS[target.kind];
+    const speed = Math.hypot(target.vx, target.vy) || 1;
+    const tail = target.radius * 3;
+    // Tail streaming behind the direction of travel.
+    const tailX = target.x - (target.vx / speed) * tail;
+    const tailY = target.y - (target.vy / speed) * tail;
+    const trail = ctx.createLinearGradient(target.x, target.y, tailX, tailY);
+    trail.addColorStop(0, `rgba(${colour},0.7)`);
+    trail.addColorStop(1, `rgba(${colour},0)`);
+    ctx.strokeStyle = trail;
+    ctx.lineWidth = target.radius * 0.6;
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    ctx.moveTo(target.x, target.y);
+    ctx.lineTo(tailX, tailY);
+    ctx.stroke();
+    ctx.fillStyle = `rgba(${colour},0.25)`;
+    ctx.beginPath();
+    ctx.arc(target.x, target.y, target.radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = `rgb(${colour})`;
+    ctx.beginPath();
+    ctx.arc(target.x, target.y, target.radius * 0.45, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  function drawBurst(ctx, burst) {
+    const t = burst.age / 600;
+    ctx.strokeStyle = burst.miss ? `rgba(255,80,80,${0.6 * (1 - t)})` : `rgba(255,215,0,${1 - t})`;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(burst.x, burst.y, (burst.miss ? 12 : 20) + t * 40, 0, Math.PI * 2);
+    ctx.stroke();
+    if (burst.text) {
+      ctx.fillStyle = `rgba(255,255,255,${1 - t})`;
+      ctx.font = '24px Bangers, sans-serif';
+      ctx.textAlign = 'center';
+      ctx.fillText(burst.text, burst.x, burst.y - 24 - t * 30);
+    }
+  }
+
+  function drawCrosshair(ctx, { x, y }) {
+    ctx.strokeStyle = 'rgba(0,194,203,0.9)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(x, y, 14, 0, Math.PI * 2);
+    ctx.moveTo(x - 22, y);
+    ctx.lineTo(x - 8, y);
+    ctx.moveTo(x + 8, y);
+    ctx.lineTo(x + 22, y);
+    ctx.moveTo(x, y - 22);
+    ctx.lineTo(x, y - 8);
+    ctx.moveTo(x, y + 8);
+    ctx.lineTo(x, y + 22);
+    ctx.stroke();
+  }
+
+  // Advance the round by `dt` ms and draw it onto `ctx`, which covers a
+  // `width` × `height` CSS‑pixel viewport.  Called by the universe draw
+  // loop on every frame; does nothing when no round is running.
+  function frame(ctx, dt, width, height) {
+    if (!round) return;
+    round.time += dt;
+    if (round.time >= GBonk.config.game.roundLength) {
+      end();
+      return;
+    }
+    const level = difficulty();
+    round.spawnTimer -= dt;
+    if (round.spawnTimer <= 0) {
+      round.spawnTimer += lerp(1100, 380, level);
+      if (round.targets.length < Math.round(lerp(4, 10, level))) round.targets.push(spawnTarget(width, height));
+    }
+    for (let i = round.targets.length - 1; i >= 0; i--) {
+      const target = round.targets[i];
+      target.x += target.vx * dt;
+      target.y += target.vy * dt;
+      const margin = target.radius * 4;
+      if (target.x < -margin || target.x > width + margin || target.y > height + margin) {
+        round.targets.splice(i, 1);
+        continue;
+      }
+      drawTarget(ctx, target);
+    }
+    for (let i = round.bursts.length - 1; i >= 0; i--) {
+      const burst = round.bursts[i];
+      burst.age += dt;
+      if (burst.age >= 600) round.bursts.splice(i, 1);
+      else drawBurst(ctx, burst);
+    }
+    const aim = round.aim;
+    if (aim.keyboard) {
+      let dx = 0;
+      let dy = 0;
+      heldKeys.forEach((key) => {
+        dx += AIM_KEYS[key][0];
+        dy += AIM_KEYS[key][1];
+      });
+      aim.x = Math.min(Math.max(aim.x + dx * AIM_SPEED * dt, 0), width);
+      aim.y = Math.min(Math.max(aim.y + dy * AIM_SPEED * dt, 0), height);
+      drawCrosshair(ctx, aim);
+    }
+    renderHud();
+  }
+
+  function start() {
+    if (round) return;
+    round = {
+      time: 0,
+      score: 0,
+      combo: 0,
+      lastHit: -Infinity,
+      hits: 0,
+      spawnTimer: 0,
+      targets: [],
+      bursts: [],
+      aim: { x: window.innerWidth / 2, y: window.innerHeight / 2, keyboard: false },
+    };
+    lastHud = '';
+    heldKeys.clear();
+    hud.querySelector('.game-results').hidden = true;
+    hud.querySelector('.game-stats').hidden = false;
+    hud.hidden = false;
+    document.body.classList.add('game-playing');
+    renderHud();
+    hud.focus();
+    changes.emit(true);
+  }
+
+  // Finish the round.  A completed round is scored and the results shown;
+  // quitting (`completed` false) simply closes the game.
+  function end({ completed = true } = {}) {
+    if (!round) return;
+    const { score, hits } = round;
+    round = null;
+    heldKeys.clear();
+    document.body.classList.remove('game-playing');
+    changes.emit(false);
+    if (!completed) {
+      close();
+      return;
+    }
+    results = { score, hits, ...saveScore(score) };
+    hud.querySelector('.game-stats').hidden = true;
+    const panel = hud.querySelector('.game-results');
+    panel.hidden = false;
+    renderResults();
+    panel.querySelector('[data-action="again"]').focus();
+  }
+
+  function close() {
+    hud.hidden = true;
+    const button = document.getElementById('game-start');
+    if (button) button.focus();
+  }
+
+  function onPointerDown(event) {
+    if (!round) return;
+    event.preventDefault();
+    round.aim = { x: event.clientX, y: event.clientY, keyboard: false };
+    bonk(event.clientX, event.clientY, event.pointerType === 'touch' ? TOUCH_SLOP : 0);
+  }
+
+  function onKeyDown(event) {
+    if (!round) {
+      if (event.key === 'Escape' && hud && !hud.hidden) close();
+      return;
+    }
+    const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+    if (key === 'Escape') {
+      end({ completed: false });
+    } else if (AIM_KEYS[key]) {
+      event.preventDefault();
+      heldKeys.add(key);
+      round.aim.keyboard = true;
+    } else if ((key === ' ' || key === 'Enter') && !event.target.closest('button')) {
+      event.preventDefault();
+      if (!event.repeat) bonk(round.aim.x, round.aim.y);
+      round.aim.keyboard = true;
+    }
+  }
+
+  function onKeyUp(event) {
+    heldKeys.delete(event.key.length === 1 ? event.key.toLowerCase() : event.key);
+  }
+
+  GBonk.game = {
+    frame,
+    start,
+    playing: () => Boolean(round),
+    // Called with true when a round starts and false when it ends.
+    subscribe: changes.subscribe,
+    init() {
+      hud = document.getElementById('game-hud');
+      const button = document.getElementById('game-start');
+      const canvas = document.getElementById('universe');
+      if (!hud || !button || !canvas) return;
+      button.hidden = false;
+      button.addEventListener('click', start);
+      canvas.addEventListener('pointerdown', onPointerDown);
+      document.addEventListener('keydown', onKeyDown);
+      document.addEventListener('keyup', onKeyUp);
+      window.addEventListener('blur', () => heldKeys.clear());
+      hud.addEventListener('click', (event) => {
+        const action = event.target.closest('[data-action]');
+        if (!action) return;
+        if (action.dataset.action === 'quit') end({ completed: false });
+        else if (action.dataset.action === 'again') start();
+        else if (action.dataset.action === 'close') close();
+      });
+      GBonk.i18n.subscribe(() => {
+        lastHud = '';
+        if (results && !hud.querySelector('.game-results').hidden) renderResults();
+      });
+    },
+  };
+})();
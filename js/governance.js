@@ -0,0 +1,558 @@
+// governance.js – Community governance: proposals, signed votes and verifiable tallies
+
+// $GBONK holders vote on proposals with their token balance at each
+// proposal's snapshot slot.  A vote is a short text message signed with
+// the voter's wallet (GBonk.wallet.signMessage), so it costs no fee and
+// needs no program on chain.  Nothing trusts a tally from the server:
+// every result shown is recomputed here from the signed votes, and anyone
+// can download them and do the same.  A vote counts when
+//
+//   - its signature over voteMessage(vote) is valid for vote.voter;
+//   - it names the proposal, its snapshot slot and one of its choices;
+//   - the store received it within the voting window;
+//   - the voter held $GBONK at the snapshot (the weight is that balance);
+//   - it is the voter's latest vote, since voting again replaces a vote.
+//
+// The time in the signed message is the voter's own and could be
+// backdated after voting closes, so the window and "latest" go by
+// receivedAt, which the store records when it accepts a vote.  Receipt
+// times and snapshot balances come from the store as published; the
+// signatures are the part a browser can check for itself.
+//
+// Proposals, snapshots and votes live behind a small store interface:
+//
+//   listProposals()          → [{ id, title, description, choices: [{ id, label }],
+//                                 start, end, snapshot, quorum?, status? }]
+//   getSnapshot(proposalId)  → { slot, balances: { [owner]: amount } }
+//   getVotes(proposalId)     → [{ proposal, choice, slot, voter, timestamp, signature, receivedAt }]
+//   submitVote(vote)         → the stored vote, with receivedAt; rejects
+//                              unless voting is open
+//
+// createJsonStore() reads one JSON file and keeps the votes cast during
+// the visit in memory, for testing; createHttpStore() talks to a
+// governance API.  GBonk.config.governance picks one, and setStore()
+// swaps in another.
+(() => {
+  const GBonk = window.GBonk;
+  const t = (key, params) => GBonk.i18n.t(key, params);
+
+  // Open proposals first, then upcoming ones, then the results.
+  const STATUS_ORDER = ['active', 'pending', 'closed', 'cancelled'];
+  const SECOND = 1000;
+
+  // ---- Stores -----------------------------------------------------------
+
+  // Stores take votes only while a proposal is open.
+  function checkOpen(proposal, now = Date.now()) {
+    if (proposalStatus(proposal, now) !== 'active') throw new Error(t('governance.notOpen'));
+  }
+
+  // Everything from one file (data/governance.schema.json).  Votes cast
+  // during the visit are added to the file's, and lost on reload.
+  function createJsonStore(url) {
+    let file = null;
+    const cast = [];
+
+    function read() {
+      if (!file) {
+        file = GBonk.fetchJSON(url).catch((err) => {
+          file = null;
+          throw err;
+        });
+      }
+      return file;
+    }
+
+    return {
+      async listProposals() {
+        return (await read()).proposals;
+      },
+      async getSnapshot(proposalId) {
+        const snapshot = (await read()).snapshots[proposalId];
+        if (!snapshot) throw new Error(`No snapshot for proposal ${proposalId}`);
+        return snapshot;
+      },
+      async getVotes(proposalId) {
+        const stored = (await read()).votes[proposalId] || [];
+        return stored.concat(cast.filter((vote) => vote.proposal === proposalId));
+      },
+      async submitVote(vote) {
+        const proposal = (await read()).proposals.find((p) => p.id === vote.proposal);
+        if (!proposal) throw new Error(`No proposal ${vote.proposal}`);
+        const now = Date.now();
+        checkOpen(proposal, now);
+        const stored = { ...vote, receivedAt: new Date(now).toISOString() };
+        cast.push(stored);
+        return stored;
+      },
+    };
+  }
+
+  // A governance API at `baseUrl`:
+  //
+  //   GET  {baseUrl}/proposals
+  //   GET  {baseUrl}/proposals/{id}/snapshot
+  //   GET  {baseUrl}/proposals/{id}/votes
+  //   POST {baseUrl}/proposals/{id}/votes   (the vote as JSON)
+  //
+  // The API must refuse votes outside the window by its own clock and
+  // answer with the stored vote, stamped with its receivedAt.
+  function createHttpStore(baseUrl) {
+    const base = baseUrl.replace(/\/$/, '');
+    const proposalUrl = (id, path) => `${base}/proposals/${encodeURIComponent(id)}/${path}`;
+    return {
+      listProposals: () => GBonk.fetchJSON(`${base}/proposals`),
+      getSnapshot: (proposalId) => GBonk.fetchJSON(proposalUrl(proposalId, 'snapshot')),
+      getVotes: (proposalId) => GBonk.fetchJSON(proposalUrl(proposalId, 'votes')),
+      async submitVote(vote) {
+        // Spares a request the API would refuse anyway.
+        const proposals = await GBonk.fetchJSON(`${base}/proposals`);
+        const proposal = proposals.find((p) => p.id === vote.proposal);
+        if (proposal) checkOpen(proposal);
+        return GBonk.fetchJSON(proposalUrl(vote.proposal, 'votes'), {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(vote),
+        });
+      },
+    };
+  }
+
+  let store;
+
+  function getStore() {
+    if (store === undefined) {
+      const cfg = GBonk.config.governance;
+      store = cfg.backend === 'http' ? createHttpStore(cfg.url) : createJsonStore(cfg.url);
+    }
+    return store;
+  }
+
+  // ---- Votes and tallies ------------------------------------------------
+
+  // The exact text a voter signs.  Tallies rebuild it from the vote's
+  // fields, so a signature cannot be moved to another proposal or choice.
+  function voteMessage(vote) {
+    return [
+      'G-Bonk governance vote',
+      `Proposal: ${vote.proposal}`,
+      `Choice: ${vote.choice}`,
+      `Snapshot slot: ${vote.slot}`,
+      `Voter: ${vote.voter}`,
+      `Time: ${vote.timestamp}`,
+    ].join('\n');
+  }
+
+  // Signature checks by signature and message; votes do not change, so
+  // polling does not check them again.
+  const signatureChecks = new Map();
+
+  function checkSignature(vote) {
+    const message = voteMessage(vote);
+    const key = `${vote.signature}\n${message}`;
+    if (!signatureChecks.has(key)) {
+      const signature = GBonk.base58.decode(String(vote.signature || ''));
+      signatureChecks.set(key, GBonk.verifyEd25519(vote.voter, signature, message).catch(() => false));
+    }
+    return signatureChecks.get(key);
+  }
+
+  // 'pending', 'active', 'closed' or 'cancelled' at `now`.
+  function proposalStatus(proposal, now = Date.now()) {
+    if (proposal.status === 'cancelled') return 'cancelled';
+    if (now < Date.parse(proposal.start)) return 'pending';
+    return now < Date.parse(proposal.end) ? 'active' : 'closed';
+  }
+
+  // Why a vote does not count, before its signature is looked at, or null.
+  function screen(vote, proposal, snapshot) {
+    const time = Date.parse(vote.receivedAt);
+    if (vote.proposal !== proposal.id || vote.slot !== proposal.snapshot) return 'proposal';
+    if (!proposal.choices.some((choice) => choice.id === vote.choice)) return 'choice';
+    if (!(time >= Date.parse(proposal.start) && time < Date.parse(proposal.end))) return 'window';
+    if (!(snapshot.balances[vote.voter] > 0)) return 'power';
+    return null;
+  }
+
+  // Recompute a proposal's result from its signed votes.  Returns
+  //
+  //   { totals: { [choice]: weight }, cast, supply, counted: Map(voter → vote),
+  //     rejected: [{ vote, reason }], votes, verified }
+  //
+  // where verified is null when this browser cannot check Ed25519
+  // signatures (the votes are then counted unchecked).
+  async function tally(proposal, snapshot, votes) {
+    if (snapshot.slot !== proposal.snapshot) throw new Error(`Snapshot for ${proposal.id} is not at slot ${proposal.snapshot}`);
+    let verified = true;
+    const reasons = await Promise.all(votes.map(async (vote) => {
+      const reason = screen(vote, proposal, snapshot);
+      if (reason) return reason;
+      const valid = await checkSignature(vote);
+      if (valid === null) verified = null;
+      return valid === false ? 'signature' : null;
+    }));
+    const counted = new Map();
+    const rejected = [];
+    votes.forEach((vote, i) => {
+      if (reasons[i]) {
+        rejected.push({ vote, reason: reasons[i] });
+        return;
+      }
+      const previous = counted.get(vote.voter);
+      if (!previous || Date.parse(previous.receivedAt) < Date.parse(vote.receivedAt)) counted.set(vote.voter, vote);
+    });
+    const totals = Object.fromEntries(proposal.choices.map((choice) => [choice.id, 0]));
+    counted.forEach((vote) => {
+      totals[vote.choice] += snapshot.balances[vote.voter];
+    });
+    const sum = (values) => values.reduce((total, value) => total + value, 0);
+    return {
+      totals,
+      cast: sum(Object.values(totals)),
+      supply: sum(Object.values(snapshot.balances)),
+      counted,
+      rejected,
+      votes: votes.length,
+      verified,
+    };
+  }
+
+  // The choice with the most weight ('winner'), 'tie', 'noVotes', or
+  // 'noQuorum' when fewer tokens voted than the proposal's quorum.
+  function outcome(proposal, result) {
+    if (!result.cast) return { key: 'noVotes' };
+    if (proposal.quorum && result.cast < proposal.quorum) return { key: 'noQuorum' };
+    const ranked = proposal.choices.slice().sort((a, b) => result.totals[b.id] - result.totals[a.id]);
+    if (ranked[1] && result.totals[ranked[0].id] === result.totals[ranked[1].id]) return { key: 'tie' };
+    return { key: 'winner', choice: ranked[0] };
+  }
+
+  // ---- Rendering --------------------------------------------------------
+
+  let list = null;
+  let statusEl = null;
+  let owner = null;
+  let timer = 0;
+  // Per proposal id: { proposal, snapshot, votes, result, error, el, busy }.
+  const entries = new Map();
+
+  function formatTokens(amount) {
+    return `${GBonk.i18n.formatNumber(amount, { maximumFractionDigits: 2 })} $GBONK`;
+  }
+
+  function formatCompact(amount) {
+    return GBonk.i18n.formatNumber(amount, { notation: 'compact', maximumFractionDigits: 1 });
+  }
+
+  function formatPercent(share) {
+    return `${GBonk.i18n.formatNumber(share * 100, { maximumFractionDigits: 1 })}\u00a0%`;
+  }
+
+  function formatTime(value) {
+    return GBonk.i18n.formatDate(new Date(value), { dateStyle: 'medium', timeStyle: 'short' });
+  }
+
+  function element(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== undefined) el.textContent = text;
+    return el;
+  }
+
+  // The bare structure of a proposal card; update() fills it in.
+  function build(entry) {
+    const { proposal } = entry;
+    const article = element('article', 'proposal');
+    article.id = `proposal-${proposal.id}`;
+    const header = element('header', 'proposal-header');
+    const title = element('h3', 'proposal-title', proposal.title);
+    title.id = `proposal-${proposal.id}-title`;
+    article.setAttribute('aria-labelledby', title.id);
+    header.append(title, element('span', 'proposal-status'));
+    const description = element('div', 'proposal-description');
+    description.appendChild(GBonk.content.renderMarkdown(proposal.description));
+    const results = element('div', 'proposal-results');
+    const form = element('form', 'proposal-vote');
+    form.noValidate = true;
+    const fieldset = element('fieldset');
+    fieldset.appendChild(element('legend', '', t('governance.yourVote')));
+    proposal.choices.forEach((choice) => {
+      const label = element('label', 'proposal-option');
+      const input = element('input');
+      input.type = 'radio';
+      input.name = `vote-${proposal.id}`;
+      input.value = choice.id;
+      label.append(input, ` ${choice.label}`);
+      fieldset.appendChild(label);
+    });
+    const submit = element('button', 'cta-button');
+    submit.type = 'submit';
+    form.append(fieldset, element('p', 'proposal-power'), submit, element('p', 'proposal-vote-status'));
+    form.querySelector('.proposal-vote-status').setAttribute('role', 'status');
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      vote(entry);
+    });
+    const verify = element('div', 'proposal-verify');
+    article.append(header, description, element('p', 'proposal-meta'), results, form, verify);
+    entry.el = article;
+  }
+
+  function renderResults(entry) {
+    const { proposal, result } = entry;
+    const results = entry.el.querySelector('.proposal-results');
+    results.textContent = '';
+    // Nothing to count before voting opens.
+    if (proposalStatus(proposal) === 'pending') return;
+    if (!result) {
+      if (entry.error) results.appendChild(element('p', 'proposal-error', t('governance.resultsError')));
+      return;
+    }
+    proposal.choices.forEach((choice) => {
+      const weight = result.totals[choice.id];
+      const share = result.cast ? weight / result.cast : 0;
+      const row = element('div', 'proposal-choice');
+      const label = element('span', 'proposal-choice-label', choice.label);
+      const value = element('span', 'proposal-choice-value', `${formatCompact(weight)} (${formatPercent(share)})`);
+      const bar = element('span', 'proposal-bar');
+      bar.setAttribute('role', 'progressbar');
+      bar.setAttribute('aria-label', choice.label);
+      bar.setAttribute('aria-valuemin', '0');
+      bar.setAttribute('aria-valuemax', '100');
+      bar.setAttribute('aria-valuenow', String(Math.round(share * 100)));
+      const fill = element('span');
+      fill.style.width = `${(share * 100).toFixed(2)}%`;
+      bar.appendChild(fill);
+      row.append(label, value, bar);
+      results.appendChild(row);
+    });
+    results.appendChild(element('p', 'proposal-turnout', t('governance.turnout', {
+      count: result.counted.size,
+      amount: formatCompact(result.cast),
+      percent: formatPercent(result.supply ? result.cast / result.supply : 0),
+    })));
+    if (proposalStatus(proposal) === 'closed') {
+      const { key, choice } = outcome(proposal, result);
+      results.appendChild(element('p', 'proposal-outcome', t(`governance.outcome.${key}`, { choice: choice && choice.label })));
+    }
+  }
+
+  // Download the votes and snapshot, for recomputing the tally elsewhere.
+  function download(entry) {
+    const { proposal, snapshot, votes } = entry;
+    const blob = new Blob([JSON.stringify({ proposal, snapshot, votes }, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `gbonk-votes-${proposal.id}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  }
+
+  function renderVerify(entry) {
+    const { result } = entry;
+    const verify = entry.el.querySelector('.proposal-verify');
+    verify.textContent = '';
+    if (!result) return;
+    if (!result.votes) {
+      verify.appendChild(element('p', '', t('governance.noVotes')));
+      return;
+    }
+    const key = result.verified === null ? 'governance.unverifiable' : 'governance.verified';
+    verify.appendChild(element('p', '', t(key, { count: result.votes })));
+    verify.appendChild(element('p', '', t('governance.trust')));
+    if (result.rejected.length) {
+      const details = element('details', 'proposal-rejected');
+      details.appendChild(element('summary', '', t('governance.rejected', { count: result.rejected.length })));
+      const ul = element('ul');
+      result.rejected.forEach(({ vote: rejected, reason }) => {
+        ul.appendChild(element('li', '', `${GBonk.shortAddress(String(rejected.voter))} – ${t(`governance.reason.${reason}`)}`));
+      });
+      details.appendChild(ul);
+      verify.appendChild(details);
+    }
+    const button = element('button', 'copy-button', t('governance.download'));
+    button.type = 'button';
+    button.addEventListener('click', () => download(entry));
+    verify.appendChild(button);
+  }
+
+  function renderForm(entry) {
+    const { proposal, snapshot, result } = entry;
+    const form = entry.el.querySelector('.proposal-vote');
+    const open = proposalStatus(proposal) === 'active' && Boolean(snapshot);
+    form.hidden = !open;
+    if (!open) return;
+    const power = owner && snapshot ? snapshot.balances[owner] || 0 : 0;
+    const previous = owner && result ? result.counted.get(owner) : null;
+    const powerEl = form.querySelector('.proposal-power');
+    const submit = form.querySelector('button[type="submit"]');
+    if (!owner) powerEl.textContent = '';
+    else if (!power) powerEl.textContent = t('governance.noPower', { slot: GBonk.i18n.formatNumber(proposal.snapshot) });
+    else if (previous) {
+      const choice = proposal.choices.find((c) => c.id === previous.choice);
+      powerEl.textContent = t('governance.alreadyVoted', { choice: choice.label, amount: formatTokens(power) });
+    } else {
+      powerEl.textContent = t('governance.power', { amount: formatTokens(power) });
+    }
+    // Show the counted vote as the current selection, once.
+    if (previous && !form.querySelector('input:checked')) {
+      const input = Array.from(form.querySelectorAll('input')).find((i) => i.value === previous.choice);
+      if (input) input.checked = true;
+    }
+    form.querySelectorAll('input').forEach((input) => {
+      input.disabled = entry.busy || (Boolean(owner) && !power);
+    });
+    submit.disabled = entry.busy || (Boolean(owner) && !power);
+    submit.textContent = owner ? t('governance.submit') : t('governance.connect');
+  }
+
+  function update(entry, now = Date.now()) {
+    const { proposal } = entry;
+    const status = proposalStatus(proposal, now);
+    entry.el.dataset.status = status;
+    entry.el.querySelector('.proposal-status').textContent = t(`governance.status.${status}`);
+    entry.el.querySelector('.proposal-meta').textContent = t('governance.window', {
+      start: formatTime(proposal.start),
+      end: formatTime(proposal.end),
+      slot: GBonk.i18n.formatNumber(proposal.snapshot),
+    });
+    renderResults(entry);
+    renderForm(entry);
+    renderVerify(entry);
+  }
+
+  // Fetch the snapshot (once) and the votes, and recompute the tally.
+  async function load(entry) {
+    const s = getStore();
+    try {
+      if (!entry.snapshot) entry.snapshot = await s.getSnapshot(entry.proposal.id);
+      entry.votes = await s.getVotes(entry.proposal.id);
+      entry.result = await tally(entry.proposal, entry.snapshot, entry.votes);
+      entry.error = null;
+    } catch (err) {
+      console.error(`Failed to load the votes for ${entry.proposal.id}`, err);
+      entry.error = err;
+    }
+  }
+
+  function setVoteStatus(entry, message, state = 'info') {
+    const el = entry.el.querySelector('.proposal-vote-status');
+    el.textContent = message;
+    el.dataset.state = message ? state : '';
+  }
+
+  // Sign the chosen option with the wallet, store the vote and recount.
+  async function vote(entry) {
+    if (entry.busy) return;
+    if (!owner) {
+      const connectBtn = document.getElementById('connect-wallet');
+      if (connectBtn) connectBtn.click();
+      return;
+    }
+    const checked = entry.el.querySelector('.proposal-vote input:checked');
+    if (!checked) {
+      setVoteStatus(entry, t('governance.chooseFirst'), 'error');
+      return;
+    }
+    const { proposal } = entry;
+    const ballot = {
+      proposal: proposal.id,
+      choice: checked.value,
+      slot: proposal.snapshot,
+      voter: owner,
+      timestamp: new Date().toISOString(),
+    };
+    entry.busy = true;
+    renderForm(entry);
+    try {
+      setVoteStatus(entry, t('governance.approve'));
+      const signature = await GBonk.wallet.signMessage(voteMessage(ballot));
+      await getStore().submitVote({ ...ballot, signature: GBonk.base58.encode(signature) });
+      await load(entry);
+      setVoteStatus(entry, t('governance.recorded'), 'success');
+    } catch (err) {
+      console.error(err);
+      if (err.code === 'rejected') setVoteStatus(entry, t('governance.voteRejected'), 'rejected');
+      else setVoteStatus(entry, t('governance.voteFailed', { reason: err.message }), 'error');
+    } finally {
+      entry.busy = false;
+      update(entry);
+    }
+  }
+
+  function renderAll() {
+    list.textContent = '';
+    statusEl.textContent = entries.size ? '' : t('governance.empty');
+    Array.from(entries.values())
+      .sort((a, b) => STATUS_ORDER.indexOf(proposalStatus(a.proposal)) - STATUS_ORDER.indexOf(proposalStatus(b.proposal))
+        || Date.parse(b.proposal.end) - Date.parse(a.proposal.end))
+      .forEach((entry) => {
+        build(entry);
+        update(entry);
+        list.appendChild(entry.el);
+      });
+  }
+
+  // Recount open proposals and move any that opened or closed.  Background
+  // tabs skip their turn.
+  async function poll() {
+    if (document.hidden) return;
+    const now = Date.now();
+    const open = Array.from(entries.values()).filter((entry) => proposalStatus(entry.proposal, now) === 'active' && !entry.busy);
+    await Promise.all(open.map(load));
+    entries.forEach((entry) => {
+      if (entry.el.dataset.status !== proposalStatus(entry.proposal, now) || open.includes(entry)) update(entry, now);
+    });
+  }
+
+  async function init() {
+    list = document.getElementById('governance-proposals');
+    statusEl = document.querySelector('#governance .governance-status');
+    if (!list || !statusEl) return;
+    let proposals;
+    try {
+      proposals = await getStore().listProposals();
+    } catch (err) {
+      console.error('Failed to load governance proposals', err);
+      statusEl.textContent = t('governance.error');
+      list.removeAttribute('aria-busy');
+      return;
+    }
+    proposals.forEach((proposal) => entries.set(proposal.id, { proposal, snapshot: null, votes: [], result: null, error: null, busy: false }));
+    await Promise.all(Array.from(entries.values()).map(load));
+    list.removeAttribute('aria-busy');
+    renderAll();
+    GBonk.i18n.subscribe(renderAll);
+    if (GBonk.wallet) {
+      const follow = ({ publicKey }) => {
+        if (publicKey === owner) return;
+        owner = publicKey;
+        entries.forEach((entry) => {
+          setVoteStatus(entry, '');
+          renderForm(entry);
+        });
+      };
+      follow(GBonk.wallet.getState());
+      GBonk.wallet.subscribe(follow);
+    }
+    clearInterval(timer);
+    timer = setInterval(poll, Math.max(GBonk.config.governance.pollInterval, SECOND));
+  }
+
+  GBonk.governance = {
+    createJsonStore,
+    createHttpStore,
+    getStore,
+    // Replace the store, e.g. with one backed by another service.
+    setStore(next) {
+      store = next;
+    },
+    voteMessage,
+    proposalStatus,
+    tally,
+    outcome,
+    init,
+  };
+})();
@@ -0,0 +1,195 @@
+// i18n.js – Locale detection, message bundles and localised formatting
+
+// Visible text is looked up by key in per‑locale message bundles
+// (locales/<code>/<bundle>.json; a page lists the bundles it needs in
+// <html data-i18n-bundles>, "site" by default).  Static markup names its
+// key with data-i18n (plain text), data-i18n-md (inline Markdown, see
+// js/content.js) or data-i18n-attr ("aria-label:key; title:key"); scripts
+// call t().  Keys missing from a bundle fall back to English, so a partly
+// translated locale never shows raw keys.
+//
+// The locale is detected from navigator.languages on a first visit and
+// the visitor's explicit choice in the picker is remembered.  Switching
+// updates <html lang> and dir, re‑translates the page and notifies
+// subscribers so modules can re‑render the text they generate themselves.
+(() => {
+  const GBonk = window.GBonk;
+  const STORAGE_KEY = 'gbonk:locale';
+  const FALLBACK = 'en';
+
+  // Supported locales, by the code used for bundle paths and <html lang>.
+  // `intl` is the tag handed to the Intl formatters; Arabic keeps Latin
+  // digits so prices and addresses read the same as on the explorers.
+  const LOCALES = {
+    en: { name: 'English', dir: 'ltr', intl: 'en-US' },
+    es: { name: 'Español', dir: 'ltr', intl: 'es' },
+    pt: { name: 'Português', dir: 'ltr', intl: 'pt-BR' },
+    ar: { name: 'العربية', dir: 'rtl', intl: 'ar-u-nu-latn' },
+  };
+
+  const messages = {};
+  const formatters = new Map();
+  const changes = GBonk.createEmitter();
+  let locale = FALLBACK;
+
+  function bundleNames() {
+    return (document.documentElement.dataset.i18nBundles || 'site').split(/\s+/).filter(Boolean);
+  }
+
+  // Load and merge every bundle the page needs for `code`.  A bundle that
+  // fails to load is skipped (its keys fall back to English) rather than
+  // failing the whole locale.
+  async function loadMessages(code) {
+    if (messages[code]) return messages[code];
+    const { localesUrl } = GBonk.config.i18n;
+    const parts = await Promise.all(bundleNames().map((name) => (
+      GBonk.fetchJSON(`${localesUrl}/${code}/${name}.json`).catch((err) => {
+        console.warn(`Missing ${code}/${name} messages:`, err.message);
+        return {};
+      })
+    )));
+    messages[code] = Object.assign({}, ...parts);
+    return messages[code];
+  }
+
+  function lookup(key) {
+    const active = messages[locale];
+    if (active && key in active) return active[key];
+    const fallback = messages[FALLBACK];
+    return fallback && key in fallback ? fallback[key] : undefined;
+  }
+
+  // Cached Intl object for the active locale.
+  function formatter(type, options = {}) {
+    const tag = LOCALES[locale].intl;
+    const id = `${type}|${tag}|${JSON.stringify(options)}`;
+    if (!formatters.has(id)) {
+      const Ctor = {
+        number: Intl.NumberFormat,
+        date: Intl.DateTimeFormat,
+        relative: Intl.RelativeTimeFormat,
+        plural: Intl.PluralRules,
+      }[type];
+      formatters.set(id, new Ctor(tag, options));
+    }
+    return formatters.get(id);
+  }
+
+  // Message for `key` with {placeholders} filled in from `params`.  A
+  // message may instead be an object of plural forms ({ one, other, … })
+  // chosen by params.count.  Unknown keys come back unchanged.
+  function t(key, params = {}) {
+    let message = lookup(key);
+    if (message === undefined) return key;
+    if (typeof message === 'object') {
+      const form = formatter('plural').select(params.count);
+      message = message[form] !== undefined ? message[form] : message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  }
+
+  // Translate static markup under `root`.  Elements whose key is missing
+  // everywhere keep the English text they were written with.
+  function apply(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach((el) => {
+      if (lookup(el.dataset.i18n) !== undefined) el.textContent = t(el.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-md]').forEach((el) => {
+      if (lookup(el.dataset.i18nMd) === undefined) return;
+      const text = t(el.dataset.i18nMd);
+      if (GBonk.content) {
+        el.textContent = '';
+        el.appendChild(GBonk.content.renderInline(text));
+      } else {
+        el.textContent = text;
+      }
+    });
+    root.querySelectorAll('[data-i18n-attr]').forEach((el) => {
+      el.dataset.i18nAttr.split(';').forEach((pair) => {
+        const [attr, key] = pair.split(':').map((part) => part.trim());
+        if (attr && key && lookup(key) !== undefined) el.setAttribute(attr, t(key));
+      });
+    });
+  }
+
+  // Locale to use when the visitor has not chosen one: the first of their
+  // browser languages we support, else the configured default.
+  function detect() {
+    let stored = null;
+    try {
+      stored = localStorage.getItem(STORAGE_KEY);
+    } catch (err) {
+      // Storage disabled; fall back to the browser languages.
+    }
+    if (stored && LOCALES[stored]) return stored;
+    const preferred = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+    for (const tag of preferred) {
+      const base = String(tag || '').toLowerCase().split('-')[0];
+      if (LOCALES[base]) return base;
+    }
+    return GBonk.config.i18n.defaultLocale;
+  }
+
+  function syncPicker() {
+    const select = document.getElementById('language-select');
+    if (select) select.value = locale;
+  }
+
+  // Switch the page to `code`.  With `persist` the choice is remembered
+  // for future visits.
+  async function setLocale(code, { persist = false } = {}) {
+    const next = LOCALES[code] ? code : FALLBACK;
+    await loadMessages(FALLBACK);
+    await loadMessages(next);
+    locale = next;
+    const html = document.documentElement;
+    html.lang = next;
+    html.dir = LOCALES[next].dir;
+    if (persist) {
+      try {
+        localStorage.setItem(STORAGE_KEY, next);
+      } catch (err) {
+        // Storage disabled; the choice lasts for this page view only.
+      }
+    }
+    apply();
+    syncPicker();
+    changes.emit(next);
+  }
+
+  // Fill the language <select> in the header.
+  function initPicker() {
+    const select = document.getElementById('language-select');
+    if (!select) return;
+    select.textContent = '';
+    Object.entries(LOCALES).forEach(([code, { name }]) => {
+      const option = document.createElement('option');
+      option.value = code;
+      option.lang = code;
+      option.textContent = name;
+      select.appendChild(option);
+    });
+    select.addEventListener('change', () => setLocale(select.value, { persist: true }));
+  }
+
+  GBonk.i18n = {
+    LOCALES,
+    t,
+    apply,
+    detect,
+    setLocale,
+    locale: () => locale,
+    dir: () => LOCALES[locale].dir,
+    formatNumber: (value, options) => formatter('number', options).format(value),
+    formatDate: (value, options) => formatter('date', options).format(value),
+    formatRelative: (value, unit, options) => formatter('relative', options).format(value, unit),
+    // Called with the new locale code after every switch.
+    subscribe: changes.subscribe,
+    // Detect the locale, load its messages and translate the page.  Always
+    // resolves; missing bundles fall back to English.
+    async init() {
+      initPicker();
+      await setLocale(detect());
+    },
+  };
+})();
@@ -0,0 +1,150 @@
+// market.js – Token price and pair statistics from a Dexscreener‑style API
+
+// Dexscreener serves a single pair under /pairs/{chain}/{pair} and every
+// pool trading a token under /tokens/{mint}.  When a pair address is
+// configured we use the former; otherwise we pick the most liquid pool
+// for the mint.  Either way the response is normalised to the fields the
+// site uses, so other modules never depend on the raw shape.  Point
+// GBonk.config.market.apiUrl at a local JSON fixture server to develop
+// offline, or replace the fetcher a poller uses entirely.
+(() => {
+  const GBonk = window.GBonk;
+
+  function toNumber(value) {
+    const n = Number(value);
+    return Number.isFinite(n) ? n : null;
+  }
+
+  // Reduce a Dexscreener pair object to the fields we display.
+  function normalisePair(pair) {
+    return {
+      pairAddress: pair.pairAddress,
+      dexId: pair.dexId,
+      url: pair.url,
+      priceUsd: toNumber(pair.priceUsd),
+      priceNative: toNumber(pair.priceNative),
+      // Percentage changes over Dexscreener's standard windows.
+      priceChange: {
+        m5: toNumber(pair.priceChange && pair.priceChange.m5),
+        h1: toNumber(pair.priceChange && pair.priceChange.h1),
+        h6: toNumber(pair.priceChange && pair.priceChange.h6),
+        h24: toNumber(pair.priceChange && pair.priceChange.h24),
+      },
+      volume24h: toNumber(pair.volume && pair.volume.h24),
+      liquidityUsd: toNumber(pair.liquidity && pair.liquidity.usd),
+      // Newer responses carry marketCap; older ones only the FDV, which is
+      // the same thing for a fixed supply token.
+      marketCap: toNumber(pair.marketCap) !== null ? toNumber(pair.marketCap) : toNumber(pair.fdv),
+      fetchedAt: Date.now(),
+    };
+  }
+
+  // Fetch the configured pair, or the most liquid pair for the mint.
+  async function fetchPair(mint = GBonk.config.mint) {
+    const { apiUrl, chainId, pairAddress } = GBonk.config.market;
+    const url = pairAddress ? `${apiUrl}/pairs/${chainId}/${pairAddress}` : `${apiUrl}/tokens/${mint}`;
+    const body = await GBonk.fetchJSON(url);
+    // /pairs returns { pair } in older versions of the API, { pairs } now.
+    const pairs = (body && (body.pairs || (body.pair && [body.pair]))) || [];
+    if (!pairs.length) throw new Error('No trading pairs found for this token');
+    const best = pairs.reduce((a, b) => (
+      ((b.liquidity && b.liquidity.usd) || 0) > ((a.liquidity && a.liquidity.usd) || 0) ? b : a
+    ));
+    return normalisePair(best);
+  }
+
+  // Repeatedly fetch pair data.  The poller backs off exponentially on
+  // errors, stops while the tab is hidden or the browser is offline
+  // (catching up as soon as it is visible or online again) and reports
+  // whether the last good data is stale.  Listeners receive
+  // { data, error, stale, offline, updatedAt }.
+  function createPoller({
+    fetcher = fetchPair,
+    interval = GBonk.config.market.pollInterval,
+    maxInterval = GBonk.config.market.maxPollInterval,
+    staleAfter = GBonk.config.market.staleAfter,
+  } = {}) {
+    const updates = GBonk.createEmitter();
+    let snapshot = { data: null, error: null, stale: false, offline: !GBonk.connectivity.online(), updatedAt: null };
+    let delay = interval;
+    let timer = null;
+    let staleTimer = null;
+    let running = false;
+    let inFlight = false;
+    let unsubscribe = null;
+
+    function publish(next) {
+      snapshot = { ...snapshot, ...next };
+      snapshot.stale = !snapshot.updatedAt || Date.now() - snapshot.updatedAt > staleAfter;
+      updates.emit(snapshot);
+    }
+
+    function schedule(ms) {
+      clearTimeout(timer);
+      if (running && !document.hidden && !snapshot.offline) timer = setTimeout(tick, ms);
+    }
+
+    async function tick() {
+      if (inFlight) return;
+      inFlight = true;
+      try {
+        const data = await fetcher();
+        delay = interval;
+        publish({ data, error: null, updatedAt: Date.now() });
+      } catch (err) {
+        delay = Math.min(delay * 2, maxInterval);
+        publish({ error: err });
+      } finally {
+        inFlight = false;
+        schedule(delay);
+      }
+    }
+
+    function onVisibility() {
+      if (document.hidden) {
+        clearTimeout(timer);
+        return;
+      }
+      // Fetch straight away if we are due (or overdue) for an update.
+      const due = !snapshot.updatedAt || Date.now() - snapshot.updatedAt >= delay;
+      schedule(due ? 0 : delay - (Date.now() - snapshot.updatedAt));
+    }
+
+    // Nothing is fetched offline; back online, fetch straight away at the
+    // normal rate.
+    function onConnectivity(online) {
+      delay = interval;
+      publish({ offline: !online });
+      if (online) schedule(0);
+      else clearTimeout(timer);
+    }
+
+    return {
+      subscribe: updates.subscribe,
+      current: () => snapshot,
+      start() {
+        if (running) return;
+        running = true;
+        document.addEventListener('visibilitychange', onVisibility);
+        unsubscribe = GBonk.connectivity.subscribe(onConnectivity);
+        // Re-evaluate staleness even when no fetch completes.
+        staleTimer = setInterval(() => publish({}), 15000);
+        if (snapshot.offline) publish({});
+        else if (!document.hidden) tick();
+      },
+      stop() {
+        running = false;
+        clearTimeout(timer);
+        clearInterval(staleTimer);
+        document.removeEventListener('visibilitychange', onVisibility);
+        if (unsubscribe) unsubscribe();
+      },
+    };
+  }
+
+  GBonk.market = {
+    fetchPair,
+    normalisePair,
+    createPoller,
+  };
+})();
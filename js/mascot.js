@@ -0,0 +1,475 @@
+// mascot.js – The 3D G‑Bonk mascot: glTF model, animation clips and interaction
+
+// The mascot is a rigged glTF model (GBonk.config.mascot.modelUrl) with
+// named animation clips played through a Three.js AnimationMixer:
+//
+//   idle  – looped while the page is still
+//   walk  – looped while the visitor is scrolling
+//   wave  – played once whenever a new page section comes into view
+//   bonk  – played once when the dog itself is clicked
+//
+// It follows the same scroll journey as the dog drawn on the universe
+// canvas, turns towards the way it is walking and keeps its head on the
+// pointer.  assets/mascot.glb is built by tools/mascot-gltf.js from the
+// same shapes as the low‑poly dog below, which stands in (with the clips
+// approximated in code) when no model is configured or it cannot be
+// loaded.
+//
+// Three.js and its GLTFLoader are ES modules (see the import map in
+// index.html), so they are only downloaded once the mascot is started,
+// from the CDN or the self‑hosted copy (js/vendor.js).  main.js starts
+// and stops it as the quality tier and motion policy allow; stopping
+// releases every geometry, material, texture and the WebGL context.
+// Without WebGL, or when Three.js cannot be loaded at all, the mascot
+// gives up for the rest of the visit and the flat dog on the universe
+// canvas stays.
+(() => {
+  const GBonk = window.GBonk;
+
+  // Seconds spent cross‑fading between clips.
+  const FADE = 0.3;
+  // The dog keeps walking this long (ms) after the last scroll movement.
+  const WALK_LINGER = 400;
+  // Largest head turn towards the pointer, in radians.
+  const LOOK_YAW = 0.6;
+  const LOOK_PITCH = 0.4;
+  // Camera set‑up shared by both rigs; the journey is mapped onto the
+  // plane z = 0 it looks at.
+  const CAMERA_FOV = 40;
+  const CAMERA_DISTANCE = 12;
+
+  let session = null;
+  // Set once WebGL or Three.js has turned out to be missing.
+  let unavailable = false;
+
+  function supportsWebGL() {
+    try {
+      const canvas = document.createElement('canvas');
+      return Boolean(window.WebGLRenderingContext && (canvas.getContext('webgl2') || canvas.getContext('webgl')));
+    } catch (err) {
+      return false;
+    }
+  }
+
+  function importModule(specifier) {
+    return GBonk.vendor ? GBonk.vendor.importModule(specifier) : import(specifier);
+  }
+
+  // The low‑poly stand‑in.  Head parts sit in their own group so the head
+  // can follow the pointer like the model's head bone.  Clips are
+  // approximated: limbs swing while walking, the right arm waves and the
+  // head nods for a bonk.
+  function buildPrimitive(THREE) {
+    const dog = new THREE.Group();
+    const head = new THREE.Group();
+    head.position.set(0, 1.5, 0);
+    dog.add(head);
+    // Body – blue sphere scaled into an ellipsoid for the spacesuit
+    const body = new THREE.Mesh(new THREE.SphereGeometry(1, 32, 32), new THREE.MeshPhongMaterial({ color: 0x0066aa }));
+    body.scale.set(0.9, 1.2, 0.9);
+    dog.add(body);
+    // Head – orange sphere for fur, with a lighter muzzle and black nose
+    head.add(new THREE.Mesh(new THREE.SphereGeometry(0.7, 32, 32), new THREE.MeshPhongMaterial({ color: 0xf5a623 })));
+    const muzzle = new THREE.Mesh(new THREE.SphereGeometry(0.35, 32, 32), new THREE.MeshPhongMaterial({ color: 0xffd9b3 }));
+    muzzle.position.set(0, -0.2, 0.45);
+    head.add(muzzle);
+    const nose = new THREE.Mesh(new THREE.SphereGeometry(0.1, 16, 16), new THREE.MeshPhongMaterial({ color: 0x000000 }));
+    nose.position.set(0, -0.17, 0.63);
+    head.add(nose);
+    // Expressive eyes with eyeballs, pupils and highlights.
+    const eyeBallGeom = new THREE.SphereGeometry(0.15, 16, 16);
+    const eyeBallMat = new THREE.MeshPhongMaterial({ color: 0xffffff });
+    const pupilGeom = new THREE.SphereGeometry(0.07, 16, 16);
+    const pupilMat = new THREE.MeshPhongMaterial({ color: 0x000000 });
+    const glintGeom = new THREE.SphereGeometry(0.03, 16, 16);
+    const glintMat = new THREE.MeshPhongMaterial({ color: 0xffffff });
+    function createEye(x, y, z) {
+      const eyeGroup = new THREE.Group();
+      eyeGroup.add(new THREE.Mesh(eyeBallGeom, eyeBallMat));
+      const pupil = new THREE.Mesh(pupilGeom, pupilMat);
+      pupil.position.set(0, 0, 0.1);
+      eyeGroup.add(pupil);
+      const glint = new THREE.Mesh(glintGeom, glintMat);
+      glint.position.set(0.04, 0.04, 0.14);
+      eyeGroup.add(glint);
+      eyeGroup.position.set(x, y, z);
+      return eyeGroup;
+    }
+    head.add(createEye(-0.22, 0, 0.52));
+    head.add(createEye(0.22, 0, 0.52));
+    // Cheeks with a soft pink tone.
+    const leftCheek = new THREE.Mesh(new THREE.SphereGeometry(0.14, 16, 16), new THREE.MeshPhongMaterial({ color: 0xffc09e }));
+    leftCheek.position.set(-0.35, -0.22, 0.55);
+    const rightCheek = leftCheek.clone();
+    rightCheek.position.set(0.35, -0.22, 0.55);
+    head.add(leftCheek, rightCheek);
+    // Rocket badge on the chest
+    const badgeGroup = new THREE.Group();
+    const badgeBase = new THREE.Mesh(new THREE.CylinderGeometry(0.16, 0.16, 0.02, 32), new THREE.MeshPhongMaterial({ color: 0x004a7f }));
+    badgeBase.rotation.x = Math.PI / 2;
+    badgeGroup.add(badgeBase);
+    const rocketMat = new THREE.MeshPhongMaterial({ color: 0xffd700 });
+    const rocketBody = new THREE.Mesh(new THREE.CylinderGeometry(0.035, 0.035, 0.14, 16), rocketMat);
+    rocketBody.rotation.x = Math.PI / 2;
+    rocketBody.position.set(0, 0, 0.09);
+    badgeGroup.add(rocketBody);
+    const rocketCone = new THREE.Mesh(new THREE.ConeGeometry(0.045, 0.08, 16), rocketMat);
+    rocketCone.rotation.x = Math.PI / 2;
+    rocketCone.position.set(0, 0, 0.15);
+    badgeGroup.add(rocketCone);
+    badgeGroup.position.set(0, 0.3, 0.7);
+    dog.add(badgeGroup);
+    // Ears – two orange cones
+    const leftEar = new THREE.Mesh(new THREE.ConeGeometry(0.2, 0.6, 16), new THREE.MeshPhongMaterial({ color: 0xf5a623 }));
+    leftEar.position.set(-0.35, 0.55, 0);
+    leftEar.rotation.set(Math.PI / 2.8, 0, Math.PI / 9);
+    const rightEar = leftEar.clone();
+    rightEar.position.set(0.35, 0.55, 0);
+    rightEar.rotation.z = -Math.PI / 9;
+    head.add(leftEar, rightEar);
+    // Arms stick out horizontally at shoulder level; legs hang below.
+    const leftArm = new THREE.Mesh(new THREE.CylinderGeometry(0.12, 0.12, 0.6, 16), new THREE.MeshPhongMaterial({ color: 0x0066aa }));
+    leftArm.position.set(-0.8, 0.3, 0);
+    leftArm.rotation.z = Math.PI / 2;
+    const rightArm = leftArm.clone();
+    rightArm.position.set(0.8, 0.3, 0);
+    dog.add(leftArm, rightArm);
+    const leftLeg = new THREE.Mesh(new THREE.CylinderGeometry(0.15, 0.15, 0.7, 16), new THREE.MeshPhongMaterial({ color: 0x0066aa }));
+    leftLeg.position.set(-0.4, -0.8, 0);
+    const rightLeg = leftLeg.clone();
+    rightLeg.position.set(0.4, -0.8, 0);
+    dog.add(leftLeg, rightLeg);
+    // Tail – cylinder pivoting at the base
+    const tail = new THREE.Mesh(new THREE.CylinderGeometry(0.05, 0.05, 0.8, 12), new THREE.MeshPhongMaterial({ color: 0xf5a623 }));
+    const tailPivot = new THREE.Object3D();
+    tailPivot.position.set(0, -0.2, -0.8);
+    tail.position.set(0, 0.4, 0);
+    tail.rotation.x = Math.PI / 2;
+    tailPivot.add(tail);
+    dog.add(tailPivot);
+    // Helmet – transparent sphere encasing the head
+    const helmet = new THREE.Mesh(
+      new THREE.SphereGeometry(0.9, 32, 32),
+      new THREE.MeshPhongMaterial({ color: 0xffffff, transparent: true, opacity: 0.1, side: THREE.DoubleSide })
+    );
+    head.add(helmet);
+    // Centre the dog (feet at -1.15, ear tips at 2.3) on its origin.
+    dog.position.y = -0.6;
+    const root = new THREE.Group();
+    root.add(dog);
+
+    const GESTURES = { wave: 1.2, bonk: 0.5 };
+    let elapsed = 0;
+    let walkBlend = 0;
+    let gesture = null;
+    return {
+      root,
+      head,
+      play(name) {
+        if (!GESTURES[name] || (gesture && gesture.name === name)) return false;
+        gesture = { name, time: 0 };
+        return true;
+      },
+      update(dt, walking) {
+        const seconds = dt / 1000;
+        elapsed += seconds;
+        walkBlend += ((walking ? 1 : 0) - walkBlend) * Math.min(1, seconds / FADE);
+        const swing = Math.sin(elapsed * 6) * 0.6 * walkBlend;
+        leftArm.rotation.z = Math.PI / 2 + swing;
+        rightArm.rotation.z = Math.PI / 2 - swing;
+        leftLeg.rotation.z = -swing;
+        rightLeg.rotation.z = swing;
+        tailPivot.rotation.z = Math.sin(elapsed * 6) * 0.6;
+        let nod = 0;
+        if (gesture) {
+          gesture.time += seconds;
+          const t = gesture.time / GESTURES[gesture.name];
+          if (gesture.name === 'wave') rightArm.rotation.z = Math.PI / 2 - 0.9 + Math.sin(gesture.time * 14) * 0.3;
+          else nod = Math.sin(Math.PI * Math.min(t, 1)) * 0.6;
+          if (t >= 1) gesture = null;
+        }
+        head.rotation.set(nod, 0, 0);
+      },
+      dispose() {},
+    };
+  }
+
+  // The glTF model scaled to `height` world units and centred on its
+  // origin, with its clips on an AnimationMixer.  Looping clips cross‑fade
+  // into each other; a one‑shot clip fades in over them and hands back to
+  // whichever loop is current when it finishes.
+  async function buildModel(THREE, GLTFLoader, options) {
+    const gltf = await new GLTFLoader().loadAsync(options.modelUrl);
+    const model = gltf.scene;
+    const size = new THREE.Box3().setFromObject(model).getSize(new THREE.Vector3());
+    if (size.y > 0) model.scale.setScalar(options.height / size.y);
+    const centre = new THREE.Box3().setFromObject(model).getCenter(new THREE.Vector3());
+    model.position.sub(centre);
+    const root = new THREE.Group();
+    root.add(model);
+
+    let head = options.headBone ? model.getObjectByName(options.headBone) : null;
+    if (!head) model.traverse((node) => {
+      if (!head && node.isBone && /head/i.test(node.name)) head = node;
+    });
+
+    const mixer = new THREE.AnimationMixer(model);
+    const actions = {};
+    Object.entries(options.clips).forEach(([key, clipName]) => {
+      const clip = gltf.animations.find((candidate) => candidate.name.toLowerCase() === String(clipName).toLowerCase());
+      if (clip) actions[key] = mixer.clipAction(clip);
+    });
+    let loop = 'idle';
+    let oneShot = null;
+    if (actions.idle) actions.idle.play();
+
+    function fadeIn(action) {
+      action.reset().fadeIn(FADE).play();
+    }
+
+    function setLoop(name) {
+      if (name === loop || !actions[name]) return;
+      // During a one‑shot only remember the loop to return to.
+      if (!oneShot) {
+        fadeIn(actions[name]);
+        if (actions[loop]) actions[loop].fadeOut(FADE);
+      }
+      loop = name;
+    }
+
+    mixer.addEventListener('finished', (event) => {
+      if (event.action !== oneShot) return;
+      oneShot = null;
+      if (actions[loop]) fadeIn(actions[loop]);
+      event.action.fadeOut(FADE);
+    });
+
+    return {
+      root,
+      head,
+      // glTF colours are linear, so the model is rendered to sRGB.
+      outputEncoding: THREE.sRGBEncoding,
+      play(name) {
+        const action = actions[name];
+        // Loops are chosen by update(); a clip already playing runs on.
+        if (!action || action === oneShot || name === 'idle' || name === 'walk') return false;
+        const previous = oneShot || actions[loop];
+        action.setLoop(THREE.LoopOnce, 1);
+        action.clampWhenFinished = true;
+        fadeIn(action);
+        if (previous && previous !== action) previous.fadeOut(FADE);
+        oneShot = action;
+        return true;
+      },
+      update(dt, walking) {
+        setLoop(walking ? 'walk' : 'idle');
+        mixer.update(dt / 1000);
+      },
+      dispose() {
+        mixer.stopAllAction();
+        mixer.uncacheRoot(model);
+      },
+    };
+  }
+
+  // Free everything the GPU holds for `root`.  Parts of the primitive dog
+  // share geometry and materials, hence the sets.
+  function disposeTree(root) {
+    const geometries = new Set();
+    const materials = new Set();
+    root.traverse((node) => {
+      if (node.geometry) geometries.add(node.geometry);
+      if (node.material) [].concat(node.material).forEach((material) => materials.add(material));
+    });
+    geometries.forEach((geometry) => geometry.dispose());
+    materials.forEach((material) => {
+      Object.values(material).forEach((value) => {
+        if (value && value.isTexture) value.dispose();
+      });
+      material.dispose();
+    });
+  }
+
+  async function loadRig(THREE) {
+    const options = GBonk.config.mascot;
+    if (!options.modelUrl) return buildPrimitive(THREE);
+    try {
+      const { GLTFLoader } = await importModule('three/addons/loaders/GLTFLoader.js');
+      return await buildModel(THREE, GLTFLoader, options);
+    } catch (err) {
+      console.warn(`Mascot model ${options.modelUrl} could not be loaded; using the low‑poly dog instead.`, err);
+      return buildPrimitive(THREE);
+    }
+  }
+
+  async function build(current, container, journeyOptions) {
+    let THREE;
+    try {
+      THREE = await importModule('three');
+    } catch (err) {
+      unavailable = true;
+      throw err;
+    }
+    const rig = await loadRig(THREE);
+    if (session !== current) {
+      rig.dispose();
+      disposeTree(rig.root);
+      return;
+    }
+
+    const pixelRatio = () => Math.min(window.devicePixelRatio || 1, GBonk.quality.settings().dpr);
+    let renderer;
+    try {
+      renderer = new THREE.WebGLRenderer({ alpha: true, antialias: true });
+    } catch (err) {
+      unavailable = true;
+      rig.dispose();
+      disposeTree(rig.root);
+      throw err;
+    }
+    if (rig.outputEncoding) renderer.outputEncoding = rig.outputEncoding;
+    renderer.setPixelRatio(pixelRatio());
+    renderer.setSize(window.innerWidth, window.innerHeight);
+    renderer.domElement.style.pointerEvents = 'none';
+    const scene = new THREE.Scene();
+    const camera = new THREE.PerspectiveCamera(CAMERA_FOV, window.innerWidth / window.innerHeight, 0.1, 1000);
+    camera.position.set(0, 0, CAMERA_DISTANCE);
+    // Ambient light for base illumination, a directional "sun" for depth.
+    scene.add(new THREE.AmbientLight(0xffffff, 0.8));
+    const sun = new THREE.DirectionalLight(0xffffff, 0.7);
+    sun.position.set(5, 10, 7);
+    scene.add(sun);
+    scene.add(rig.root);
+
+    // Height of the visible slice of the z = 0 plane, in world units.
+    const planeHeight = 2 * CAMERA_DISTANCE * Math.tan((CAMERA_FOV / 2) * (Math.PI / 180));
+    const journey = GBonk.timeline ? GBonk.timeline.track(journeyOptions) : null;
+    const pointer = { x: 0, y: 0 };
+    const look = { yaw: 0, pitch: 0 };
+    const lookOffset = new THREE.Quaternion();
+    const lookEuler = new THREE.Euler();
+    const headPose = rig.head ? rig.head.quaternion.clone() : null;
+    let lastProgress = journey ? journey.progress() : 0;
+    let lastMove = -Infinity;
+    let heading = 0;
+    let dogScreenX = 0;
+
+    function onPointerMove(event) {
+      pointer.x = (event.clientX / window.innerWidth) * 2 - 1;
+      pointer.y = -((event.clientY / window.innerHeight) * 2 - 1);
+    }
+
+    // The canvas does not take pointer events, so clicks are picked up on
+    // the document and tested against the dog's bounding box.
+    const raycaster = new THREE.Raycaster();
+    const bounds = new THREE.Box3();
+    function onClick(event) {
+      const ndc = new THREE.Vector2((event.clientX / window.innerWidth) * 2 - 1, -((event.clientY / window.innerHeight) * 2 - 1));
+      raycaster.setFromCamera(ndc, camera);
+      if (raycaster.ray.intersectsBox(bounds.setFromObject(rig.root))) rig.play('bonk');
+    }
+
+    function frame(dt, now) {
+      // Walking while the journey moves, facing the way it goes.
+      const progress = journey ? journey.progress() : 0;
+      if (progress !== lastProgress) {
+        heading = progress > lastProgress ? 1 : -1;
+        lastProgress = progress;
+        lastMove = now;
+      }
+      const walking = now - lastMove < WALK_LINGER;
+      const pose = journey ? journey.values() : {};
+      const width = window.innerWidth;
+      const height = window.innerHeight;
+      const worldPerPixel = planeHeight / height;
+      if ('x' in pose) {
+        rig.root.position.x = (pose.x - width / 2) * worldPerPixel;
+        rig.root.position.y = -(pose.y || 0) * worldPerPixel;
+        rig.root.scale.setScalar(pose.scale || 1);
+        dogScreenX = (pose.x / width) * 2 - 1;
+      }
+      const blend = Math.min(1, dt / 200);
+      const targetYaw = (walking ? heading * 0.8 : 0) + ((pose.rotateY || 0) * Math.PI) / 180 * 0.3;
+      rig.root.rotation.y += (targetYaw - rig.root.rotation.y) * blend;
+
+      if (headPose) rig.head.quaternion.copy(headPose);
+      rig.update(dt, walking);
+      if (headPose) {
+        // Keep the animated pose, then turn the head towards the pointer.
+        headPose.copy(rig.head.quaternion);
+        const yaw = Math.max(-1, Math.min(1, pointer.x - dogScreenX)) * LOOK_YAW - rig.root.rotation.y;
+        const pitch = -pointer.y * LOOK_PITCH;
+        look.yaw += (Math.max(-LOOK_YAW, Math.min(LOOK_YAW, yaw)) - look.yaw) * blend;
+        look.pitch += (pitch - look.pitch) * blend;
+        lookOffset.setFromEuler(lookEuler.set(look.pitch, look.yaw, 0));
+        rig.head.quaternion.multiply(lookOffset);
+      }
+      renderer.render(scene, camera);
+    }
+
+    // Keeps the aspect ratio correct and applies the pixel ratio cap of a
+    // new quality tier.
+    function onResize() {
+      renderer.setPixelRatio(pixelRatio());
+      renderer.setSize(window.innerWidth, window.innerHeight);
+      camera.aspect = window.innerWidth / window.innerHeight;
+      camera.updateProjectionMatrix();
+    }
+
+    // Wave whenever another section scrolls into view.
+    const stopWatching = GBonk.timeline
+      ? GBonk.timeline.onSection('section.section[id]', { threshold: 0.5, enter: () => rig.play('wave') })
+      : () => {};
+    window.addEventListener('pointermove', onPointerMove, { passive: true });
+    document.addEventListener('click', onClick);
+    window.addEventListener('resize', onResize);
+    const unsubscribeTier = GBonk.quality.subscribe(onResize);
+    const removeFrame = GBonk.quality.onFrame(frame);
+    container.appendChild(renderer.domElement);
+
+    current.ready = true;
+    current.teardown = () => {
+      removeFrame();
+      unsubscribeTier();
+      stopWatching();
+      if (journey) journey.remove();
+      window.removeEventListener('pointermove', onPointerMove);
+      document.removeEventListener('click', onClick);
+      window.removeEventListener('resize', onResize);
+      rig.dispose();
+      disposeTree(rig.root);
+      renderer.dispose();
+      renderer.forceContextLoss();
+      renderer.domElement.remove();
+    };
+  }
+
+  GBonk.mascot = {
+    // Whether the 3D mascot is on screen (the universe canvas then leaves
+    // out its flat dog).
+    showing: () => Boolean(session && session.ready),
+    // Build the scene inside `container`, following the timeline journey
+    // `journey` (see DOG_JOURNEY in main.js).  Does nothing if already
+    // started or if WebGL or Three.js is unavailable.
+    start(container, journey) {
+      if (session || unavailable) return;
+      if (!supportsWebGL()) {
+        unavailable = true;
+        console.info('WebGL is unavailable; the flat dog stands in for the 3D mascot');
+        return;
+      }
+      const current = (session = { ready: false, teardown: null });
+      build(current, container, journey).catch((err) => {
+        console.warn('3D mascot unavailable', err);
+        if (session === current) session = null;
+      });
+    },
+    // Tear the scene down and release its GPU resources.  A build still
+    // loading is discarded when it finishes.
+    stop() {
+      if (!session) return;
+      if (session.teardown) session.teardown();
+      session = null;
+    },
+  };
+})();
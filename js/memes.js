@@ -0,0 +1,481 @@
+// memes.js – Meme studio: mascot, background, captions and stickers on a canvas
+
+// Visitors compose a meme in #meme-canvas: a mascot pose over a
+// background, impact‑style captions at the top and bottom, and stickers
+// they can drag around.  Everything is drawn client‑side and exported as
+// a PNG; nothing is uploaded.  The "share card" preset is sized for X and
+// Telegram previews and adds a footer with the ticker and the contract
+// address.
+//
+// The preview canvas is the export resolution, scaled down by CSS, so
+// what you see is exactly what you download.  Layer positions are stored
+// as fractions of the canvas so a layout survives switching presets.
+(() => {
+  const GBonk = window.GBonk;
+  const { t } = GBonk.i18n;
+
+  const PRESETS = {
+    square: { width: 1080, height: 1080, card: false },
+    card: { width: 1200, height: 675, card: true },
+  };
+  const POSES = {
+    classic: 'dog.png',
+    astronaut: 'dog3d_fade.png',
+  };
+  const STICKERS = {
+    // The hero rocket, drawn from the inline SVG so it keeps its
+    // transparent background.
+    rocket: { src: rocketImageUrl, size: 0.3 },
+    logo: { src: () => 'assets/logo.gif', size: 0.2 },
+  };
+  const GALAXY_SRC = 'assets/galaxy_background.png';
+  // Impact where installed, otherwise the page's own display face.
+  const CAPTION_FONT = "Impact, 'Anton', 'Bangers', 'Arial Black', sans-serif";
+  // Share card footer height, as a fraction of the card.
+  const FOOTER = 0.14;
+  // Keyboard nudges, as fractions of the canvas.
+  const NUDGE = 0.01;
+  const MIN_SIZE = 0.05;
+  const MAX_SIZE = 1.5;
+
+  const images = new Map();
+  let canvas = null;
+  let form = null;
+  let starfield = null;
+  let nextStickerId = 1;
+  const state = {
+    preset: 'square',
+    background: 'starfield',
+    pose: 'astronaut',
+    top: '',
+    bottom: '',
+    // Drawn in order; the mascot is always first and cannot be removed.
+    layers: [{ id: 'mascot', kind: 'mascot', x: 0.5, y: 0.58, size: 0.75 }],
+    selected: 'mascot',
+  };
+
+  function rocketImageUrl() {
+    const svg = document.querySelector('.rocket-svg');
+    if (!svg) return 'assets/rocket.png';
+    const copy = svg.cloneNode(true);
+    copy.setAttribute('width', '200');
+    copy.setAttribute('height', '400');
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(new XMLSerializer().serializeToString(copy))}`;
+  }
+
+  // Image for `src`, loading it on first use.  Returns null until it has
+  // loaded; the preview is redrawn when it arrives.
+  function image(src) {
+    if (!images.has(src)) {
+      const img = new Image();
+      img.addEventListener('load', draw);
+      img.src = src;
+      images.set(src, img);
+    }
+    const img = images.get(src);
+    return img.complete && img.naturalWidth > 0 ? img : null;
+  }
+
+  function layerImage(layer) {
+    if (layer.kind === 'mascot') return image(POSES[state.pose]);
+    if (!layer.src) layer.src = STICKERS[layer.sticker].src();
+    return image(layer.src);
+  }
+
+  // Small deterministic PRNG so the starfield looks the same every time.
+  function mulberry32(seed) {
+    return () => {
+      seed = (seed + 0x6d2b79f5) | 0;
+      let r = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+      r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+      return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // A still render of the site's universe: deep‑space gradient, a couple
+  // of nebula glows and stars.  Cached per size.
+  function renderStarfield(width, height) {
+    if (starfield && starfield.width === width && starfield.height === height) return starfield;
+    starfield = document.createElement('canvas');
+    starfield.width = width;
+    starfield.height = height;
+    const g = starfield.getContext('2d');
+    const random = mulberry32(0x6b6f6e6b);
+    const sky = g.createLinearGradient(0, 0, 0, height);
+    sky.addColorStop(0, '#05051a');
+    sky.addColorStop(1, '#0a0a23');
+    g.fillStyle = sky;
+    g.fillRect(0, 0, width, height);
+    [['rgba(200, 80, 255, 0.25)', 0.25, 0.3], ['rgba(0, 180, 220, 0.2)', 0.75, 0.7]].forEach(([colour, fx, fy]) => {
+      const radius = Math.max(width, height) * 0.5;
+      const glow = g.createRadialGradient(width * fx, height * fy, 0, width * fx, height * fy, radius);
+      glow.addColorStop(0, colour);
+      glow.addColorStop(1, 'rgba(0, 0, 0, 0)');
+      g.fillStyle = glow;
+      g.fillRect(0, 0, width, height);
+    });
+    const count = Math.round((width * height) / 2500);
+    for (let i = 0; i < count; i++) {
+      const speed = 0.15 + random() * 0.75;
+      g.fillStyle = `rgba(255,255,255,${(0.4 + (speed / 0.9) * 0.6).toFixed(3)})`;
+      g.beginPath();
+      g.arc(random() * width, random() * height, 0.4 + random() * 1.8, 0, Math.PI * 2);
+      g.fill();
+    }
+    return starfield;
+  }
+
+  function drawBackground(ctx, width, height) {
+    if (state.background === 'galaxy') {
+      const img = image(GALAXY_SRC);
+      if (img) {
+        // Cover the canvas, cropping the longer side.
+        const scale = Math.max(width / img.naturalWidth, height / img.naturalHeight);
+        const w = img.naturalWidth * scale;
+        const h = img.naturalHeight * scale;
+        ctx.drawImage(img, (width - w) / 2, (height - h) / 2, w, h);
+        return;
+      }
+    }
+    ctx.drawImage(renderStarfield(width, height), 0, 0);
+  }
+
+  // Canvas‑space box of a layer: centred on (x, y), `size` of the canvas
+  // height tall.
+  function layerBox(layer, img, width, height) {
+    const h = layer.size * height;
+    const w = img ? h * (img.naturalWidth / img.naturalHeight) : h;
+    return { x: layer.x * width - w / 2, y: layer.y * height - h / 2, w, h };
+  }
+
+  // Split `text` into lines no wider than `maxWidth` at the current font.
+  function wrap(ctx, text, maxWidth) {
+    const lines = [];
+    let line = '';
+    text.split(/\s+/).filter(Boolean).forEach((word) => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && ctx.measureText(candidate).width > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    if (line) lines.push(line);
+    return lines;
+  }
+
+  // Classic meme caption: upper‑case white text with a black outline,
+  // shrunk until it fits in three lines across the canvas.
+  function drawCaption(ctx, text, width, top, bottom, anchor) {
+    const caption = text.trim().toLocaleUpperCase(GBonk.i18n.locale());
+    if (!caption) return;
+    const maxWidth = width * 0.92;
+    let size = (bottom - top) * 0.11;
+    let lines;
+    for (;;) {
+      ctx.font = `${size}px ${CAPTION_FONT}`;
+      lines = wrap(ctx, caption, maxWidth);
+      const widest = Math.max(...lines.map((line) => ctx.measureText(line).width));
+      if ((lines.length <= 3 && widest <= maxWidth) || size <= 16) break;
+      size *= 0.9;
+    }
+    const lineHeight = size * 1.1;
+    const margin = size * 0.35;
+    const firstY = anchor === 'top' ? top + margin : bottom - margin - lineHeight * lines.length;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.lineJoin = 'round';
+    ctx.lineWidth = size * 0.12;
+    ctx.strokeStyle = '#000';
+    ctx.fillStyle = '#fff';
+    lines.forEach((line, i) => {
+      const y = firstY + i * lineHeight;
+      ctx.strokeText(line, width / 2, y);
+      ctx.fillText(line, width / 2, y);
+    });
+  }
+
+  // Share card footer: ticker on one side, contract address on the other.
+  function drawFooter(ctx, width, height) {
+    const bandHeight = height * FOOTER;
+    const top = height - bandHeight;
+    ctx.fillStyle = 'rgba(10, 10, 35, 0.9)';
+    ctx.fillRect(0, top, width, bandHeight);
+    ctx.fillStyle = '#00c2cb';
+    ctx.fillRect(0, top, width, 4);
+    const middle = top + bandHeight / 2 + 2;
+    const pad = width * 0.03;
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#ffd700';
+    ctx.font = `${bandHeight * 0.5}px 'Bangers', ${CAPTION_FONT}`;
+    ctx.fillText('$GBONK', pad, middle);
+    ctx.textAlign = 'right';
+    ctx.fillStyle = '#f5f5f5';
+    ctx.font = `${bandHeight * 0.22}px ui-monospace, Menlo, Consolas, monospace`;
+    ctx.fillText(`CA: ${GBonk.config.mint}`, width - pad, middle);
+  }
+
+  // Draw the meme onto `ctx`.  The preview also outlines the selected
+  // layer; exports leave it out.
+  function render(ctx, { preview = false } = {}) {
+    const { width, height, card } = PRESETS[state.preset];
+    const bottom = card ? height * (1 - FOOTER) : height;
+    ctx.clearRect(0, 0, width, height);
+    drawBackground(ctx, width, height);
+    state.layers.forEach((layer) => {
+      const img = layerImage(layer);
+      if (!img) return;
+      const box = layerBox(layer, img, width, height);
+      ctx.drawImage(img, box.x, box.y, box.w, box.h);
+      if (preview && layer.id === state.selected) {
+        ctx.save();
+        ctx.setLineDash([12, 8]);
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = '#00c2cb';
+        ctx.strokeRect(box.x, box.y, box.w, box.h);
+        ctx.restore();
+      }
+    });
+    drawCaption(ctx, state.top, width, 0, bottom, 'top');
+    drawCaption(ctx, state.bottom, width, 0, bottom, 'bottom');
+    if (card) drawFooter(ctx, width, height);
+  }
+
+  function draw() {
+    if (!canvas) return;
+    const { width, height } = PRESETS[state.preset];
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    render(canvas.getContext('2d'), { preview: true });
+  }
+
+  function selectedLayer() {
+    return state.layers.find((layer) => layer.id === state.selected) || state.layers[0];
+  }
+
+  function layerLabel(layer) {
+    if (layer.kind === 'mascot') return t('memes.layerMascot');
+    const same = state.layers.filter((other) => other.sticker === layer.sticker);
+    const label = t(`memes.sticker.${layer.sticker}`);
+    return same.length > 1 ? `${label} ${same.indexOf(layer) + 1}` : label;
+  }
+
+  // Keep the "selected item" controls in step with the state.
+  function syncControls() {
+    const select = form.querySelector('#meme-layer');
+    select.textContent = '';
+    state.layers.forEach((layer) => {
+      const option = document.createElement('option');
+      option.value = layer.id;
+      option.textContent = layerLabel(layer);
+      select.appendChild(option);
+    });
+    const layer = selectedLayer();
+    select.value = layer.id;
+    form.querySelector('#meme-size').value = String(Math.round(layer.size * 100));
+    form.querySelector('[data-action="remove"]').disabled = layer.kind === 'mascot';
+  }
+
+  function select(id) {
+    state.selected = id;
+    syncControls();
+    draw();
+  }
+
+  function addSticker(sticker) {
+    const id = `sticker-${nextStickerId++}`;
+    // New stickers land near the top right, staggered so repeats are
+    // visible.
+    const offset = (state.layers.length % 4) * 0.05;
+    state.layers.push({ id, kind: 'sticker', sticker, x: 0.78 - offset, y: 0.3 + offset, size: STICKERS[sticker].size });
+    select(id);
+  }
+
+  function removeSelected() {
+    const layer = selectedLayer();
+    if (layer.kind === 'mascot') return;
+    state.layers.splice(state.layers.indexOf(layer), 1);
+    select('mascot');
+  }
+
+  function resize(layer, size) {
+    layer.size = Math.min(Math.max(size, MIN_SIZE), MAX_SIZE);
+    form.querySelector('#meme-size').value = String(Math.round(layer.size * 100));
+    draw();
+  }
+
+  // Canvas coordinates (in canvas pixels) of a pointer event.
+  function canvasPoint(event) {
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: ((event.clientX - rect.left) / rect.width) * canvas.width,
+      y: ((event.clientY - rect.top) / rect.height) * canvas.height,
+    };
+  }
+
+  // Topmost layer under a canvas point.
+  function layerAt(point) {
+    const { width, height } = PRESETS[state.preset];
+    for (let i = state.layers.length - 1; i >= 0; i--) {
+      const layer = state.layers[i];
+      const box = layerBox(layer, layerImage(layer), width, height);
+      if (point.x >= box.x && point.x <= box.x + box.w && point.y >= box.y && point.y <= box.y + box.h) return layer;
+    }
+    return null;
+  }
+
+  function initCanvasInput() {
+    let drag = null;
+    canvas.addEventListener('pointerdown', (event) => {
+      const point = canvasPoint(event);
+      const layer = layerAt(point);
+      if (!layer) return;
+      event.preventDefault();
+      select(layer.id);
+      drag = { layer, dx: layer.x * canvas.width - point.x, dy: layer.y * canvas.height - point.y };
+      canvas.setPointerCapture(event.pointerId);
+    });
+    canvas.addEventListener('pointermove', (event) => {
+      if (!drag) return;
+      const point = canvasPoint(event);
+      drag.layer.x = Math.min(Math.max((point.x + drag.dx) / canvas.width, 0), 1);
+      drag.layer.y = Math.min(Math.max((point.y + drag.dy) / canvas.height, 0), 1);
+      draw();
+    });
+    const endDrag = () => {
+      drag = null;
+    };
+    canvas.addEventListener('pointerup', endDrag);
+    canvas.addEventListener('pointercancel', endDrag);
+    canvas.addEventListener('wheel', (event) => {
+      const layer = layerAt(canvasPoint(event));
+      if (!layer) return;
+      event.preventDefault();
+      if (layer.id !== state.selected) select(layer.id);
+      resize(layer, layer.size * (event.deltaY < 0 ? 1.05 : 1 / 1.05));
+    }, { passive: false });
+    // With the preview focused: arrows move the selected item (Shift for
+    // bigger steps), + and - resize it, Delete removes a sticker.
+    canvas.addEventListener('keydown', (event) => {
+      const layer = selectedLayer();
+      const step = event.shiftKey ? NUDGE * 5 : NUDGE;
+      const moves = { ArrowLeft: [-step, 0], ArrowRight: [step, 0], ArrowUp: [0, -step], ArrowDown: [0, step] };
+      if (moves[event.key]) {
+        layer.x = Math.min(Math.max(layer.x + moves[event.key][0], 0), 1);
+        layer.y = Math.min(Math.max(layer.y + moves[event.key][1], 0), 1);
+        draw();
+      } else if (event.key === '+' || event.key === '=') {
+        resize(layer, layer.size * 1.05);
+      } else if (event.key === '-') {
+        resize(layer, layer.size / 1.05);
+      } else if (event.key === 'Delete' || event.key === 'Backspace') {
+        removeSelected();
+      } else {
+        return;
+      }
+      event.preventDefault();
+    });
+  }
+
+  // Render at full resolution without the selection outline.
+  function exportBlob() {
+    const { width, height } = PRESETS[state.preset];
+    const out = document.createElement('canvas');
+    out.width = width;
+    out.height = height;
+    render(out.getContext('2d'));
+    return new Promise((resolve, reject) => {
+      out.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('PNG export failed'))), 'image/png');
+    });
+  }
+
+  function fileName() {
+    return state.preset === 'card' ? 'gbonk-share-card.png' : 'gbonk-meme.png';
+  }
+
+  async function download() {
+    const url = URL.createObjectURL(await exportBlob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName();
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a moment to start the download before revoking.
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  async function share() {
+    const file = new File([await exportBlob()], fileName(), { type: 'image/png' });
+    try {
+      await navigator.share({ files: [file], text: t('memes.shareText') });
+    } catch (err) {
+      // Cancelling the share sheet is not an error worth reporting.
+      if (err.name !== 'AbortError') throw err;
+    }
+  }
+
+  function setStatus(message) {
+    form.querySelector('.meme-status').textContent = message;
+  }
+
+  function canShareFiles() {
+    if (!navigator.canShare || typeof File === 'undefined') return false;
+    try {
+      return navigator.canShare({ files: [new File([''], 'test.png', { type: 'image/png' })] });
+    } catch (err) {
+      return false;
+    }
+  }
+
+  GBonk.memes = {
+    render,
+    init() {
+      canvas = document.getElementById('meme-canvas');
+      form = document.getElementById('meme-form');
+      if (!canvas || !form) return;
+      form.addEventListener('submit', (event) => event.preventDefault());
+      form.addEventListener('input', (event) => {
+        const { name, value } = event.target;
+        if (name === 'preset' || name === 'background' || name === 'pose' || name === 'top' || name === 'bottom') {
+          state[name] = value;
+          draw();
+        } else if (event.target.id === 'meme-layer') {
+          select(value);
+        } else if (event.target.id === 'meme-size') {
+          resize(selectedLayer(), Number(value) / 100);
+        }
+      });
+      form.addEventListener('click', async (event) => {
+        const button = event.target.closest('[data-action]');
+        if (!button) return;
+        const { action, sticker } = button.dataset;
+        if (action === 'sticker') addSticker(sticker);
+        else if (action === 'remove') removeSelected();
+        else if (action === 'download' || action === 'share') {
+          setStatus('');
+          try {
+            await (action === 'download' ? download() : share());
+          } catch (err) {
+            console.error(err);
+            setStatus(t('memes.exportFailed'));
+          }
+        }
+      });
+      form.querySelector('[data-action="share"]').hidden = !canShareFiles();
+      initCanvasInput();
+      GBonk.i18n.subscribe(() => {
+        syncControls();
+        draw();
+      });
+      syncControls();
+      draw();
+      // Redraw once the caption fallback face has loaded.
+      if (document.fonts) document.fonts.load("64px 'Bangers'").then(draw, () => {});
+    },
+  };
+})();
@@ -0,0 +1,84 @@
+// motion.js – Site‑wide motion policy (prefers‑reduced‑motion plus a header toggle)
+
+// Every animated subsystem asks this module whether motion is reduced
+// instead of checking the media query itself.  By default the policy
+// follows the operating system's prefers‑reduced‑motion setting; the
+// "reduce effects" button in the header overrides it and the choice is
+// remembered.  The policy is mirrored on <html data-motion="reduced|full">
+// so CSS transitions and keyframe animations follow it too, and
+// subscribers are told whenever it changes so they can calm down (or
+// resume) without a reload.
+(() => {
+  const GBonk = window.GBonk;
+  const STORAGE_KEY = 'gbonk:motion';
+
+  const changes = GBonk.createEmitter();
+  const query = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+  // 'reduce' or 'full' once the visitor has used the toggle, otherwise
+  // null to follow the system setting.
+  let choice = null;
+  let reduced = false;
+
+  function readChoice() {
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY);
+      return stored === 'reduce' || stored === 'full' ? stored : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function syncToggle() {
+    const button = document.getElementById('motion-toggle');
+    if (button) button.setAttribute('aria-pressed', String(reduced));
+  }
+
+  // Recompute the policy and notify subscribers if it changed.
+  function update() {
+    const next = choice ? choice === 'reduce' : Boolean(query && query.matches);
+    const changed = next !== reduced;
+    reduced = next;
+    document.documentElement.dataset.motion = reduced ? 'reduced' : 'full';
+    syncToggle();
+    if (changed) changes.emit(reduced);
+  }
+
+  // Override the system setting with `value` ('reduce' or 'full'), or
+  // pass null to follow it again.
+  function setChoice(value) {
+    choice = value === 'reduce' || value === 'full' ? value : null;
+    try {
+      if (choice) localStorage.setItem(STORAGE_KEY, choice);
+      else localStorage.removeItem(STORAGE_KEY);
+    } catch (err) {
+      // Storage disabled; the choice lasts for this page view only.
+    }
+    update();
+  }
+
+  function initToggle() {
+    const button = document.getElementById('motion-toggle');
+    if (!button) return;
+    button.addEventListener('click', () => setChoice(reduced ? 'full' : 'reduce'));
+  }
+
+  GBonk.motion = {
+    reduced: () => reduced,
+    setChoice,
+    // Called with true (reduced) or false (full) whenever the policy
+    // changes.
+    subscribe: changes.subscribe,
+    // Read the stored choice and the system setting.  Call before any
+    // animation starts so each can pick its initial state from reduced().
+    init() {
+      choice = readChoice();
+      update();
+      initToggle();
+      if (query) {
+        // Older Safari only supports addListener.
+        if (query.addEventListener) query.addEventListener('change', update);
+        else query.addListener(update);
+      }
+    },
+  };
+})();
@@ -0,0 +1,105 @@
+// pwa.js – Installable app: service worker, update prompt and offline notices
+
+// sw.js, with manifest.webmanifest, makes the site installable and keeps
+// it working offline.  The worker serves the app shell of one deploy, so
+// a new deploy's worker installs in the background and then waits; this
+// module shows a prompt, and once the visitor agrees tells the new worker
+// to take over and reloads into the new version.  Nothing reloads by
+// itself: a half‑filled swap or vote is never thrown away.
+//
+// It also tells the visitor, with a toast, when the connection drops and
+// when it is back; the live panels show their own offline state.
+(() => {
+  const GBonk = window.GBonk;
+  const t = (key, params) => GBonk.i18n.t(key, params);
+
+  let prompt = null;
+  // The installed worker waiting to take over, while the prompt is up.
+  let waiting = null;
+  // Set once the visitor accepts, so only their reload follows a change
+  // of worker (the very first install takes over silently).
+  let accepted = false;
+
+  function renderPrompt() {
+    if (!prompt) return;
+    prompt.querySelector('p').textContent = t('pwa.updateAvailable');
+    prompt.querySelector('[data-action="reload"]').textContent = t('pwa.reload');
+    prompt.querySelector('[data-action="later"]').textContent = t('pwa.later');
+  }
+
+  function hidePrompt() {
+    if (prompt) prompt.remove();
+    prompt = null;
+  }
+
+  function showPrompt(worker) {
+    waiting = worker;
+    if (!prompt) {
+      prompt = document.createElement('div');
+      prompt.className = 'update-prompt';
+      prompt.setAttribute('role', 'status');
+      const text = document.createElement('p');
+      const reload = document.createElement('button');
+      reload.type = 'button';
+      reload.className = 'cta-button';
+      reload.dataset.action = 'reload';
+      reload.addEventListener('click', () => {
+        accepted = true;
+        reload.disabled = true;
+        waiting.postMessage({ type: 'skip-waiting' });
+      });
+      const later = document.createElement('button');
+      later.type = 'button';
+      later.className = 'copy-button';
+      later.dataset.action = 'later';
+      later.addEventListener('click', hidePrompt);
+      prompt.append(text, reload, later);
+      document.body.appendChild(prompt);
+    }
+    renderPrompt();
+  }
+
+  // Prompt whenever a new worker has installed behind the current one.
+  function watch(registration) {
+    const { serviceWorker } = navigator;
+    if (registration.waiting && serviceWorker.controller) showPrompt(registration.waiting);
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      if (!worker) return;
+      worker.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && serviceWorker.controller) showPrompt(worker);
+      });
+    });
+    serviceWorker.addEventListener('controllerchange', () => {
+      if (!accepted) return;
+      accepted = false;
+      window.location.reload();
+    });
+  }
+
+  async function register() {
+    const url = GBonk.config.pwa.serviceWorker;
+    if (!url || !('serviceWorker' in navigator)) return;
+    const registration = await navigator.serviceWorker.register(url);
+    watch(registration);
+    // Browsers look for a new sw.js on navigation; a page left open for
+    // days asks now and then too.
+    setInterval(() => {
+      if (document.hidden || !GBonk.connectivity.online()) return;
+      registration.update().catch((err) => console.warn('Update check failed:', err.message));
+    }, GBonk.config.pwa.updateCheckInterval);
+  }
+
+  function announce(online) {
+    if (GBonk.toast) GBonk.toast.show(t(online ? 'pwa.online' : 'pwa.offline'));
+  }
+
+  GBonk.pwa = {
+    init() {
+      GBonk.i18n.subscribe(renderPrompt);
+      if (!GBonk.connectivity.online()) announce(false);
+      GBonk.connectivity.subscribe(announce);
+      return register().catch((err) => console.warn('Service worker not registered:', err.message));
+    },
+  };
+})();
@@ -0,0 +1,315 @@
+// qr.js – Minimal QR code encoder (byte mode, error correction level M)
+
+// Generates QR codes entirely in the browser so that showing one for the
+// contract address needs no third‑party script or image service, either
+// of which could be swapped for a code pointing somewhere else.  Only
+// what the site needs is implemented: UTF‑8 byte mode, level M (about 15%
+// of the symbol can be damaged) and versions 1–10, which hold up to 213
+// bytes.  The encoding follows ISO/IEC 18004: Reed–Solomon error
+// correction over GF(256), block interleaving, and the mask with the
+// lowest penalty score.
+(() => {
+  const GBonk = window.GBonk;
+
+  // Per version (index 1–10) at level M: error correction codewords per
+  // block, and the data codewords of each block.
+  const BLOCKS = [
+    null,
+    { ec: 10, data: [16] },
+    { ec: 16, data: [28] },
+    { ec: 26, data: [44] },
+    { ec: 18, data: [32, 32] },
+    { ec: 24, data: [43, 43] },
+    { ec: 16, data: [27, 27, 27, 27] },
+    { ec: 18, data: [31, 31, 31, 31] },
+    { ec: 22, data: [38, 38, 39, 39] },
+    { ec: 22, data: [36, 36, 36, 37, 37] },
+    { ec: 26, data: [43, 43, 43, 43, 44] },
+  ];
+  // Centre coordinates of the alignment patterns per version.
+  const ALIGNMENT = [null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]];
+  // Level M's two format bits.
+  const LEVEL_M = 0;
+
+  // GF(256) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1.
+  const EXP = new Uint8Array(512);
+  const LOG = new Uint8Array(256);
+  for (let i = 0, x = 1; i < 255; i++) {
+    EXP[i] = x;
+    LOG[x] = i;
+    x <<= 1;
+    if (x & 0x100) x ^= 0x11d;
+  }
+  for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+
+  function multiply(a, b) {
+    return a && b ? EXP[LOG[a] + LOG[b]] : 0;
+  }
+
+  // Reed–Solomon error correction codewords for `data`.
+  function reedSolomon(data, degree) {
+    // Generator polynomial (x - α^0)(x - α^1)…(x - α^(degree-1)), highest
+    // coefficient (always 1) omitted.
+    const generator = new Uint8Array(degree);
+    generator[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < degree; j++) {
+        generator[j] = multiply(generator[j], root) ^ (j + 1 < degree ? generator[j + 1] : 0);
+      }
+      root = multiply(root, 2);
+    }
+    const remainder = new Uint8Array(degree);
+    data.forEach((byte) => {
+      const factor = byte ^ remainder[0];
+      remainder.copyWithin(0, 1);
+      remainder[degree - 1] = 0;
+      for (let j = 0; j < degree; j++) remainder[j] ^= multiply(generator[j], factor);
+    });
+    return remainder;
+  }
+
+  // Mode, length, data, terminator and padding, as data codewords.
+  function dataCodewords(bytes, version) {
+    const capacity = BLOCKS[version].data.reduce((sum, n) => sum + n, 0);
+    const bits = [];
+    const push = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    push(0b0100, 4);
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach((byte) => push(byte, 8));
+    push(0, Math.min(4, capacity * 8 - bits.length));
+    push(0, (8 - (bits.length % 8)) % 8);
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let pad = 0xec; codewords.length < capacity; pad ^= 0xec ^ 0x11) codewords.push(pad);
+    return codewords;
+  }
+
+  // Split into blocks, add error correction and interleave.
+  function finalCodewords(data, version) {
+    const { ec, data: sizes } = BLOCKS[version];
+    const blocks = [];
+    let offset = 0;
+    sizes.forEach((size) => {
+      const block = data.slice(offset, offset + size);
+      offset += size;
+      blocks.push({ data: block, ec: reedSolomon(block, ec) });
+    });
+    const result = [];
+    for (let i = 0; i < Math.max(...sizes); i++) {
+      blocks.forEach((block) => {
+        if (i < block.data.length) result.push(block.data[i]);
+      });
+    }
+    for (let i = 0; i < ec; i++) blocks.forEach((block) => result.push(block.ec[i]));
+    return result;
+  }
+
+  // BCH remainder of `value` for the format (10 bits) and version
+  // (12 bits) information.
+  function bch(value, generator, degree) {
+    let rem = value << degree;
+    for (let i = 31 - Math.clz32(rem); i >= degree; i--) {
+      if (rem & (1 << i)) rem ^= generator << (i - degree);
+    }
+    return (value << degree) | rem;
+  }
+
+  const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+  ];
+
+  // Symbol with the finder, timing and alignment patterns and the
+  // version information placed, and the format areas reserved.
+  function baseSymbol(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => {
+      modules[y][x] = dark;
+      reserved[y][x] = true;
+    };
+    for (let i = 0; i < size; i++) {
+      set(6, i, i % 2 === 0);
+      set(i, 6, i % 2 === 0);
+    }
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x < 0 || y < 0 || x >= size || y >= size) continue;
+          const ring = Math.max(Math.abs(dx), Math.abs(dy));
+          set(x, y, ring !== 2 && ring !== 4);
+        }
+      }
+    });
+    const centres = ALIGNMENT[version];
+    centres.forEach((cy, i) => centres.forEach((cx, j) => {
+      // Skip the three that would overlap a finder pattern.
+      const last = centres.length - 1;
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }));
+    // Format information areas (written per mask) and the dark module.
+    for (let i = 0; i < 9; i++) {
+      reserved[8][i] = true;
+      reserved[i][8] = true;
+    }
+    for (let i = 0; i < 8; i++) {
+      reserved[8][size - 1 - i] = true;
+      reserved[size - 1 - i][8] = true;
+    }
+    set(8, size - 8, true);
+    if (version >= 7) {
+      const bits = bch(version, 0x1f25, 12);
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) === 1;
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        set(a, b, dark);
+        set(b, a, dark);
+      }
+    }
+    return { size, modules, reserved };
+  }
+
+  function placeFormat(modules, size, mask) {
+    const bits = bch((LEVEL_M << 3) | mask, 0x537, 10) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+    for (let i = 0; i <= 5; i++) modules[i][8] = bit(i);
+    modules[7][8] = bit(6);
+    modules[8][8] = bit(7);
+    modules[8][7] = bit(8);
+    for (let i = 9; i < 15; i++) modules[8][14 - i] = bit(i);
+    for (let i = 0; i < 8; i++) modules[8][size - 1 - i] = bit(i);
+    for (let i = 8; i < 15; i++) modules[size - 15 + i][8] = bit(i);
+  }
+
+  // Lay the codewords out in the two‑column zigzag, bottom‑right first.
+  function placeData(modules, reserved, size, codewords) {
+    let index = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      const upward = ((right + 1) & 2) === 0;
+      for (let vert = 0; vert < size; vert++) {
+        const y = upward ? size - 1 - vert : vert;
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          if (reserved[y][x]) continue;
+          const byte = codewords[index >>> 3];
+          modules[y][x] = byte !== undefined && ((byte >>> (7 - (index & 7))) & 1) === 1;
+          index++;
+        }
+      }
+    }
+  }
+
+  // Penalty score (ISO/IEC 18004 §7.8.3); lower is easier to scan.
+  function penalty(modules, size) {
+    let score = 0;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map((row) => row[i]));
+    }
+    lines.forEach((line) => {
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) score += 3 + (run - 5);
+          run = 1;
+        }
+      }
+      const text = line.map((dark) => (dark ? '1' : '0')).join('');
+      score += 40 * (text.match(/(?=10111010000|00001011101)/g) || []).length;
+    });
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        if (x < size - 1 && y < size - 1) {
+          const c = modules[y][x];
+          if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+        }
+      }
+    }
+    const total = size * size;
+    score += 10 * (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1);
+    return score;
+  }
+
+  // Encode `text` and return { size, modules }, where modules[y][x] is
+  // true for a dark module.  Pass `mask` (0–7) to force a mask pattern.
+  function encode(text, { mask = null } = {}) {
+    const bytes = Array.from(new TextEncoder().encode(text));
+    let version = 1;
+    while (version < BLOCKS.length) {
+      const capacity = BLOCKS[version].data.reduce((sum, n) => sum + n, 0);
+      if (4 + (version < 10 ? 8 : 16) + bytes.length * 8 <= capacity * 8) break;
+      version++;
+    }
+    if (version >= BLOCKS.length) {
+      const err = new Error('Text is too long for a QR code');
+      err.code = 'QR_TOO_LONG';
+      throw err;
+    }
+    const codewords = finalCodewords(dataCodewords(bytes, version), version);
+    const { size, modules: base, reserved } = baseSymbol(version);
+    placeData(base, reserved, size, codewords);
+    let best = null;
+    (mask === null ? [0, 1, 2, 3, 4, 5, 6, 7] : [mask]).forEach((candidate) => {
+      const modules = base.map((row, y) => row.map((dark, x) => (reserved[y][x] ? dark : dark !== MASKS[candidate](x, y))));
+      placeFormat(modules, size, candidate);
+      const score = mask === null ? penalty(modules, size) : 0;
+      if (!best || score < best.score) best = { score, modules };
+    });
+    return { size, modules: best.modules };
+  }
+
+  // QR code for `text` as an <svg> element, one path for all dark
+  // modules, with the standard four‑module quiet zone.
+  function toSVG(text, { label = '' } = {}) {
+    const { size, modules } = encode(text);
+    const NS = 'http://www.w3.org/2000/svg';
+    const full = size + 8;
+    const svg = document.createElementNS(NS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${full} ${full}`);
+    svg.setAttribute('shape-rendering', 'crispEdges');
+    if (label) {
+      svg.setAttribute('role', 'img');
+      svg.setAttribute('aria-label', label);
+    }
+    const background = document.createElementNS(NS, 'rect');
+    background.setAttribute('width', String(full));
+    background.setAttribute('height', String(full));
+    background.setAttribute('fill', '#fff');
+    svg.appendChild(background);
+    let d = '';
+    modules.forEach((row, y) => row.forEach((dark, x) => {
+      if (dark) d += `M${x + 4} ${y + 4}h1v1h-1z`;
+    }));
+    const path = document.createElementNS(NS, 'path');
+    path.setAttribute('d', d);
+    path.setAttribute('fill', '#000');
+    svg.appendChild(path);
+    return svg;
+  }
+
+  GBonk.qr = { encode, toSVG };
+})();
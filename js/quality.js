@@ -0,0 +1,203 @@
+// quality.js – Shared animation clock and adaptive rendering quality tiers
+
+// The starfield canvas and the WebGL mascot both run every frame, which is
+// more than low‑end phones can keep up with.  This module drives a single
+// requestAnimationFrame loop for all of them, hands each callback the time
+// since the previous frame (so motion is the same speed at 30, 60 or
+// 120 Hz) and pauses entirely while the tab is hidden.
+//
+// It also watches how long frames actually take.  Renderers read their
+// budget (star count, nebulae, pixel ratio, optional effects) from the
+// current tier and re‑configure when it changes: a device that cannot
+// hold the frame rate steps down a tier, one with plenty of headroom steps
+// back up, but never into a tier it has already failed to sustain.  The
+// settled tier is remembered so the next visit starts there.
+(() => {
+  const GBonk = window.GBonk;
+  const STORAGE_KEY = 'gbonk:quality';
+
+  // Ordered from cheapest to richest.  `dpr` caps the device pixel ratio
+  // used for canvases; `cacheGradients` draws nebulae from pre‑rendered
+  // sprites instead of building gradients every frame.
+  const TIERS = {
+    low: {
+      stars: 80,
+      maxNebulae: 1,
+      dpr: 1,
+      maxComets: 2,
+      supernovae: false,
+      dogFilter: false,
+      cacheGradients: true,
+      dog3d: false,
+    },
+    medium: {
+      stars: 160,
+      maxNebulae: 2,
+      dpr: 1.5,
+      maxComets: 4,
+      supernovae: true,
+      dogFilter: false,
+      cacheGradients: true,
+      dog3d: true,
+    },
+    high: {
+      stars: 250,
+      maxNebulae: 4,
+      dpr: 2,
+      maxComets: 6,
+      supernovae: true,
+      dogFilter: true,
+      cacheGradients: false,
+      dog3d: true,
+    },
+  };
+  const ORDER = Object.keys(TIERS);
+
+  // Frames longer than this are clamped so a stall (or the first frame
+  // after the tab comes back) does not make everything jump.
+  const MAX_FRAME_MS = 100;
+
+  const callbacks = new Set();
+  const changes = GBonk.createEmitter();
+  const failed = new Set();
+  let tier = 'high';
+  let frameId = null;
+  let lastTime = null;
+  // Frame time samples for the current measurement window.
+  let windowStart = 0;
+  let windowFrames = 0;
+  let windowTime = 0;
+  let fastWindows = 0;
+  // The first window after starting is discarded: page load and the tab
+  // coming back to the foreground both cause one‑off jank.
+  let warmingUp = true;
+
+  // Best guess before any frames have been measured, from the hardware
+  // hints browsers expose.  Missing hints count as a mid‑range device.
+  function guessTier() {
+    const cores = navigator.hardwareConcurrency || 4;
+    const memory = navigator.deviceMemory || 4;
+    const saveData = navigator.connection && navigator.connection.saveData;
+    if (saveData || cores <= 2 || memory <= 2) return 'low';
+    if (cores <= 4 || memory <= 4) return 'medium';
+    return 'high';
+  }
+
+  function initialTier() {
+    const configured = GBonk.config.quality.tier;
+    if (TIERS[configured]) return configured;
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY);
+      if (TIERS[stored]) return stored;
+    } catch (err) {
+      // Storage disabled; fall through to the hardware guess.
+    }
+    return guessTier();
+  }
+
+  function setTier(name, { persist = false } = {}) {
+    if (!TIERS[name] || name === tier) return;
+    tier = name;
+    if (persist) {
+      try {
+        localStorage.setItem(STORAGE_KEY, name);
+      } catch (err) {
+        // Storage disabled; the tier lasts for this page view only.
+      }
+    }
+    changes.emit(name);
+  }
+
+  function step(direction) {
+    const index = ORDER.indexOf(tier) + direction;
+    if (index < 0 || index >= ORDER.length) return;
+    if (direction < 0) failed.add(tier);
+    setTier(ORDER[index], { persist: true });
+  }
+
+  // Average the frame time over each window and adjust the tier.  With a
+  // fixed tier in the config the measurements are ignored.
+  function measure(now, dt) {
+    const { tier: configured, sampleWindow, downgradeFrameTime, upgradeFrameTime, upgradeAfter } = GBonk.config.quality;
+    if (TIERS[configured]) return;
+    windowFrames++;
+    windowTime += dt;
+    if (now - windowStart < sampleWindow) return;
+    const average = windowTime / windowFrames;
+    windowStart = now;
+    windowFrames = 0;
+    windowTime = 0;
+    if (warmingUp) {
+      warmingUp = false;
+    } else if (average > downgradeFrameTime) {
+      fastWindows = 0;
+      step(-1);
+    } else if (average < upgradeFrameTime) {
+      fastWindows++;
+      const next = ORDER[ORDER.indexOf(tier) + 1];
+      if (fastWindows >= upgradeAfter && next && !failed.has(next)) {
+        fastWindows = 0;
+        step(1);
+      }
+    } else {
+      fastWindows = 0;
+    }
+  }
+
+  function frame(now) {
+    frameId = requestAnimationFrame(frame);
+    if (lastTime === null) {
+      // First frame after starting or resuming: nothing to measure yet.
+      lastTime = now;
+      windowStart = now;
+      return;
+    }
+    const dt = Math.min(now - lastTime, MAX_FRAME_MS);
+    lastTime = now;
+    callbacks.forEach((callback) => callback(dt, now));
+    measure(now, dt);
+  }
+
+  function start() {
+    if (frameId !== null || document.hidden) return;
+    lastTime = null;
+    warmingUp = true;
+    windowFrames = 0;
+    windowTime = 0;
+    frameId = requestAnimationFrame(frame);
+  }
+
+  function stop() {
+    if (frameId === null) return;
+    cancelAnimationFrame(frameId);
+    frameId = null;
+  }
+
+  GBonk.quality = {
+    TIERS,
+    // Name of the current tier, and its settings.
+    tier: () => tier,
+    settings: () => TIERS[tier],
+    // Force a tier, e.g. from the console while testing.
+    setTier,
+    // Called with the new tier name whenever the tier changes.
+    subscribe: changes.subscribe,
+    // Run `callback(dt, now)` on every frame while the page is visible;
+    // dt is in milliseconds.  Returns a function that removes it.
+    onFrame(callback) {
+      callbacks.add(callback);
+      start();
+      return () => {
+        callbacks.delete(callback);
+        if (!callbacks.size) stop();
+      };
+    },
+    init() {
+      tier = initialTier();
+      document.addEventListener('visibilitychange', () => {
+        if (document.hidden) stop();
+        else if (callbacks.size) start();
+      });
+    },
+  };
+})();
@@ -0,0 +1,183 @@
+// roadmap.js – Roadmap status, progress line and countdown to the next milestone
+
+// js/content.js renders each milestone with its declared status, target
+// date and progress.  Everything that depends on the clock is kept
+// current here:
+//
+//   - a milestone that is not marked done once its target date has passed
+//     is shown as delayed, so a content file nobody has updated never
+//     claims something is still on schedule;
+//   - each target says how far away it is ("in 3 weeks", "2 months ago");
+//   - the line beside the milestones fills up to today, placed between
+//     the markers of the milestones either side of it by date;
+//   - the next upcoming milestone gets a live countdown.
+//
+// Milestones are re-read from the DOM after every render, so a language
+// change or a content update needs nothing special.
+(() => {
+  const GBonk = window.GBonk;
+  const t = (key, params) => GBonk.i18n.t(key, params);
+
+  const SECOND = 1000;
+  const DAY = 24 * 3600 * SECOND;
+  // Badge keys, as in js/content.js.
+  const STATUS_KEYS = { planned: 'planned', 'in-progress': 'inProgress', done: 'done', delayed: 'delayed' };
+  // Units for "in 3 weeks", in days.
+  const UNITS = [
+    ['year', 365],
+    ['month', 30],
+    ['week', 7],
+    ['day', 1],
+  ];
+  // Distance from the top of a milestone to the centre of its marker
+  // (.timeline-item::before in styles.css).
+  const MARKER_OFFSET = 24;
+  // Statuses and the line are re-checked at least this often; the
+  // countdown ticks every second.
+  const REFRESH_INTERVAL = 60 * SECOND;
+
+  let timeline = null;
+  let next = null;
+  let timer = 0;
+  let nextRefresh = 0;
+  // The milestone being counted down to: { period, deadline }.
+  let upcoming = null;
+
+  // Start of the target day (UTC), or null for a missing or bad date.
+  function targetTime(target) {
+    const time = Date.parse(`${target}T00:00:00Z`);
+    return Number.isNaN(time) ? null : time;
+  }
+
+  // A milestone is due by the end of its target day.
+  function deadline(target) {
+    const time = targetTime(target);
+    return time === null ? null : time + DAY;
+  }
+
+  // What a milestone should show at `now`: done and delayed stand, and
+  // anything else past its deadline is delayed.
+  function effectiveStatus(status, target, now = Date.now()) {
+    if (status === 'done' || status === 'delayed') return status;
+    const due = target ? deadline(target) : null;
+    if (due !== null && due <= now) return 'delayed';
+    return STATUS_KEYS[status] ? status : 'planned';
+  }
+
+  // "in 3 weeks", "yesterday", "2 months ago" … for the target day.
+  function relativeDays(target, now) {
+    const days = Math.round((targetTime(target) - now) / DAY);
+    const abs = Math.abs(days);
+    for (const [unit, size] of UNITS) {
+      if (abs >= size) return GBonk.i18n.formatRelative(Math.round(days / size), unit, { numeric: 'auto' });
+    }
+    return GBonk.i18n.formatRelative(0, 'day', { numeric: 'auto' });
+  }
+
+  // "in 12 days, 04:05:06", or "in 04:05:06" on the last day.
+  function countdown(remaining) {
+    const seconds = Math.max(Math.floor(remaining / SECOND), 0);
+    const days = Math.floor(seconds / 86400);
+    const two = (value) => GBonk.i18n.formatNumber(value, { minimumIntegerDigits: 2, useGrouping: false });
+    const time = [Math.floor(seconds / 3600) % 24, Math.floor(seconds / 60) % 60, seconds % 60].map(two).join(':');
+    return days ? t('roadmap.countdown', { count: days, time }) : t('roadmap.countdownHours', { time });
+  }
+
+  function items() {
+    return timeline ? Array.from(timeline.querySelectorAll('.timeline-item')) : [];
+  }
+
+  function setText(element, text) {
+    if (element && element.textContent !== text) element.textContent = text;
+  }
+
+  function updateItems(now) {
+    items().forEach((item) => {
+      const { status, target } = item.dataset;
+      const state = effectiveStatus(status, target, now);
+      item.dataset.state = state;
+      setText(item.querySelector('.roadmap-status'), t(`roadmap.status.${STATUS_KEYS[state]}`));
+      // How far away only matters for what is still to come.
+      const relative = item.querySelector('.roadmap-relative');
+      if (relative) setText(relative, target && state !== 'done' ? relativeDays(target, now) : '');
+    });
+  }
+
+  // Fill the line down to where today falls between the milestones'
+  // markers, interpolating by date.  Before the first target it stays
+  // empty; after the last it reaches the last marker.
+  function layoutLine(now) {
+    const markers = items()
+      .map((item) => ({ time: targetTime(item.dataset.target), y: item.offsetTop + MARKER_OFFSET }))
+      .filter((marker) => marker.time !== null)
+      .sort((a, b) => a.time - b.time);
+    let fill = 0;
+    if (markers.length && now >= markers[0].time) {
+      fill = markers[markers.length - 1].y;
+      for (let i = 0; i < markers.length - 1; i++) {
+        const from = markers[i];
+        const to = markers[i + 1];
+        if (now < to.time) {
+          fill = from.y + (to.y - from.y) * ((now - from.time) / (to.time - from.time));
+          break;
+        }
+      }
+    }
+    timeline.style.setProperty('--roadmap-now', `${Math.round(fill)}px`);
+  }
+
+  // The earliest milestone still due in the future that is not done.
+  function findUpcoming(now) {
+    let best = null;
+    items().forEach((item) => {
+      const due = item.dataset.target ? deadline(item.dataset.target) : null;
+      if (due === null || due <= now || item.dataset.state === 'done') return;
+      if (!best || due < best.deadline) {
+        const heading = item.querySelector('h3');
+        best = { period: heading ? heading.textContent : '', deadline: due };
+      }
+    });
+    return best;
+  }
+
+  function renderCountdown(now) {
+    if (!next) return;
+    next.hidden = !upcoming;
+    if (!upcoming) return;
+    setText(next.querySelector('.roadmap-next-label'), t('roadmap.next', { period: upcoming.period }));
+    setText(next.querySelector('.roadmap-countdown'), countdown(upcoming.deadline - now));
+  }
+
+  function refresh(now = Date.now()) {
+    updateItems(now);
+    layoutLine(now);
+    upcoming = findUpcoming(now);
+    // Re-check as soon as the upcoming milestone falls due.
+    nextRefresh = Math.min(now + REFRESH_INTERVAL, upcoming ? upcoming.deadline : Infinity);
+    renderCountdown(now);
+  }
+
+  function tick() {
+    if (document.hidden) return;
+    const now = Date.now();
+    if (now >= nextRefresh) refresh(now);
+    else renderCountdown(now);
+  }
+
+  function init() {
+    timeline = document.querySelector('[data-content="roadmap"]');
+    if (!timeline) return;
+    next = document.getElementById('roadmap-next');
+    if (GBonk.content) GBonk.content.subscribe(() => refresh());
+    GBonk.i18n.subscribe(() => refresh());
+    // Milestones change height with the viewport and web fonts.
+    if (window.ResizeObserver) new ResizeObserver(() => layoutLine(Date.now())).observe(timeline);
+    else window.addEventListener('resize', () => layoutLine(Date.now()));
+    document.addEventListener('visibilitychange', tick);
+    clearInterval(timer);
+    timer = setInterval(tick, SECOND);
+    refresh();
+  }
+
+  GBonk.roadmap = { effectiveStatus, init };
+})();
@@ -0,0 +1,96 @@
+// rpc.js – Minimal Solana JSON‑RPC client used by the live data panels
+
+// We only need a handful of read methods, so rather than pulling in the
+// full @solana/web3.js bundle we speak JSON‑RPC directly with fetch.  The
+// client is created from GBonk.config.rpcUrl by default; tests and local
+// development can point that at a mock server or swap the client out
+// entirely with GBonk.rpc.setClient().
+(() => {
+  const GBonk = window.GBonk;
+
+  // Error raised for JSON‑RPC level failures.  `code` carries the RPC
+  // error code when the node returned one.
+  class RpcError extends Error {
+    constructor(message, code) {
+      super(message);
+      this.name = 'RpcError';
+      this.code = code;
+    }
+  }
+
+  function createRpcClient(url, { timeout } = {}) {
+    let nextId = 1;
+
+    async function call(method, params = []) {
+      const body = await GBonk.fetchJSON(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: nextId++, method, params }),
+        timeout,
+      });
+      if (body.error) throw new RpcError(body.error.message || `${method} failed`, body.error.code);
+      return body.result;
+    }
+
+    return {
+      url,
+      call,
+      // Total supply of a mint, as { amount, decimals, uiAmount, uiAmountString }.
+      async getTokenSupply(mint) {
+        const result = await call('getTokenSupply', [mint]);
+        return result.value;
+      },
+      // Balance of a single SPL token account, in the same shape as above.
+      async getTokenAccountBalance(account) {
+        const result = await call('getTokenAccountBalance', [account]);
+        return result.value;
+      },
+      // Raw account data as a Uint8Array, or null if the account does not exist.
+      async getAccountData(address) {
+        const result = await call('getAccountInfo', [address, { encoding: 'base64' }]);
+        if (!result.value) return null;
+        return Uint8Array.from(atob(result.value.data[0]), (c) => c.charCodeAt(0));
+      },
+      // Recent blockhash for building transactions.
+      async getLatestBlockhash() {
+        const result = await call('getLatestBlockhash', [{ commitment: 'confirmed' }]);
+        return result.value.blockhash;
+      },
+      // SOL balance of an account, in lamports.
+      async getBalance(address) {
+        const result = await call('getBalance', [address]);
+        return result.value;
+      },
+      // Submit a signed, base64‑encoded transaction; resolves to its signature.
+      sendTransaction(base64) {
+        return call('sendTransaction', [base64, { encoding: 'base64' }]);
+      },
+      // Confirmation status of a transaction, or null if it is not yet known.
+      async getSignatureStatus(signature) {
+        const result = await call('getSignatureStatuses', [[signature]]);
+        return result.value[0];
+      },
+      // Token accounts owned by a wallet for one mint, with parsed balances.
+      async getTokenAccountsByOwner(owner, mint) {
+        const result = await call('getTokenAccountsByOwner', [owner, { mint }, { encoding: 'jsonParsed' }]);
+        return result.value;
+      },
+    };
+  }
+
+  let client = null;
+
+  GBonk.rpc = {
+    RpcError,
+    createRpcClient,
+    // Shared client, lazily created from the configured endpoint.
+    getClient() {
+      if (!client) client = createRpcClient(GBonk.config.rpcUrl);
+      return client;
+    },
+    // Replace the shared client, e.g. with an in‑memory mock.
+    setClient(next) {
+      client = next;
+    },
+  };
+})();
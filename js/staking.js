@@ -0,0 +1,498 @@
+// staking.js – $GBONK staking: pool stats, positions, actions and estimator
+
+// All chain access goes through a "staking program" object with the same
+// small interface whether it talks to the real program or not:
+//
+//   getPool()                      → { totalStaked, locks: [{ index, days, aprBps }] }
+//   getPositions(owner)            → [{ lockIndex, days, aprBps, amount,
+//                                       stakedAt, unlocksAt, pendingRewards }]
+//   buildStake(owner, amount, lockIndex)
+//   buildUnstake(owner, lockIndex)
+//   buildClaim(owner, lockIndex)   → transaction for the wallet to sign
+//   send(transaction)              → signature
+//
+// createOnChainProgram() implements it against the program ID in
+// GBonk.config.staking; createMockProgram() keeps everything in memory so
+// the UI can be developed and tested without a deployed program.  Amounts
+// are in whole tokens throughout; only the on‑chain adapter deals in base
+// units.
+(() => {
+  const GBonk = window.GBonk;
+  const YEAR_SECONDS = 365 * 24 * 60 * 60;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+  const ASSOCIATED_TOKEN_PROGRAM_ID = 'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL';
+  const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
+  // First byte of each instruction's data.
+  const INSTRUCTION = { stake: 0, unstake: 1, claim: 2 };
+
+  // Rewards accrued on `amount` tokens at `aprBps` over `seconds` (simple
+  // interest, matching the program's accounting).
+  function estimateRewards(amount, aprBps, seconds) {
+    return amount * (aprBps / 10000) * (seconds / YEAR_SECONDS);
+  }
+
+  // Derive a position's display fields from its stored state.  `carried`
+  // is rewards accrued before the position was last topped up (the mock
+  // keeps them; on‑chain positions have no such field).
+  function describePosition(lock, { amount, stakedAt, lastClaimAt, carried = 0 }, now = Date.now()) {
+    return {
+      lockIndex: lock.index,
+      days: lock.days,
+      aprBps: lock.aprBps,
+      amount,
+      stakedAt,
+      unlocksAt: stakedAt + lock.days * DAY_MS,
+      pendingRewards: carried + estimateRewards(amount, lock.aprBps, Math.max(0, now - lastClaimAt) / 1000),
+    };
+  }
+
+  // Adapter for the deployed program.  Account layouts (little endian):
+  //
+  //   Pool      PDA ["pool", mint]
+  //     u8 version | u64 total_staked | u8 lock_count |
+  //     lock_count × (u16 days | u16 apr_bps)
+  //   Position  PDA ["position", pool, owner, lock_index]
+  //     u8 version | u64 amount | i64 staked_at | i64 last_claim_at
+  //   Vault     PDA ["vault", pool] – token account holding staked tokens
+  //
+  // Instruction data is the tag from INSTRUCTION followed by u64 amount
+  // (stake only) and u8 lock_index.
+  function createOnChainProgram(programId, { rpc = GBonk.rpc.getClient() } = {}) {
+    const encoder = new TextEncoder();
+    const scale = 10 ** GBonk.config.decimals;
+
+    function web3() {
+      if (!window.solanaWeb3) throw new Error('Solana web3.js is not loaded');
+      return window.solanaWeb3;
+    }
+
+    function key(address) {
+      return new (web3().PublicKey)(address);
+    }
+
+    function pda(seeds, program = programId) {
+      return web3().PublicKey.findProgramAddressSync(seeds, key(program))[0];
+    }
+
+    function addresses(owner, lockIndex) {
+      const mint = key(GBonk.config.mint);
+      const pool = pda([encoder.encode('pool'), mint.toBytes()]);
+      const result = { mint, pool, vault: pda([encoder.encode('vault'), pool.toBytes()]) };
+      if (owner) {
+        const ownerKey = key(owner);
+        result.owner = ownerKey;
+        result.ownerTokens = pda(
+          [ownerKey.toBytes(), key(TOKEN_PROGRAM_ID).toBytes(), mint.toBytes()],
+          ASSOCIATED_TOKEN_PROGRAM_ID,
+        );
+        if (lockIndex !== undefined) {
+          result.position = pda([encoder.encode('position'), pool.toBytes(), ownerKey.toBytes(), Uint8Array.of(lockIndex)]);
+        }
+      }
+      return result;
+    }
+
+    function view(bytes) {
+      return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    }
+
+    async function getPool() {
+      const data = await rpc.getAccountData(addresses().pool.toBase58());
+      if (!data) throw new Error('The staking pool has not been initialised yet');
+      const v = view(data);
+      const count = v.getUint8(9);
+      const locks = [];
+      for (let i = 0; i < count; i++) {
+        const offset = 10 + i * 4;
+        locks.push({ index: i, days: v.getUint16(offset, true), aprBps: v.getUint16(offset + 2, true) });
+      }
+      return { totalStaked: Number(v.getBigUint64(1, true)) / scale, locks };
+    }
+
+    async function getPositions(owner) {
+      const { locks } = await getPool();
+      const accounts = await Promise.all(locks.map((lock) => (
+        rpc.getAccountData(addresses(owner, lock.index).position.toBase58())
+      )));
+      const positions = [];
+      accounts.forEach((data, i) => {
+        if (!data) return;
+        const v = view(data);
+        const amount = Number(v.getBigUint64(1, true)) / scale;
+        if (!amount) return;
+        positions.push(describePosition(locks[i], {
+          amount,
+          stakedAt: Number(v.getBigInt64(9, true)) * 1000,
+          lastClaimAt: Number(v.getBigInt64(17, true)) * 1000,
+        }));
+      });
+      return positions;
+    }
+
+    async function build(owner, tag, lockIndex, amount) {
+      const { Transaction, TransactionInstruction } = web3();
+      const a = addresses(owner, lockIndex);
+      const data = new Uint8Array(amount === undefined ? 2 : 10);
+      const v = view(data);
+      v.setUint8(0, tag);
+      if (amount === undefined) {
+        v.setUint8(1, lockIndex);
+      } else {
+        v.setBigUint64(1, BigInt(Math.round(amount * scale)), true);
+        v.setUint8(9, lockIndex);
+      }
+      const writable = (pubkey) => ({ pubkey, isSigner: false, isWritable: true });
+      const instruction = new TransactionInstruction({
+        programId: key(programId),
+        keys: [
+          { pubkey: a.owner, isSigner: true, isWritable: true },
+          writable(a.pool),
+          writable(a.position),
+          writable(a.ownerTokens),
+          writable(a.vault),
+          { pubkey: a.mint, isSigner: false, isWritable: false },
+          { pubkey: key(TOKEN_PROGRAM_ID), isSigner: false, isWritable: false },
+          { pubkey: key(SYSTEM_PROGRAM_ID), isSigner: false, isWritable: false },
+        ],
+        data,
+      });
+      const recentBlockhash = await rpc.getLatestBlockhash();
+      return new Transaction({ feePayer: a.owner, recentBlockhash }).add(instruction);
+    }
+
+    return {
+      getPool,
+      getPositions,
+      buildStake: (owner, amount, lockIndex) => build(owner, INSTRUCTION.stake, lockIndex, amount),
+      buildUnstake: (owner, lockIndex) => build(owner, INSTRUCTION.unstake, lockIndex),
+      buildClaim: (owner, lockIndex) => build(owner, INSTRUCTION.claim, lockIndex),
+      send: (transaction) => GBonk.wallet.signAndSend(transaction),
+    };
+  }
+
+  // In‑memory stand‑in for the program.  "Transactions" are plain objects
+  // describing the instruction; send() still asks the connected (usually
+  // fake) wallet to sign them and only applies the change once it has.
+  function createMockProgram({
+    locks = GBonk.config.staking.locks,
+    totalStaked = 125000000,
+    now = () => Date.now(),
+  } = {}) {
+    const poolLocks = locks.map((lock, index) => ({ index, days: lock.days, aprBps: lock.aprBps }));
+    const positions = new Map();
+    let total = totalStaked;
+
+    function ownerPositions(owner) {
+      if (!positions.has(owner)) positions.set(owner, new Map());
+      return positions.get(owner);
+    }
+
+    function apply({ owner, instruction }) {
+      const { type, lockIndex, amount } = instruction;
+      const lock = poolLocks[lockIndex];
+      if (!lock) throw new Error('Unknown lock period');
+      const mine = ownerPositions(owner);
+      const existing = mine.get(lockIndex);
+      const time = now();
+      if (type === 'stake') {
+        // Topping up a position restarts its lock.  What it had accrued so
+        // far is carried over so it can still be claimed.
+        const carried = existing ? describePosition(lock, existing, time).pendingRewards : 0;
+        const staked = existing ? existing.amount : 0;
+        mine.set(lockIndex, { amount: staked + amount, stakedAt: time, lastClaimAt: time, carried });
+        total += amount;
+      } else if (!existing) {
+        throw new Error('No position for that lock period');
+      } else if (type === 'claim') {
+        existing.lastClaimAt = time;
+        existing.carried = 0;
+      } else if (type === 'unstake') {
+        if (time < existing.stakedAt + lock.days * DAY_MS) throw new Error('Position is still locked');
+        mine.delete(lockIndex);
+        total -= existing.amount;
+      }
+    }
+
+    const build = (owner, instruction) => Promise.resolve({ mock: true, owner, instruction });
+
+    return {
+      async getPool() {
+        return { totalStaked: total, locks: poolLocks };
+      },
+      async getPositions(owner) {
+        const time = now();
+        return Array.from(ownerPositions(owner).entries())
+          .map(([lockIndex, state]) => describePosition(poolLocks[lockIndex], state, time));
+      },
+      buildStake: (owner, amount, lockIndex) => build(owner, { type: 'stake', amount, lockIndex }),
+      buildUnstake: (owner, lockIndex) => build(owner, { type: 'unstake', lockIndex }),
+      buildClaim: (owner, lockIndex) => build(owner, { type: 'claim', lockIndex }),
+      async send(transaction) {
+        const signature = await GBonk.wallet.signAndSend(transaction);
+        apply(transaction);
+        return signature;
+      },
+    };
+  }
+
+  let program;
+
+  // The configured program: the mock, the on‑chain adapter, or null while
+  // staking is not live.
+  function getProgram() {
+    if (program === undefined) {
+      const cfg = GBonk.config.staking;
+      if (cfg.useMock) program = createMockProgram();
+      else if (cfg.programId) program = createOnChainProgram(cfg.programId);
+      else program = null;
+    }
+    return program;
+  }
+
+  const { t, formatNumber, formatDate } = GBonk.i18n;
+  const formatTokens = (amount) => formatNumber(amount, { maximumFractionDigits: 2 });
+
+  function formatApr(aprBps) {
+    const digits = aprBps % 100 ? 2 : 0;
+    return `${formatNumber(aprBps / 100, { minimumFractionDigits: digits, maximumFractionDigits: digits })}\u00a0%`;
+  }
+
+  function lockLabel(lock) {
+    return t('staking.lockOption', { count: lock.days, apr: formatApr(lock.aprBps) });
+  }
+
+  function fillLockSelect(select, locks) {
+    const previous = select.value;
+    select.textContent = '';
+    locks.forEach((lock) => {
+      const option = document.createElement('option');
+      option.value = String(lock.index);
+      option.textContent = lockLabel(lock);
+      select.appendChild(option);
+    });
+    if (previous && locks.some((l) => String(l.index) === previous)) select.value = previous;
+  }
+
+  function currentPrice() {
+    const poller = GBonk.ticker && GBonk.ticker.poller;
+    const data = poller && poller.current().data;
+    return data ? data.priceUsd : null;
+  }
+
+  function init() {
+    const section = document.getElementById('staking');
+    if (!section) return;
+    const statsFields = {};
+    section.querySelectorAll('.staking-stats [data-field]').forEach((el) => { statsFields[el.dataset.field] = el; });
+    const notice = section.querySelector('.staking-notice');
+    const stakeForm = document.getElementById('stake-form');
+    const stakeAmount = document.getElementById('stake-amount');
+    const stakeLock = document.getElementById('stake-lock');
+    const stakeSubmit = stakeForm.querySelector('button[type="submit"]');
+    const statusEl = section.querySelector('.staking-status');
+    const positionsBody = document.getElementById('staking-positions');
+    const positionsEmpty = section.querySelector('.positions-empty');
+    const estimator = document.getElementById('staking-estimator');
+    const estAmount = document.getElementById('estimate-amount');
+    const estLock = document.getElementById('estimate-lock');
+    const estOutput = document.getElementById('estimate-output');
+
+    const active = getProgram();
+    let pool = { totalStaked: null, locks: GBonk.config.staking.locks.map((lock, index) => ({ index, ...lock })) };
+    let positions = [];
+    let owner = null;
+    let busy = false;
+    let refreshTimer = null;
+
+    function setStatus(message, state = 'info') {
+      statusEl.textContent = '';
+      statusEl.dataset.state = message ? state : '';
+      if (message instanceof Node) statusEl.appendChild(message);
+      else statusEl.textContent = message;
+    }
+
+    function renderPool(next) {
+      pool = next;
+      const { locks } = pool;
+      statsFields.total.textContent = pool.totalStaked !== null ? `${formatTokens(pool.totalStaked)} $GBONK` : '–';
+      const aprs = locks.map((l) => l.aprBps);
+      statsFields.apr.textContent = aprs.length
+        ? `${formatApr(Math.min(...aprs))} – ${formatApr(Math.max(...aprs))}`
+        : '–';
+      statsFields.locks.textContent = t('staking.lockList', { list: locks.map((l) => l.days).join(' / ') });
+      fillLockSelect(stakeLock, locks);
+      fillLockSelect(estLock, locks);
+      updateEstimate();
+    }
+
+    function updateEstimate() {
+      const amount = Number(estAmount.value);
+      const lock = pool.locks.find((l) => String(l.index) === estLock.value) || pool.locks[0];
+      if (!lock || !(amount > 0)) {
+        estOutput.textContent = t('staking.estimatePrompt');
+        return;
+      }
+      const rewards = estimateRewards(amount, lock.aprBps, lock.days * 24 * 60 * 60);
+      const price = currentPrice();
+      const params = { rewards: formatTokens(rewards), count: lock.days };
+      estOutput.textContent = price !== null
+        ? t('staking.estimateWithUsd', { ...params, usd: formatNumber(rewards * price, { style: 'currency', currency: 'USD' }) })
+        : t('staking.estimate', params);
+    }
+
+    function updateControls() {
+      stakeSubmit.disabled = !active || busy;
+      stakeSubmit.textContent = !active ? t('staking.soon') : owner ? t('staking.submit') : t('staking.connect');
+      positionsEmpty.textContent = owner ? t('staking.noPositions') : t('staking.connectForPositions');
+      positionsBody.querySelectorAll('button').forEach((btn) => {
+        btn.disabled = busy || btn.dataset.locked === 'true';
+      });
+    }
+
+    function actionButton(action, lockIndex, locked) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'staking-action';
+      btn.textContent = t(`staking.${action}`);
+      btn.dataset.locked = String(Boolean(locked));
+      btn.addEventListener('click', () => runAction(action, lockIndex));
+      return btn;
+    }
+
+    function renderPositions(next) {
+      positions = next;
+      positionsBody.textContent = '';
+      positionsEmpty.hidden = positions.length > 0;
+      const now = Date.now();
+      positions.forEach((p) => {
+        const row = document.createElement('tr');
+        const locked = now < p.unlocksAt;
+        const cells = [
+          t('staking.days', { count: p.days }),
+          formatTokens(p.amount),
+          locked ? formatDate(p.unlocksAt, { dateStyle: 'medium' }) : t('staking.unlocked'),
+          formatTokens(p.pendingRewards),
+        ];
+        cells.forEach((text) => {
+          const td = document.createElement('td');
+          td.textContent = text;
+          row.appendChild(td);
+        });
+        const actions = document.createElement('td');
+        actions.className = 'staking-actions';
+        actions.append(
+          actionButton('claim', p.lockIndex, p.pendingRewards <= 0),
+          actionButton('unstake', p.lockIndex, locked),
+        );
+        row.appendChild(actions);
+        positionsBody.appendChild(row);
+      });
+      updateControls();
+    }
+
+    async function refresh() {
+      if (!active) return;
+      try {
+        renderPool(await active.getPool());
+        if (owner) renderPositions(await active.getPositions(owner));
+      } catch (err) {
+        console.error(err);
+        setStatus(t('staking.loadFailed'), 'error');
+      }
+    }
+
+    // Build, sign and submit one action ('stake', 'claim' or 'unstake'),
+    // then refresh everything.  Each action has its own set of messages
+    // (staking.<action>.approve, .submitted, .rejected, .failed).
+    async function perform(action, buildTx) {
+      busy = true;
+      updateControls();
+      try {
+        setStatus(t(`staking.${action}.approve`));
+        const transaction = await buildTx();
+        const signature = await active.send(transaction);
+        const link = document.createElement('a');
+        link.href = `https://solscan.io/tx/${signature}`;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = t('common.viewOnSolscan');
+        const done = document.createDocumentFragment();
+        done.append(`${t(`staking.${action}.submitted`)} `, link);
+        setStatus(done, 'success');
+        await refresh();
+        if (GBonk.dashboard) GBonk.dashboard.refresh();
+        return true;
+      } catch (err) {
+        console.error(err);
+        if (err.code === 'rejected') setStatus(t(`staking.${action}.rejected`), 'rejected');
+        else setStatus(t(`staking.${action}.failed`, { reason: err.message }), 'error');
+        return false;
+      } finally {
+        busy = false;
+        updateControls();
+      }
+    }
+
+    function runAction(action, lockIndex) {
+      if (!owner || busy) return;
+      if (action === 'claim') perform('claim', () => active.buildClaim(owner, lockIndex));
+      else perform('unstake', () => active.buildUnstake(owner, lockIndex));
+    }
+
+    stakeForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      if (!active || busy) return;
+      if (!owner) {
+        const connectBtn = document.getElementById('connect-wallet');
+        if (connectBtn) connectBtn.click();
+        return;
+      }
+      const amount = Number(stakeAmount.value);
+      if (!(amount > 0)) {
+        setStatus(t('staking.amountRequired'), 'error');
+        return;
+      }
+      const lockIndex = Number(stakeLock.value);
+      if (await perform('stake', () => active.buildStake(owner, amount, lockIndex))) stakeAmount.value = '';
+    });
+
+    estimator.addEventListener('input', updateEstimate);
+    estimator.addEventListener('submit', (e) => e.preventDefault());
+
+    GBonk.i18n.subscribe(() => {
+      renderPool(pool);
+      renderPositions(positions);
+    });
+
+    notice.hidden = Boolean(active);
+    renderPool(pool);
+    updateControls();
+    if (!active) return;
+
+    if (GBonk.wallet) {
+      GBonk.wallet.subscribe(({ publicKey }) => {
+        if (publicKey === owner) return;
+        owner = publicKey;
+        clearInterval(refreshTimer);
+        renderPositions([]);
+        if (owner) refreshTimer = setInterval(refresh, 60000);
+        refresh();
+      });
+    }
+    refresh();
+  }
+
+  GBonk.staking = {
+    estimateRewards,
+    createOnChainProgram,
+    createMockProgram,
+    getProgram,
+    // Replace the program, e.g. with a pre‑seeded mock in tests.  Must be
+    // called before init().
+    setProgram(next) {
+      program = next;
+    },
+    init,
+  };
+})();
@@ -0,0 +1,320 @@
+// swap.js – In‑page SOL → $GBONK swap through a Jupiter‑compatible API
+
+// The widget asks the configured quote API (GBonk.config.swap.apiUrl) for
+// the best route, shows the route, price impact and minimum received,
+// then requests a ready‑built transaction from the API's /swap endpoint
+// and hands it to the connected wallet to sign.  Each failure mode has
+// its own state so the user knows whether to retry, top up SOL or simply
+// approve the transaction.  Pointing apiUrl at a local stub server and
+// installing a fake wallet provider is enough to exercise the whole flow.
+(() => {
+  const GBonk = window.GBonk;
+  const { t, formatNumber } = GBonk.i18n;
+  const SOL_MINT = 'So11111111111111111111111111111111111111112';
+  const LAMPORTS_PER_SOL = 1e9;
+  const SLIPPAGE_KEY = 'gbonk:slippage';
+  // The most slippage the custom field accepts: 50 %.
+  const MAX_SLIPPAGE_BPS = 5000;
+  // Quotes go stale quickly; anything older is refreshed before swapping.
+  const QUOTE_MAX_AGE = 30000;
+  // Price impact above this (as a fraction) is flagged in the details.
+  const HIGH_IMPACT = 0.05;
+
+  // Error raised by the swap flow.  `code` identifies the error state:
+  // 'quote-failed', 'insufficient-sol', 'rejected' or 'swap-failed'.
+  class SwapError extends Error {
+    constructor(message, code, cause) {
+      super(message);
+      this.name = 'SwapError';
+      this.code = code;
+      this.cause = cause;
+    }
+  }
+
+  // The remembered slippage, or the configured default when there is none,
+  // it is out of range or storage is disabled.
+  function storedSlippage() {
+    let bps = NaN;
+    try {
+      bps = Number(localStorage.getItem(SLIPPAGE_KEY) || NaN);
+    } catch (err) {
+      // Storage disabled.
+    }
+    return Number.isInteger(bps) && bps > 0 && bps <= MAX_SLIPPAGE_BPS ? bps : GBonk.config.swap.defaultSlippageBps;
+  }
+
+  function rememberSlippage(bps) {
+    try {
+      localStorage.setItem(SLIPPAGE_KEY, String(bps));
+    } catch (err) {
+      // Storage disabled; the choice lasts for this page view only.
+    }
+  }
+
+  // Ask the API for the best SOL → $GBONK route.
+  async function fetchQuote(lamports, slippageBps) {
+    const params = new URLSearchParams({
+      inputMint: SOL_MINT,
+      outputMint: GBonk.config.mint,
+      amount: String(lamports),
+      slippageBps: String(slippageBps),
+    });
+    try {
+      const quote = await GBonk.fetchJSON(`${GBonk.config.swap.apiUrl}/quote?${params}`);
+      if (!quote || !quote.outAmount) throw new Error(quote && quote.error ? quote.error : 'Empty quote');
+      return { ...quote, fetchedAt: Date.now() };
+    } catch (err) {
+      throw new SwapError(t('swap.quoteFailed'), 'quote-failed', err);
+    }
+  }
+
+  // Exchange a quote for a serialised transaction built for `owner`.
+  async function fetchSwapTransaction(quote, owner) {
+    const { fetchedAt, ...quoteResponse } = quote;
+    const body = await GBonk.fetchJSON(`${GBonk.config.swap.apiUrl}/swap`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        quoteResponse,
+        userPublicKey: owner,
+        wrapAndUnwrapSol: true,
+        dynamicComputeUnitLimit: true,
+      }),
+    });
+    if (!body || !body.swapTransaction) throw new Error('Swap API returned no transaction');
+    const bytes = Uint8Array.from(atob(body.swapTransaction), (c) => c.charCodeAt(0));
+    return window.solanaWeb3.VersionedTransaction.deserialize(bytes);
+  }
+
+  // Refuse swaps that would leave too little SOL for fees and rent.
+  async function checkSolBalance(owner, lamports) {
+    const balance = await GBonk.rpc.getClient().getBalance(owner);
+    const required = lamports + GBonk.config.swap.feeReserveSol * LAMPORTS_PER_SOL;
+    if (balance < required) {
+      const sol = (lamports) => formatNumber(lamports / LAMPORTS_PER_SOL, { minimumFractionDigits: 4, maximumFractionDigits: 4 });
+      throw new SwapError(t('swap.insufficientSol', { have: sol(balance), need: sol(required) }), 'insufficient-sol');
+    }
+  }
+
+  // Build, sign and submit a swap for a quote.  Resolves to the signature.
+  async function executeSwap(quote, owner) {
+    await checkSolBalance(owner, Number(quote.inAmount));
+    let transaction;
+    try {
+      transaction = await fetchSwapTransaction(quote, owner);
+    } catch (err) {
+      throw new SwapError(t('swap.buildFailed'), 'swap-failed', err);
+    }
+    try {
+      return await GBonk.wallet.signAndSend(transaction);
+    } catch (err) {
+      if (err.code === 'rejected') {
+        throw new SwapError(t('swap.rejected'), 'rejected', err);
+      }
+      throw new SwapError(t('swap.sendFailed'), 'swap-failed', err);
+    }
+  }
+
+  // Poll until the transaction is confirmed, giving up after ~60 s.
+  async function waitForConfirmation(signature, attempts = 30) {
+    const client = GBonk.rpc.getClient();
+    for (let i = 0; i < attempts; i++) {
+      const status = await client.getSignatureStatus(signature).catch(() => null);
+      if (status && status.err) throw new SwapError(t('swap.chainFailed'), 'swap-failed');
+      if (status && (status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized')) return true;
+      await new Promise((resolve) => setTimeout(resolve, 2000));
+    }
+    return false;
+  }
+
+  // Human‑readable route, e.g. "Raydium → Orca".
+  function describeRoute(quote) {
+    const legs = (quote.routePlan || []).map((step) => {
+      const label = (step.swapInfo && step.swapInfo.label) || t('swap.unknownVenue');
+      return step.percent && step.percent < 100 ? `${label} ${step.percent}\u00a0%` : label;
+    });
+    return legs.length ? legs.join(' → ') : t('swap.direct');
+  }
+
+  const formatTokens = (amount) => formatNumber(amount, { maximumFractionDigits: 2 });
+
+  function fromBaseUnits(amount) {
+    return Number(amount) / 10 ** GBonk.config.decimals;
+  }
+
+  function init() {
+    const form = document.getElementById('swap-widget');
+    if (!form || !GBonk.wallet) return;
+    const amountInput = form.querySelector('#swap-amount');
+    const output = form.querySelector('#swap-out');
+    const details = form.querySelector('.swap-details');
+    const routeEl = form.querySelector('[data-field="route"]');
+    const impactEl = form.querySelector('[data-field="impact"]');
+    const minEl = form.querySelector('[data-field="minimum"]');
+    const statusEl = form.querySelector('.swap-status');
+    const submitBtn = form.querySelector('#swap-submit');
+    const customSlippage = form.querySelector('#swap-slippage-custom');
+
+    let quote = null;
+    let quoteTimer = null;
+    let quoteSeq = 0;
+    let busy = false;
+    let slippageBps = storedSlippage();
+
+    // `state` is one of '', 'info', 'success' or an error code; it drives
+    // the styling of the status line.
+    function setStatus(message, state = 'info') {
+      statusEl.textContent = '';
+      statusEl.dataset.state = message ? state : '';
+      if (message instanceof Node) statusEl.appendChild(message);
+      else statusEl.textContent = message;
+    }
+
+    function updateSubmit() {
+      const { publicKey } = GBonk.wallet.getState();
+      if (!publicKey) {
+        submitBtn.textContent = t('swap.connect');
+        submitBtn.disabled = false;
+        return;
+      }
+      submitBtn.textContent = busy ? t('swap.swapping') : t('swap.submit');
+      submitBtn.disabled = busy || !quote;
+    }
+
+    function clearQuote() {
+      quote = null;
+      output.textContent = '–';
+      details.hidden = true;
+      updateSubmit();
+    }
+
+    function renderQuote(q) {
+      output.textContent = formatTokens(fromBaseUnits(q.outAmount));
+      routeEl.textContent = describeRoute(q);
+      const impact = Number(q.priceImpactPct) || 0;
+      impactEl.textContent = `${formatNumber(impact * 100, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}\u00a0%`;
+      impactEl.classList.toggle('swap-warning', impact > HIGH_IMPACT);
+      minEl.textContent = `${formatTokens(fromBaseUnits(q.otherAmountThreshold || q.outAmount))} $GBONK`;
+      details.hidden = false;
+    }
+
+    function lamportsFromInput() {
+      const sol = Number(amountInput.value);
+      return Number.isFinite(sol) && sol > 0 ? Math.round(sol * LAMPORTS_PER_SOL) : 0;
+    }
+
+    async function requestQuote() {
+      const lamports = lamportsFromInput();
+      const seq = ++quoteSeq;
+      if (!lamports) {
+        clearQuote();
+        setStatus('');
+        return null;
+      }
+      setStatus(t('swap.fetching'));
+      try {
+        const next = await fetchQuote(lamports, slippageBps);
+        if (seq !== quoteSeq) return null;
+        quote = next;
+        renderQuote(next);
+        setStatus('');
+        updateSubmit();
+        return next;
+      } catch (err) {
+        if (seq !== quoteSeq) return null;
+        console.error(err);
+        clearQuote();
+        setStatus(err.message, err.code);
+        return null;
+      }
+    }
+
+    // Debounce quote requests while the user is typing.
+    amountInput.addEventListener('input', () => {
+      clearTimeout(quoteTimer);
+      quoteTimer = setTimeout(requestQuote, 400);
+    });
+
+    // Slippage presets and custom value.  The choice is remembered.
+    function setSlippage(bps) {
+      slippageBps = bps;
+      rememberSlippage(bps);
+      if (lamportsFromInput()) requestQuote();
+    }
+    form.querySelectorAll('input[name="slippage"]').forEach((radio) => {
+      radio.checked = Number(radio.value) === slippageBps;
+      radio.addEventListener('change', () => {
+        customSlippage.value = '';
+        setSlippage(Number(radio.value));
+      });
+    });
+    if (!form.querySelector('input[name="slippage"]:checked')) customSlippage.value = slippageBps / 100;
+    customSlippage.addEventListener('change', () => {
+      const percent = Number(customSlippage.value);
+      if (!Number.isFinite(percent) || percent <= 0 || percent * 100 > MAX_SLIPPAGE_BPS) {
+        setStatus(t('swap.slippageRange'), 'quote-failed');
+        return;
+      }
+      form.querySelectorAll('input[name="slippage"]').forEach((radio) => { radio.checked = false; });
+      setSlippage(Math.round(percent * 100));
+    });
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const { publicKey } = GBonk.wallet.getState();
+      if (!publicKey) {
+        const connectBtn = document.getElementById('connect-wallet');
+        if (connectBtn) connectBtn.click();
+        return;
+      }
+      if (busy) return;
+      busy = true;
+      updateSubmit();
+      try {
+        let current = quote;
+        if (!current || Date.now() - current.fetchedAt > QUOTE_MAX_AGE) current = await requestQuote();
+        if (!current) return;
+        setStatus(t('swap.approve'));
+        const signature = await executeSwap(current, publicKey);
+        const link = document.createElement('a');
+        link.href = `https://solscan.io/tx/${signature}`;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = t('common.viewOnSolscan');
+        const pending = document.createDocumentFragment();
+        pending.append(`${t('swap.submitted')} `, link);
+        setStatus(pending);
+        const confirmed = await waitForConfirmation(signature);
+        const done = document.createDocumentFragment();
+        done.append(`${confirmed ? t('swap.confirmed') : t('swap.stillConfirming')} `, link);
+        setStatus(done, 'success');
+        if (GBonk.dashboard) GBonk.dashboard.refresh();
+        amountInput.value = '';
+        clearQuote();
+      } catch (err) {
+        console.error(err);
+        setStatus(err.message, err.code || 'swap-failed');
+      } finally {
+        busy = false;
+        updateSubmit();
+      }
+    });
+
+    GBonk.wallet.subscribe(updateSubmit);
+    GBonk.i18n.subscribe(() => {
+      updateSubmit();
+      if (quote) renderQuote(quote);
+    });
+    updateSubmit();
+  }
+
+  GBonk.swap = {
+    SwapError,
+    fetchQuote,
+    fetchSwapTransaction,
+    checkSolBalance,
+    executeSwap,
+    describeRoute,
+    init,
+  };
+})();
@@ -0,0 +1,253 @@
+// ticker.js – Live $GBONK price ticker and mini price chart
+
+// A poller from GBonk.market feeds two views: the compact ticker in the
+// .site-header and the market panel in the #buy section (price, 24h
+// change, volume, liquidity, market cap and a small Chart.js line).  The
+// pairs endpoint has no price history, so the chart is seeded with the
+// prices implied by the 24h/6h/1h/5m change figures and then extended
+// with every live sample.  Without Chart.js (see js/vendor.js) the line
+// is drawn as a plain SVG sparkline.
+(() => {
+  const GBonk = window.GBonk;
+  const DAY = 24 * 60 * 60 * 1000;
+  const MAX_POINTS = 200;
+  // Change windows reported by the API, oldest first.
+  const WINDOWS = [
+    { key: 'h24', ms: DAY },
+    { key: 'h6', ms: 6 * 60 * 60 * 1000 },
+    { key: 'h1', ms: 60 * 60 * 1000 },
+    { key: 'm5', ms: 5 * 60 * 1000 },
+  ];
+
+  // Formatters follow the page language (js/i18n.js).
+  const { formatNumber, formatDate } = GBonk.i18n;
+  const formatPrice = (value) => formatNumber(value, {
+    style: 'currency',
+    currency: 'USD',
+    maximumSignificantDigits: 4,
+  });
+  const formatCompactUsd = (value) => formatNumber(value, {
+    style: 'currency',
+    currency: 'USD',
+    notation: 'compact',
+    maximumFractionDigits: 2,
+  });
+  const formatTime = (value) => formatDate(value, { hour: '2-digit', minute: '2-digit' });
+
+  function formatChange(change) {
+    if (change === null) return '–';
+    const arrow = change > 0 ? '▲' : change < 0 ? '▼' : '';
+    const percent = formatNumber(Math.abs(change), { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return `${arrow} ${percent}\u00a0%`.trim();
+  }
+
+  // Price points implied by the percentage change over each window.
+  function seedHistory(data, now = Date.now()) {
+    const points = [];
+    WINDOWS.forEach(({ key, ms }) => {
+      const change = data.priceChange[key];
+      if (change === null || change <= -100) return;
+      points.push({ x: now - ms, y: data.priceUsd / (1 + change / 100) });
+    });
+    points.push({ x: now, y: data.priceUsd });
+    return points;
+  }
+
+  function initTicker() {
+    const ticker = document.getElementById('price-ticker');
+    const panel = document.getElementById('market-panel');
+    if ((!ticker && !panel) || !GBonk.market) return;
+    const poller = GBonk.market.createPoller();
+    let history = [];
+    let chart = null;
+    // Chart.js once loaded, null when it could not be, undefined while it
+    // is still loading.
+    let ChartLib;
+
+    function fields(root) {
+      const map = {};
+      if (root) root.querySelectorAll('[data-field]').forEach((el) => { map[el.dataset.field] = el; });
+      return map;
+    }
+    const tickerFields = fields(ticker);
+    const panelFields = fields(panel);
+    const badges = document.querySelectorAll('.stale-badge');
+    const chartEl = document.getElementById('price-chart');
+
+    function setChangeClass(el, change) {
+      el.classList.toggle('up', change > 0);
+      el.classList.toggle('down', change < 0);
+    }
+
+    function addSample(data) {
+      if (data.priceUsd === null) return;
+      if (!history.length) {
+        history = seedHistory(data, data.fetchedAt);
+      } else {
+        history.push({ x: data.fetchedAt, y: data.priceUsd });
+      }
+      const cutoff = data.fetchedAt - DAY;
+      history = history.filter((p) => p.x >= cutoff).slice(-MAX_POINTS);
+    }
+
+    // The line alone, scaled to fill the container, with the canvas's
+    // label.
+    function renderSparkline(colour) {
+      const xs = history.map((p) => p.x);
+      const ys = history.map((p) => p.y);
+      const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+      const points = history.map((p) => {
+        const x = maxX > minX ? ((p.x - minX) / (maxX - minX)) * 100 : 0;
+        const y = maxY > minY ? 38 - ((p.y - minY) / (maxY - minY)) * 36 : 20;
+        return `${x.toFixed(2)},${y.toFixed(2)}`;
+      });
+      const SVG = 'http://www.w3.org/2000/svg';
+      let svg = chartEl.parentElement.querySelector('.chart-fallback');
+      if (!svg) {
+        svg = document.createElementNS(SVG, 'svg');
+        svg.setAttribute('class', 'chart-fallback');
+        svg.setAttribute('viewBox', '0 0 100 40');
+        svg.setAttribute('preserveAspectRatio', 'none');
+        svg.setAttribute('role', 'img');
+        svg.appendChild(document.createElementNS(SVG, 'polyline'));
+        chartEl.hidden = true;
+        chartEl.parentElement.appendChild(svg);
+      }
+      svg.setAttribute('aria-label', chartEl.getAttribute('aria-label'));
+      const line = svg.firstChild;
+      line.setAttribute('points', points.join(' '));
+      line.setAttribute('fill', 'none');
+      line.setAttribute('stroke', colour);
+      line.setAttribute('stroke-width', '2');
+      line.setAttribute('vector-effect', 'non-scaling-stroke');
+    }
+
+    function renderChart() {
+      if (!chartEl || ChartLib === undefined || history.length < 2) return;
+      const rising = history[history.length - 1].y >= history[0].y;
+      const colour = rising ? '#00c2cb' : '#ff3860';
+      if (!ChartLib) {
+        renderSparkline(colour);
+        return;
+      }
+      if (chart) {
+        chart.data.datasets[0].data = history;
+        chart.data.datasets[0].borderColor = colour;
+        chart.update('none');
+        return;
+      }
+      chart = new ChartLib(chartEl.getContext('2d'), {
+        type: 'line',
+        data: {
+          datasets: [{
+            data: history,
+            borderColor: colour,
+            borderWidth: 2,
+            pointRadius: 0,
+            tension: 0.3,
+          }],
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          animation: false,
+          parsing: false,
+          scales: {
+            x: {
+              type: 'linear',
+              ticks: {
+                color: '#e4e4ff',
+                maxTicksLimit: 4,
+                callback: (value) => formatTime(value),
+              },
+              grid: { display: false },
+            },
+            y: {
+              ticks: {
+                color: '#e4e4ff',
+                maxTicksLimit: 4,
+                callback: (value) => formatPrice(value),
+              },
+              grid: { color: 'rgba(255,255,255,0.05)' },
+            },
+          },
+          plugins: {
+            legend: { display: false },
+            tooltip: {
+              callbacks: {
+                title: (items) => formatTime(items[0].parsed.x),
+                label: (item) => formatPrice(item.parsed.y),
+              },
+            },
+          },
+        },
+      });
+    }
+
+    // Offline, the badge says so even before any data has arrived, and the
+    // panel says prices wait for the connection rather than showing "–".
+    function render({ data, error, stale, offline, updatedAt }) {
+      badges.forEach((badge) => {
+        badge.hidden = !offline && (!stale || !data);
+        badge.textContent = GBonk.i18n.t(offline ? 'market.offline' : 'market.stale');
+        badge.title = updatedAt ? GBonk.i18n.t('market.lastUpdated', { time: formatTime(updatedAt) }) : '';
+      });
+      if (panel) panel.classList.toggle('is-stale', Boolean((stale || offline) && data));
+      if (!data) {
+        if (offline && panelFields.price) panelFields.price.textContent = GBonk.i18n.t('market.offlineNoData');
+        else if (error && panelFields.price) panelFields.price.textContent = GBonk.i18n.t('market.unavailable');
+        return;
+      }
+      const price = data.priceUsd !== null ? formatPrice(data.priceUsd) : '–';
+      const change = formatChange(data.priceChange.h24);
+      if (tickerFields.price) {
+        tickerFields.price.textContent = price;
+        tickerFields.change.textContent = change;
+        setChangeClass(tickerFields.change, data.priceChange.h24);
+      }
+      if (panelFields.price) {
+        panelFields.price.textContent = price;
+        panelFields.change.textContent = change;
+        setChangeClass(panelFields.change, data.priceChange.h24);
+        panelFields.volume.textContent = data.volume24h !== null ? formatCompactUsd(data.volume24h) : '–';
+        panelFields.liquidity.textContent = data.liquidityUsd !== null ? formatCompactUsd(data.liquidityUsd) : '–';
+        panelFields.marketCap.textContent = data.marketCap !== null ? formatCompactUsd(data.marketCap) : '–';
+      }
+    }
+
+    let lastSample = null;
+    poller.subscribe((state) => {
+      // Staleness checks republish the same data; only chart new samples.
+      if (state.data && state.data !== lastSample) {
+        lastSample = state.data;
+        addSample(state.data);
+        renderChart();
+      }
+      render(state);
+    });
+    GBonk.i18n.subscribe(() => {
+      render(poller.current());
+      if (chart) chart.update('none');
+      else if (ChartLib === null) renderChart();
+    });
+    const library = GBonk.vendor ? GBonk.vendor.load('chart') : Promise.resolve(window.Chart);
+    library
+      .catch((err) => {
+        console.warn('Chart.js unavailable, drawing the price chart as SVG:', err.message);
+        return null;
+      })
+      .then((lib) => {
+        ChartLib = lib || null;
+        renderChart();
+      });
+    poller.start();
+    GBonk.ticker.poller = poller;
+  }
+
+  GBonk.ticker = {
+    seedHistory,
+    init: initTicker,
+    // The running poller, once initialised.
+    poller: null,
+  };
+})();
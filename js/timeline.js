@@ -0,0 +1,210 @@
+// timeline.js – Scroll timeline: keyframe tracks and section enter/leave events
+
+// Scroll‑driven effects used to each add their own scroll listener and
+// recompute the page percentage with hand‑written sine formulas.  Instead
+// this module reads the scroll position and the registered sections'
+// boxes once per animation frame (only when something changed) and
+// drives every effect from that single measurement.
+//
+// A track maps a scroll range onto animated values.  The range is the
+// whole page or one section; its progress runs 0 → 1 and is turned into
+// values by linear interpolation between keyframes, plus optional sine
+// waves for bobbing and wobbling:
+//
+//   GBonk.timeline.track({
+//     element: rocket,
+//     range: { section: '#hero' },
+//     keyframes: [{ at: 0, x: 0, y: 0 }, { at: 1, x: 600, y: -800 }],
+//     waves: { x: { amplitude: 200, cycles: 0.5 } },
+//   });
+//
+// With an `element` the track writes its transform (x, y in px; rotate,
+// rotateY, rotateX in degrees; scale) and opacity.  Otherwise callers read
+// track.values() or pass onUpdate.  Keyframe values may be functions of
+// the viewport ({ width, height }) for distances that depend on it.
+// Decorative element tracks stand still while motion is reduced
+// (js/motion.js).
+(() => {
+  const GBonk = window.GBonk;
+
+  const tracks = new Set();
+  const sections = new Set();
+  let frameId = null;
+  let viewport = { width: 0, height: 0 };
+  let pageProgress = 0;
+
+  function clamp01(value) {
+    return Math.min(Math.max(value, 0), 1);
+  }
+
+  function resolve(value) {
+    return typeof value === 'function' ? value(viewport) : value;
+  }
+
+  // Progress of `range` for the current scroll position.  Section ranges
+  // run from the section's top reaching the top of the viewport to its
+  // bottom doing so ('exit', the default), or from its top entering at
+  // the bottom to its bottom leaving at the top ('through').
+  function rangeProgress(range, rect) {
+    if (!rect) return pageProgress;
+    if (range.mode === 'through') {
+      return clamp01((viewport.height - rect.top) / (viewport.height + rect.height));
+    }
+    return rect.height > 0 ? clamp01(-rect.top / rect.height) : 0;
+  }
+
+  // Interpolated keyframe values at `progress`, plus the waves.
+  function sample(track, progress) {
+    const values = {};
+    const frames = track.keyframes;
+    if (frames.length) {
+      let next = frames.findIndex((frame) => frame.at >= progress);
+      if (next === -1) next = frames.length - 1;
+      const prev = Math.max(next - 1, 0);
+      const a = frames[prev];
+      const b = frames[next];
+      const span = b.at - a.at;
+      const t = span > 0 ? clamp01((progress - a.at) / span) : 0;
+      new Set([...Object.keys(a), ...Object.keys(b)]).forEach((key) => {
+        if (key === 'at') return;
+        // A value missing from one side of the segment is held constant.
+        const from = resolve(key in a ? a[key] : b[key]);
+        const to = resolve(key in b ? b[key] : a[key]);
+        values[key] = from + (to - from) * t;
+      });
+    }
+    Object.entries(track.waves).forEach(([key, { amplitude, cycles }]) => {
+      values[key] = (values[key] || 0) + amplitude * Math.sin(progress * cycles * Math.PI * 2);
+    });
+    return values;
+  }
+
+  function transformOf(base, values) {
+    const parts = base ? [base] : [];
+    if ('x' in values || 'y' in values) parts.push(`translate(${values.x || 0}px, ${values.y || 0}px)`);
+    if ('rotate' in values) parts.push(`rotate(${values.rotate}deg)`);
+    if ('rotateY' in values) parts.push(`rotateY(${values.rotateY}deg)`);
+    if ('rotateX' in values) parts.push(`rotateX(${values.rotateX}deg)`);
+    if ('scale' in values) parts.push(`scale(${values.scale})`);
+    return parts.join(' ');
+  }
+
+  function applyToElement(track) {
+    const { element, values } = track;
+    if (track.decorative && GBonk.motion && GBonk.motion.reduced()) {
+      element.style.transform = '';
+      element.style.opacity = '';
+      return;
+    }
+    element.style.transform = transformOf(track.base, values);
+    if ('opacity' in values) element.style.opacity = String(values.opacity);
+  }
+
+  function elementsOf(target) {
+    if (typeof target === 'string') return Array.from(document.querySelectorAll(target));
+    if (target instanceof Element) return [target];
+    return Array.from(target || []);
+  }
+
+  // Read everything first, then write, so the frame causes a single
+  // layout.
+  function update() {
+    frameId = null;
+    const doc = document.documentElement;
+    viewport = { width: window.innerWidth, height: window.innerHeight };
+    const scrollTop = window.pageYOffset || doc.scrollTop;
+    const scrollHeight = doc.scrollHeight - doc.clientHeight;
+    pageProgress = scrollHeight > 0 ? clamp01(scrollTop / scrollHeight) : 0;
+    const rects = new Map();
+    const rectOf = (el) => {
+      if (!rects.has(el)) rects.set(el, el.getBoundingClientRect());
+      return rects.get(el);
+    };
+    tracks.forEach((track) => {
+      const el = track.section;
+      track.progress = rangeProgress(track.range, el ? rectOf(el) : null);
+      track.values = sample(track, track.progress);
+    });
+    const changed = [];
+    sections.forEach((entry) => {
+      const rect = rectOf(entry.element);
+      const visible = Math.min(rect.bottom, viewport.height) - Math.max(rect.top, 0);
+      const ratio = rect.height > 0 ? Math.max(visible, 0) / rect.height : 0;
+      const inside = visible > 0 && ratio >= entry.threshold;
+      if (inside !== entry.inside) {
+        entry.inside = inside;
+        changed.push(entry);
+      }
+    });
+    tracks.forEach((track) => {
+      if (track.element) applyToElement(track);
+      if (track.onUpdate) track.onUpdate(track.values, track.progress);
+    });
+    changed.forEach((entry) => {
+      const handler = entry.inside ? entry.enter : entry.leave;
+      if (handler) handler(entry.element);
+    });
+  }
+
+  // Measure on the next frame; repeated requests within a frame coalesce.
+  function refresh() {
+    if (frameId === null) frameId = requestAnimationFrame(update);
+  }
+
+  GBonk.timeline = {
+    // Register a track and return { values(), progress(), remove() }.
+    // Options: range ('page' or { section, mode }), keyframes, waves,
+    // element, base (a transform written before the animated one),
+    // decorative (default true) and onUpdate(values, progress).
+    track({
+      range = 'page',
+      keyframes = [],
+      waves = {},
+      element = null,
+      base = '',
+      decorative = true,
+      onUpdate = null,
+    } = {}) {
+      const section = range === 'page' ? null : elementsOf(range.section)[0] || null;
+      const track = {
+        range,
+        section,
+        keyframes: [...keyframes].sort((a, b) => a.at - b.at),
+        waves,
+        element,
+        base,
+        decorative,
+        onUpdate,
+        progress: 0,
+        values: {},
+      };
+      tracks.add(track);
+      refresh();
+      return {
+        values: () => track.values,
+        progress: () => track.progress,
+        remove: () => tracks.delete(track),
+      };
+    },
+    // Call enter(element) when at least `threshold` of an element's
+    // height is in the viewport, and leave(element) when it no longer is.
+    // `target` is a selector, an element or a list of elements.  Returns
+    // a function that stops watching.
+    onSection(target, { enter = null, leave = null, threshold = 0 } = {}) {
+      const entries = elementsOf(target).map((element) => ({ element, enter, leave, threshold, inside: false }));
+      entries.forEach((entry) => sections.add(entry));
+      refresh();
+      return () => entries.forEach((entry) => sections.delete(entry));
+    },
+    // Re‑measure, e.g. after content above a section changed height.
+    refresh,
+    // Whole‑page scroll progress (0 → 1) from the latest measurement.
+    progress: () => pageProgress,
+    init() {
+      window.addEventListener('scroll', refresh, { passive: true });
+      window.addEventListener('resize', refresh);
+      if (GBonk.motion) GBonk.motion.subscribe(refresh);
+      refresh();
+    },
+  };
+})();
@@ -0,0 +1,47 @@
+// toast.js – Brief, non‑blocking notifications
+
+// Toasts stack in a corner of the viewport and fade away on their own, for
+// news the visitor did not ask for and need not act on (a token burn, for
+// instance).  The stack is a polite live region, so screen readers read
+// each message out without moving focus.
+(() => {
+  const GBonk = window.GBonk;
+  // Milliseconds a toast stays up, and how many are shown at once.
+  const DURATION = 6000;
+  const MAX_TOASTS = 3;
+  // Matches the fade in styles.css.
+  const FADE_MS = 400;
+
+  function region() {
+    let el = document.getElementById('toasts');
+    if (!el) {
+      el = document.createElement('div');
+      el.id = 'toasts';
+      el.className = 'toast-region';
+      el.setAttribute('role', 'status');
+      el.setAttribute('aria-live', 'polite');
+      document.body.appendChild(el);
+    }
+    return el;
+  }
+
+  function dismiss(toast) {
+    toast.classList.remove('visible');
+    setTimeout(() => toast.remove(), FADE_MS);
+  }
+
+  // Show `message` (plain text) for `duration` ms.
+  function show(message, { duration = DURATION } = {}) {
+    const stack = region();
+    const toast = document.createElement('p');
+    toast.className = 'toast';
+    toast.textContent = message;
+    stack.appendChild(toast);
+    while (stack.childElementCount > MAX_TOASTS) stack.firstElementChild.remove();
+    // Next frame, so the fade‑in transition runs.
+    requestAnimationFrame(() => toast.classList.add('visible'));
+    setTimeout(() => dismiss(toast), duration);
+  }
+
+  GBonk.toast = { show };
+})();
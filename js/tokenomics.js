@@ -0,0 +1,326 @@
+// tokenomics.js – On‑chain supply data layer for the tokenomics chart and list
+
+// The doughnut chart and the #tokenomics token list are both rendered from
+// a single data object.  We try to compute it live from the configured
+// Solana RPC endpoint (mint supply plus the balances of the burn,
+// treasury and team token accounts) and fall back to the bundled snapshot
+// JSON when the RPC is unreachable or the accounts are not configured.
+//
+// The chart is drawn with Chart.js (loaded by js/vendor.js).  When neither
+// the CDN nor the self‑hosted copy can be loaded, the same slices are
+// drawn as an SVG doughnut with a text alternative instead.
+(() => {
+  const GBonk = window.GBonk;
+
+  // Display metadata for each bucket, in chart order.  Colours match the
+  // site palette and the original hand‑written chart.
+  const BUCKETS = [
+    {
+      key: 'circulating',
+      label: 'Circulating',
+      summary: 'circulating',
+      colour: '#00c2cb',
+      description: 'tokens held by the community, free to fly through the galaxy.',
+    },
+    {
+      key: 'treasury',
+      label: 'Treasury & Liquidity',
+      summary: 'treasury & liquidity',
+      colour: '#ff3860',
+      description: 'locked to support DEX listings and long‑term stability.',
+    },
+    {
+      key: 'team',
+      label: 'Team & Dev',
+      summary: 'team & development',
+      colour: '#9b59b6',
+      description: 'powering ongoing dev, staking and the build‑out of G‑Trade and G‑Bank.',
+    },
+    {
+      key: 'burned',
+      label: 'Burned',
+      summary: 'burned forever',
+      colour: '#ffd700',
+      description: 'sent into the black hole, gone but never forgotten.',
+    },
+  ];
+
+  const SVG = 'http://www.w3.org/2000/svg';
+
+  let chart = null;
+  // Chart.js once loaded, null when it could not be, undefined while it
+  // is still loading.
+  let ChartLib;
+  let current = null;
+  let holderBalance = 0;
+  const updates = GBonk.createEmitter();
+
+  // Sum the UI balances of a list of token accounts.
+  async function sumBalances(client, accounts) {
+    const balances = await Promise.all(accounts.map((a) => client.getTokenAccountBalance(a)));
+    return balances.reduce((total, b) => total + Number(b.uiAmountString), 0);
+  }
+
+  // Compute the buckets from live chain data.  Tokens burned through the
+  // token program no longer count towards the supply, so the burn bucket
+  // is the shortfall against the initial supply plus anything parked in
+  // the burn (incinerator) accounts.
+  async function loadFromRpc(client = GBonk.rpc.getClient()) {
+    const cfg = GBonk.config.tokenomics;
+    if (!cfg.burnAccounts.length || !cfg.treasuryAccounts.length || !cfg.teamAccounts.length) {
+      throw new Error('Tokenomics token accounts are not configured');
+    }
+    const [supply, burnHeld, treasury, team] = await Promise.all([
+      client.getTokenSupply(GBonk.config.mint),
+      sumBalances(client, cfg.burnAccounts),
+      sumBalances(client, cfg.treasuryAccounts),
+      sumBalances(client, cfg.teamAccounts),
+    ]);
+    const currentSupply = Number(supply.uiAmountString);
+    return {
+      source: 'rpc',
+      updatedAt: new Date().toISOString(),
+      initialSupply: cfg.initialSupply,
+      supply: currentSupply,
+      buckets: {
+        circulating: Math.max(0, currentSupply - burnHeld - treasury - team),
+        treasury,
+        team,
+        burned: Math.max(0, cfg.initialSupply - currentSupply) + burnHeld,
+      },
+    };
+  }
+
+  async function loadSnapshot() {
+    const snapshot = await GBonk.fetchJSON(GBonk.config.tokenomics.snapshotUrl);
+    return { ...snapshot, source: 'snapshot' };
+  }
+
+  // Resolve the tokenomics data, preferring live chain data.
+  async function load() {
+    try {
+      return await loadFromRpc();
+    } catch (err) {
+      console.warn('Live tokenomics unavailable, using snapshot:', err.message);
+      return loadSnapshot();
+    }
+  }
+
+  // Percentage of the initial supply held in a bucket.
+  function percentOf(data, key) {
+    return (data.buckets[key] / data.initialSupply) * 100;
+  }
+
+  function formatMillions(amount) {
+    return `~${GBonk.i18n.formatNumber(Math.round(amount / 1e6))}\u202fM`;
+  }
+
+  // "47.12 %", with a few significant digits for tiny shares.
+  function formatPercent(percent) {
+    const options = percent < 0.01
+      ? { maximumSignificantDigits: 2 }
+      : { minimumFractionDigits: 2, maximumFractionDigits: 2 };
+    return `${GBonk.i18n.formatNumber(percent, options)}\u00a0%`;
+  }
+
+  // Slices to draw: one per bucket, plus a "You" slice carved out of the
+  // circulating bucket when a holder balance has been set.  Tiny holdings
+  // would be invisible at their true size, so the drawn size has a floor
+  // while the tooltip always shows the real share.
+  const HOLDER_MIN_PERCENT = 1;
+
+  function chartSlices(data) {
+    const slices = BUCKETS.map((b) => ({
+      label: b.label,
+      colour: b.colour,
+      percent: percentOf(data, b.key),
+    }));
+    if (holderBalance > 0) {
+      const circulating = slices[0];
+      const percent = Math.min((holderBalance / data.initialSupply) * 100, circulating.percent);
+      const drawn = Math.min(Math.max(percent, HOLDER_MIN_PERCENT), circulating.percent);
+      circulating.percent -= percent;
+      circulating.drawn = Math.max(0, circulating.percent - (drawn - percent));
+      slices.unshift({ label: GBonk.i18n.t('tokenomics.you'), colour: '#ffffff', percent, drawn, offset: 12 });
+    }
+    return slices;
+  }
+
+  // Chart.js-free doughnut: one arc per slice (a stroked circle with a
+  // dash as long as the slice), each titled with its real share, and the
+  // whole listed in the label for screen readers.
+  function renderFallbackChart(chartEl, slices) {
+    const container = chartEl.parentElement;
+    const RADIUS = 38;
+    const CIRCUMFERENCE = 2 * Math.PI * RADIUS;
+    const svg = document.createElementNS(SVG, 'svg');
+    svg.setAttribute('class', 'chart-fallback');
+    svg.setAttribute('viewBox', '0 0 100 100');
+    svg.setAttribute('role', 'img');
+    const summary = slices.map((s) => `${s.label} ${formatPercent(s.percent)}`).join(', ');
+    svg.setAttribute('aria-label', `${GBonk.i18n.t('tokenomics.chartLabel')}: ${summary}`);
+    let start = 0;
+    slices.forEach((s) => {
+      const length = (CIRCUMFERENCE * (s.drawn !== undefined ? s.drawn : s.percent)) / 100;
+      const arc = document.createElementNS(SVG, 'circle');
+      arc.setAttribute('cx', '50');
+      arc.setAttribute('cy', '50');
+      arc.setAttribute('r', String(RADIUS));
+      arc.setAttribute('fill', 'none');
+      arc.setAttribute('stroke', s.colour);
+      arc.setAttribute('stroke-width', '22');
+      arc.setAttribute('stroke-dasharray', `${length} ${CIRCUMFERENCE - length}`);
+      arc.setAttribute('stroke-dashoffset', String(-start));
+      // Start at twelve o'clock, like Chart.js.
+      arc.setAttribute('transform', 'rotate(-90 50 50)');
+      const title = document.createElementNS(SVG, 'title');
+      title.textContent = `${s.label}: ${formatPercent(s.percent)}`;
+      arc.appendChild(title);
+      svg.appendChild(arc);
+      start += length;
+    });
+    chartEl.hidden = true;
+    const previous = container.querySelector('.chart-fallback');
+    if (previous) previous.replaceWith(svg);
+    else container.appendChild(svg);
+  }
+
+  function renderChart(data) {
+    const chartEl = document.getElementById('tokenChart');
+    if (!chartEl) return;
+    if (ChartLib === undefined) return;
+    const slices = chartSlices(data);
+    if (!ChartLib) {
+      renderFallbackChart(chartEl, slices);
+      return;
+    }
+    const dataset = {
+      data: slices.map((s) => Number((s.drawn !== undefined ? s.drawn : s.percent).toFixed(2))),
+      backgroundColor: slices.map((s) => s.colour),
+      offset: slices.map((s) => s.offset || 0),
+      borderWidth: 0,
+    };
+    const labels = slices.map((s) => s.label);
+    // Tooltips read the true percentages rather than the drawn sizes.
+    const tooltipLabel = (item) => {
+      const { percent } = slices[item.dataIndex];
+      return `${item.label}: ${formatPercent(percent)}`;
+    };
+    if (chart) {
+      chart.data.labels = labels;
+      chart.data.datasets[0] = dataset;
+      chart.options.plugins.tooltip.callbacks.label = tooltipLabel;
+      chart.update();
+      return;
+    }
+    chart = new ChartLib(chartEl.getContext('2d'), {
+      type: 'doughnut',
+      data: { labels, datasets: [dataset] },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        cutout: '55%',
+        plugins: {
+          legend: { display: false },
+          tooltip: {
+            callbacks: { label: tooltipLabel },
+          },
+        },
+      },
+    });
+  }
+
+  // Rebuild the token list.  Elements are created with textContent so
+  // nothing from the data source is ever parsed as HTML.
+  function renderList(data) {
+    const list = document.querySelector('#tokenomics .token-list');
+    if (!list) return;
+    list.textContent = '';
+    BUCKETS.forEach((b) => {
+      const li = document.createElement('li');
+      const strong = document.createElement('strong');
+      strong.textContent = `${Math.round(percentOf(data, b.key))}\u00a0% ${b.summary} (${formatMillions(data.buckets[b.key])})`;
+      li.append(strong, ` – ${b.description}`);
+      list.appendChild(li);
+    });
+  }
+
+  function renderSource(data) {
+    const sourceEl = document.getElementById('tokenomics-source');
+    if (!sourceEl) return;
+    const date = GBonk.i18n.formatDate(new Date(data.updatedAt), { dateStyle: 'medium' });
+    sourceEl.textContent = data.source === 'rpc'
+      ? GBonk.i18n.t('tokenomics.live')
+      : GBonk.i18n.t('tokenomics.snapshot', { date });
+  }
+
+  function render(data) {
+    current = data;
+    renderChart(data);
+    renderList(data);
+    renderSource(data);
+    updates.emit(data);
+  }
+
+  // Replace the labels and descriptions of the buckets with the copy from
+  // data/content.json (rows of { bucket, label, summary, description }).
+  // Colours and order stay as defined above.
+  function setBucketText(rows) {
+    rows.forEach((row) => {
+      const bucket = BUCKETS.find((b) => b.key === row.bucket);
+      if (!bucket) return;
+      ['label', 'summary', 'description'].forEach((field) => {
+        if (typeof row[field] === 'string') bucket[field] = row[field];
+      });
+    });
+    if (current) {
+      renderChart(current);
+      renderList(current);
+    }
+  }
+
+  // Show (or with 0, hide) the connected holder's slice on the chart.
+  function setHolderBalance(balance) {
+    holderBalance = balance || 0;
+    if (current) renderChart(current);
+  }
+
+  GBonk.tokenomics = {
+    BUCKETS,
+    load,
+    loadFromRpc,
+    loadSnapshot,
+    render,
+    setBucketText,
+    setHolderBalance,
+    // Called with the data every time the chart and list are re-rendered.
+    subscribe: updates.subscribe,
+    // Latest rendered data, or null before the first load completes.
+    current: () => current,
+    // Load and render in one step; used by initChart() in main.js.
+    async init() {
+      // Labels, dates and number formats follow the page language.
+      GBonk.i18n.subscribe(() => {
+        if (current) render(current);
+      });
+      // The list does not wait for Chart.js; the chart is drawn once it
+      // has loaded, or as SVG once it has failed to.
+      const library = GBonk.vendor ? GBonk.vendor.load('chart') : Promise.resolve(window.Chart);
+      library
+        .catch((err) => {
+          console.warn('Chart.js unavailable, drawing the tokenomics chart as SVG:', err.message);
+          return null;
+        })
+        .then((lib) => {
+          ChartLib = lib || null;
+          if (current) renderChart(current);
+        });
+      try {
+        render(await load());
+      } catch (err) {
+        // Neither source was reachable: leave the static markup in place.
+        console.error('Failed to load tokenomics', err);
+      }
+    },
+  };
+})();
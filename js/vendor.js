@@ -0,0 +1,107 @@
+// vendor.js – Resilient loading of third‑party libraries
+
+// Chart.js and Three.js used to be fetched from a CDN, unpinned and
+// unchecked, and a failed download broke whatever depended on them.  Now
+// each library is loaded on demand from the pinned CDN URL with its
+// integrity hash (GBonk.config.vendor), and if that errors or takes too
+// long, from the byte‑identical self‑hosted copy under vendor/.  Callers
+// get a promise and decide what to show when both fail: the tokenomics
+// chart is drawn as SVG, the 3D mascot leaves the flat dog in place.
+(() => {
+  const GBonk = window.GBonk;
+
+  // Settled loads by script name, so each library is requested once.
+  const scripts = new Map();
+  // Where each module family ('three' for three and three/addons/…) was
+  // first loaded from.  Later imports stay with it so the page never ends
+  // up with two copies of Three.js.
+  const moduleSources = new Map();
+
+  function timeout() {
+    return GBonk.config.vendor.timeout;
+  }
+
+  // Reject with a timeout error if `promise` has not settled in time.  The
+  // download carries on, but nothing waits for it any more.
+  function withTimeout(promise, what) {
+    let timer;
+    const expired = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out loading ${what}`)), timeout());
+    });
+    return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+  }
+
+  // Insert a classic script and wait for it to run.
+  function inject(src, integrity) {
+    const loaded = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = src;
+      if (integrity) {
+        script.integrity = integrity;
+        script.crossOrigin = 'anonymous';
+      }
+      script.onload = resolve;
+      script.onerror = () => {
+        script.remove();
+        reject(new Error(`Failed to load ${src}`));
+      };
+      document.head.appendChild(script);
+    });
+    return withTimeout(loaded, src);
+  }
+
+  // Load the configured script `name` and resolve with the global it
+  // defines, trying the CDN and then the self‑hosted copy.  Rejects when
+  // neither works.
+  function load(name) {
+    if (scripts.has(name)) return scripts.get(name);
+    const cfg = GBonk.config.vendor.scripts[name];
+    const promise = (async () => {
+      if (!cfg) throw new Error(`Unknown library ${name}`);
+      if (window[cfg.global]) return window[cfg.global];
+      for (const src of [cfg.src, cfg.fallback].filter(Boolean)) {
+        try {
+          await inject(src, cfg.integrity);
+          if (window[cfg.global]) return window[cfg.global];
+        } catch (err) {
+          console.warn(err.message);
+        }
+      }
+      throw new Error(`${name} is unavailable`);
+    })();
+    scripts.set(name, promise);
+    return promise;
+  }
+
+  // URL of the self‑hosted copy of an import‑map `specifier`, or null.
+  function fallbackUrl(specifier) {
+    const modules = GBonk.config.vendor.modules;
+    const prefix = Object.keys(modules).find((key) => key.endsWith('/') && specifier.startsWith(key));
+    const path = modules[specifier] || (prefix && modules[prefix] + specifier.slice(prefix.length));
+    return path ? new URL(path, document.baseURI).href : null;
+  }
+
+  // import() an import‑map specifier such as 'three', falling back to the
+  // self‑hosted copy.  A family that loaded from the CDN does not fall
+  // back for later modules (they would import a second Three.js), so the
+  // caller's own fallback applies instead.
+  async function importModule(specifier) {
+    const family = specifier.split('/')[0];
+    const fallback = fallbackUrl(specifier);
+    if (moduleSources.get(family) !== 'fallback') {
+      try {
+        const module = await withTimeout(import(specifier), specifier);
+        moduleSources.set(family, 'cdn');
+        return module;
+      } catch (err) {
+        if (moduleSources.get(family) === 'cdn' || !fallback) throw err;
+        console.warn(`${err.message}; using the self‑hosted copy`);
+      }
+    }
+    const module = await withTimeout(import(fallback), fallback);
+    moduleSources.set(family, 'fallback');
+    return module;
+  }
+
+  GBonk.vendor = { load, importModule };
+})();
@@ -0,0 +1,484 @@
+// vesting.js – Team vesting schedule: unlock chart, next unlock and tranche table
+
+// The whitepaper says the team allocation follows a vesting schedule; this
+// module shows it.  The schedule (GBonk.config.vesting.url) lists each
+// team wallet's tranches:
+//
+//   - cliff:  the whole amount unlocks on one date;
+//   - linear: the amount unlocks continuously between two dates;
+//   - step:   the amount unlocks in equal steps every few months.
+//
+// From it we draw the cumulative amount unlocked over time as an area
+// chart (Chart.js, or SVG when it cannot be loaded, as for the tokenomics
+// chart), count down to the next unlock and list every tranche.  Each
+// wallet's locked token account is read on chain: a tranche still to
+// unlock is verified when the account holds at least what the schedule
+// says is still locked.
+//
+// The same markup (#vesting) sits under #tokenomics and in whitepaper.html.
+(() => {
+  const GBonk = window.GBonk;
+  const t = (key, params) => GBonk.i18n.t(key, params);
+
+  const SECOND = 1000;
+  const DAY = 24 * 3600 * SECOND;
+  // The team colour of the tokenomics chart.
+  const COLOUR = '#9b59b6';
+  const FILL = 'rgba(155, 89, 182, 0.35)';
+  const TODAY_COLOUR = '#00c2cb';
+  // The summary and the "today" point are re-checked at least this often;
+  // the countdown ticks every second.
+  const REFRESH_INTERVAL = 60 * SECOND;
+  // Balances are compared to the token's precision (6 decimals).
+  const EPSILON = 1e-6;
+  const SVG = 'http://www.w3.org/2000/svg';
+
+  let root = null;
+  // { allocation, updatedAt, tranches }, once loaded.
+  let schedule = null;
+  // Verification per wallet index: { state, balance?, shortfall? }.
+  const checks = new Map();
+  let chart = null;
+  // Chart.js once loaded, null when it could not be, undefined while it
+  // is still loading.
+  let ChartLib;
+  let timer = 0;
+  let nextRefresh = 0;
+  // The unlock being counted down to: { time, amount }.
+  let upcoming = null;
+
+  // Milliseconds for a date ("2026-01-01" is midnight UTC) or date-time.
+  function parseTime(value) {
+    const time = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value);
+    if (Number.isNaN(time)) throw new Error(`Invalid vesting date: ${value}`);
+    return time;
+  }
+
+  // `months` calendar months after `time`, keeping the time of day.  The
+  // 31st becomes the last day of shorter months.
+  function addMonths(time, months) {
+    const date = new Date(time);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + months;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay)) + (time % DAY);
+  }
+
+  // One entry per tranche: { wallet, label, account, type, amount, start,
+  // end, unlocks }, where `unlocks` are the discrete { time, amount }
+  // unlocks (none for linear tranches).
+  function normalise(data) {
+    const tranches = [];
+    data.wallets.forEach((wallet, index) => {
+      wallet.tranches.forEach((tranche) => {
+        const entry = { wallet: index, label: wallet.label, account: wallet.account || null, type: tranche.type, amount: tranche.amount };
+        if (tranche.type === 'cliff') {
+          entry.start = parseTime(tranche.date);
+          entry.end = entry.start;
+          entry.unlocks = [{ time: entry.start, amount: tranche.amount }];
+        } else if (tranche.type === 'linear') {
+          entry.start = parseTime(tranche.start);
+          entry.end = parseTime(tranche.end);
+          entry.unlocks = [];
+        } else if (tranche.type === 'step') {
+          const first = parseTime(tranche.start);
+          const each = tranche.amount / tranche.steps;
+          entry.unlocks = Array.from({ length: tranche.steps }, (_, i) => ({
+            time: addMonths(first, i * tranche.intervalMonths),
+            amount: each,
+          }));
+          entry.start = first;
+          entry.end = entry.unlocks[entry.unlocks.length - 1].time;
+        } else {
+          throw new Error(`Unknown vesting tranche type: ${tranche.type}`);
+        }
+        tranches.push(entry);
+      });
+    });
+    tranches.sort((a, b) => a.start - b.start || a.end - b.end);
+    return { allocation: data.allocation, updatedAt: data.updatedAt, tranches };
+  }
+
+  // Tokens of `tranche` unlocked at `time`.
+  function unlockedAt(tranche, time) {
+    if (tranche.type === 'linear') {
+      if (time <= tranche.start) return 0;
+      if (time >= tranche.end) return tranche.amount;
+      return tranche.amount * ((time - tranche.start) / (tranche.end - tranche.start));
+    }
+    return tranche.unlocks.reduce((total, u) => (u.time <= time ? total + u.amount : total), 0);
+  }
+
+  function totalUnlockedAt(tranches, time) {
+    return tranches.reduce((total, tranche) => total + unlockedAt(tranche, time), 0);
+  }
+
+  // Points of the cumulative unlock curve.  Between breakpoints it is a
+  // straight line, so the breakpoints are all that is needed; a discrete
+  // unlock gets a point just before it and one on it, for the step.
+  function curve(tranches) {
+    const times = new Set();
+    tranches.forEach((tranche) => {
+      times.add(tranche.start);
+      times.add(tranche.end);
+      tranche.unlocks.forEach((u) => times.add(u.time));
+    });
+    const points = [];
+    Array.from(times)
+      .sort((a, b) => a - b)
+      .forEach((time) => {
+        const before = totalUnlockedAt(tranches, time - 1);
+        const after = totalUnlockedAt(tranches, time);
+        if (after !== before) points.push({ x: time, y: before });
+        points.push({ x: time, y: after });
+      });
+    return points;
+  }
+
+  // The earliest discrete unlock after `now`, merging unlocks that fall at
+  // the same moment, or null.  A linear tranche that has not started yet
+  // counts from its start.
+  function findUpcoming(tranches, now) {
+    let best = null;
+    tranches.forEach((tranche) => {
+      const unlocks = tranche.type === 'linear' ? [{ time: tranche.start, amount: null }] : tranche.unlocks;
+      unlocks.forEach((u) => {
+        if (u.time <= now) return;
+        if (!best || u.time < best.time) best = { time: u.time, amount: u.amount };
+        else if (u.time === best.time && best.amount !== null && u.amount !== null) best.amount += u.amount;
+      });
+    });
+    return best;
+  }
+
+  // 'unlocked', 'unlocking' (partly) or 'locked' at `now`.
+  function trancheState(tranche, now) {
+    const unlocked = unlockedAt(tranche, now);
+    if (unlocked >= tranche.amount - EPSILON) return 'unlocked';
+    return unlocked > 0 ? 'unlocking' : 'locked';
+  }
+
+  // Check every wallet's locked token account against what the schedule
+  // says it should still hold.
+  async function verify(tranches, client = GBonk.rpc && GBonk.rpc.getClient()) {
+    const now = Date.now();
+    const wallets = new Map();
+    tranches.forEach((tranche) => {
+      const wallet = wallets.get(tranche.wallet) || { account: tranche.account, locked: 0 };
+      wallet.locked += tranche.amount - unlockedAt(tranche, now);
+      wallets.set(tranche.wallet, wallet);
+    });
+    await Promise.all(Array.from(wallets, async ([index, wallet]) => {
+      if (!wallet.account || !client) {
+        checks.set(index, { state: 'unconfigured' });
+        return;
+      }
+      try {
+        const balance = Number((await client.getTokenAccountBalance(wallet.account)).uiAmountString);
+        checks.set(index, balance + EPSILON >= wallet.locked
+          ? { state: 'verified', balance }
+          : { state: 'shortfall', balance, shortfall: wallet.locked - balance });
+      } catch (err) {
+        console.warn(`Vesting account ${wallet.account} could not be read:`, err.message);
+        checks.set(index, { state: 'error' });
+      }
+    }));
+  }
+
+  function formatTokens(amount) {
+    return `${GBonk.i18n.formatNumber(Math.round(amount))} $GBONK`;
+  }
+
+  function formatCompact(amount) {
+    return GBonk.i18n.formatNumber(amount, { notation: 'compact', maximumFractionDigits: 1 });
+  }
+
+  function formatDay(time) {
+    return GBonk.i18n.formatDate(new Date(time), { dateStyle: 'medium', timeZone: 'UTC' });
+  }
+
+  function formatPercent(share) {
+    return `${GBonk.i18n.formatNumber(share * 100, { maximumFractionDigits: 1 })}\u00a0%`;
+  }
+
+  // "in 12 days, 04:05:06", or "in 04:05:06" on the last day.
+  function countdown(remaining) {
+    const seconds = Math.max(Math.floor(remaining / SECOND), 0);
+    const days = Math.floor(seconds / 86400);
+    const two = (value) => GBonk.i18n.formatNumber(value, { minimumIntegerDigits: 2, useGrouping: false });
+    const time = [Math.floor(seconds / 3600) % 24, Math.floor(seconds / 60) % 60, seconds % 60].map(two).join(':');
+    return days ? t('vesting.countdown', { count: days, time }) : t('vesting.countdownHours', { time });
+  }
+
+  function field(name) {
+    return root.querySelector(`[data-field="${name}"]`);
+  }
+
+  function setText(element, text) {
+    if (element && element.textContent !== text) element.textContent = text;
+  }
+
+  function summaryText(now) {
+    const unlocked = totalUnlockedAt(schedule.tranches, now);
+    return t('vesting.summary', {
+      unlocked: formatCompact(unlocked),
+      total: formatCompact(schedule.allocation),
+      percent: formatPercent(unlocked / schedule.allocation),
+    });
+  }
+
+  // Chart.js-free area chart: the curve as a filled polygon over the
+  // whole schedule, and a dot for today.
+  function renderFallbackChart(canvas, points, today) {
+    const container = canvas.parentElement;
+    const WIDTH = 300;
+    const HEIGHT = 150;
+    const first = points[0].x;
+    const span = points[points.length - 1].x - first || 1;
+    const x = (time) => (((Math.min(Math.max(time, first), first + span) - first) / span) * WIDTH).toFixed(1);
+    const y = (amount) => (HEIGHT - (amount / schedule.allocation) * HEIGHT).toFixed(1);
+    const line = points.map((p) => `${x(p.x)},${y(p.y)}`);
+    const svg = document.createElementNS(SVG, 'svg');
+    svg.setAttribute('class', 'chart-fallback');
+    svg.setAttribute('viewBox', `0 0 ${WIDTH} ${HEIGHT}`);
+    svg.setAttribute('preserveAspectRatio', 'none');
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', `${t('vesting.chartLabel')}: ${summaryText(today.x)}`);
+    const area = document.createElementNS(SVG, 'polygon');
+    area.setAttribute('points', [`${x(first)},${HEIGHT}`, ...line, `${WIDTH},${y(points[points.length - 1].y)}`, `${WIDTH},${HEIGHT}`].join(' '));
+    area.setAttribute('fill', FILL);
+    const edge = document.createElementNS(SVG, 'polyline');
+    edge.setAttribute('points', line.join(' '));
+    edge.setAttribute('fill', 'none');
+    edge.setAttribute('stroke', COLOUR);
+    edge.setAttribute('stroke-width', '2');
+    edge.setAttribute('vector-effect', 'non-scaling-stroke');
+    const dot = document.createElementNS(SVG, 'circle');
+    dot.setAttribute('cx', x(today.x));
+    dot.setAttribute('cy', y(today.y));
+    dot.setAttribute('r', '4');
+    dot.setAttribute('fill', TODAY_COLOUR);
+    const title = document.createElementNS(SVG, 'title');
+    title.textContent = `${t('vesting.today')}: ${formatTokens(today.y)}`;
+    dot.appendChild(title);
+    svg.append(area, edge, dot);
+    canvas.hidden = true;
+    const previous = container.querySelector('.chart-fallback');
+    if (previous) previous.replaceWith(svg);
+    else container.appendChild(svg);
+  }
+
+  function renderChart(now) {
+    const canvas = document.getElementById('vesting-chart');
+    if (!canvas || ChartLib === undefined) return;
+    const points = curve(schedule.tranches);
+    const today = { x: now, y: totalUnlockedAt(schedule.tranches, now) };
+    if (!ChartLib) {
+      renderFallbackChart(canvas, points, today);
+      return;
+    }
+    const datasets = [
+      {
+        label: t('vesting.unlocked'),
+        data: points,
+        borderColor: COLOUR,
+        backgroundColor: FILL,
+        fill: 'origin',
+        pointRadius: 0,
+        tension: 0,
+      },
+      {
+        label: t('vesting.today'),
+        data: [today],
+        backgroundColor: TODAY_COLOUR,
+        pointRadius: 5,
+        showLine: false,
+      },
+    ];
+    if (chart) {
+      chart.data.datasets = datasets;
+      chart.update();
+      return;
+    }
+    chart = new ChartLib(canvas.getContext('2d'), {
+      type: 'line',
+      data: { datasets },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: 'nearest', intersect: false },
+        scales: {
+          x: {
+            type: 'linear',
+            ticks: { color: '#cfd8dc', maxTicksLimit: 6, callback: (value) => formatDay(value) },
+            grid: { color: 'rgba(255, 255, 255, 0.08)' },
+          },
+          y: {
+            min: 0,
+            max: schedule.allocation,
+            ticks: { color: '#cfd8dc', callback: (value) => formatCompact(value) },
+            grid: { color: 'rgba(255, 255, 255, 0.08)' },
+          },
+        },
+        plugins: {
+          legend: { display: false },
+          tooltip: {
+            callbacks: {
+              title: (items) => (items.length ? formatDay(items[0].parsed.x) : ''),
+              label: (item) => `${item.dataset.label}: ${formatTokens(item.parsed.y)}`,
+            },
+          },
+        },
+      },
+    });
+  }
+
+  // What the on-chain column says for a tranche.  Unlocked tranches have
+  // nothing left to hold.
+  function verificationText(tranche, now) {
+    if (trancheState(tranche, now) === 'unlocked') return { state: 'released', text: t('vesting.verify.released') };
+    const check = checks.get(tranche.wallet) || { state: 'pending' };
+    const params = check.shortfall ? { amount: formatTokens(check.shortfall) } : undefined;
+    return { state: check.state, text: t(`vesting.verify.${check.state}`, params) };
+  }
+
+  function dates(tranche) {
+    if (tranche.type === 'cliff') return formatDay(tranche.start);
+    return t('vesting.range', { start: formatDay(tranche.start), end: formatDay(tranche.end) });
+  }
+
+  // Rebuild the tranche table.  Elements are created with textContent so
+  // nothing from the schedule is ever parsed as HTML.
+  function renderTable(now) {
+    const body = document.getElementById('vesting-tranches');
+    if (!body) return;
+    body.textContent = '';
+    schedule.tranches.forEach((tranche) => {
+      const row = document.createElement('tr');
+      const state = trancheState(tranche, now);
+      row.dataset.state = state;
+      const wallet = document.createElement('td');
+      if (tranche.account) {
+        const link = document.createElement('a');
+        link.href = `https://solscan.io/account/${tranche.account}`;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = tranche.label;
+        wallet.appendChild(link);
+      } else {
+        wallet.textContent = tranche.label;
+      }
+      row.appendChild(wallet);
+      const type = tranche.type === 'step'
+        ? t('vesting.type.step', { count: tranche.unlocks.length })
+        : t(`vesting.type.${tranche.type}`);
+      [type, dates(tranche), formatTokens(tranche.amount), t(`vesting.state.${state}`)].forEach((text) => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        row.appendChild(td);
+      });
+      const verification = verificationText(tranche, now);
+      const check = document.createElement('td');
+      check.className = 'vesting-verify';
+      check.dataset.state = verification.state;
+      check.textContent = verification.text;
+      row.appendChild(check);
+      body.appendChild(row);
+    });
+  }
+
+  function renderCountdown(now) {
+    const next = root.querySelector('.vesting-next');
+    if (!next) return;
+    next.hidden = !upcoming;
+    if (!upcoming) return;
+    const date = formatDay(upcoming.time);
+    setText(next.querySelector('.vesting-next-label'), upcoming.amount === null
+      ? t('vesting.nextLinear', { date })
+      : t('vesting.next', { amount: formatTokens(upcoming.amount), date }));
+    setText(next.querySelector('.vesting-countdown'), countdown(upcoming.time - now));
+  }
+
+  // Summary, streaming note, chart and table for `now`.
+  function refresh(now = Date.now()) {
+    if (!schedule) return;
+    const body = root.querySelector('.vesting-body');
+    const published = schedule.tranches.length > 0;
+    if (body) body.hidden = !published;
+    if (!published) {
+      upcoming = null;
+      setText(field('summary'), t('vesting.unpublished'));
+      setText(field('source'), '');
+      renderCountdown(now);
+      return;
+    }
+    const unlocked = totalUnlockedAt(schedule.tranches, now);
+    setText(field('summary'), unlocked >= schedule.allocation - EPSILON ? t('vesting.complete') : summaryText(now));
+    // Tokens unlocking continuously right now.
+    const streaming = schedule.tranches.filter((tr) => tr.type === 'linear' && tr.start <= now && now < tr.end);
+    const streamingEl = field('streaming');
+    if (streamingEl) {
+      streamingEl.hidden = !streaming.length;
+      if (streaming.length) {
+        const end = Math.max(...streaming.map((tr) => tr.end));
+        setText(streamingEl, t('vesting.streaming', { date: formatDay(end) }));
+      }
+    }
+    setText(field('source'), schedule.updatedAt
+      ? t('vesting.source', { date: formatDay(parseTime(schedule.updatedAt)) })
+      : '');
+    upcoming = findUpcoming(schedule.tranches, now);
+    // Re-check as soon as the upcoming unlock happens.
+    nextRefresh = Math.min(now + REFRESH_INTERVAL, upcoming ? upcoming.time : Infinity);
+    renderChart(now);
+    renderTable(now);
+    renderCountdown(now);
+  }
+
+  function tick() {
+    if (document.hidden || !schedule) return;
+    const now = Date.now();
+    if (now >= nextRefresh) refresh(now);
+    else renderCountdown(now);
+  }
+
+  async function load(url = GBonk.config.vesting.url) {
+    return normalise(await GBonk.fetchJSON(url));
+  }
+
+  async function init() {
+    root = document.getElementById('vesting');
+    if (!root) return;
+    root.setAttribute('aria-busy', 'true');
+    try {
+      schedule = await load();
+    } catch (err) {
+      console.error('Failed to load the vesting schedule', err);
+      setText(field('summary'), t('vesting.error'));
+      return;
+    } finally {
+      root.removeAttribute('aria-busy');
+    }
+    GBonk.i18n.subscribe(() => refresh());
+    document.addEventListener('visibilitychange', tick);
+    clearInterval(timer);
+    timer = setInterval(tick, SECOND);
+    refresh();
+    if (!schedule.tranches.length) return;
+    // The table fills in as the chart library and balances arrive.
+    const library = GBonk.vendor ? GBonk.vendor.load('chart') : Promise.resolve(window.Chart);
+    library
+      .catch((err) => {
+        console.warn('Chart.js unavailable, drawing the vesting chart as SVG:', err.message);
+        return null;
+      })
+      .then((lib) => {
+        ChartLib = lib || null;
+        renderChart(Date.now());
+      });
+    await verify(schedule.tranches);
+    renderTable(Date.now());
+  }
+
+  GBonk.vesting = { load, unlockedAt, curve, findUpcoming, init };
+})();
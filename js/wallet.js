@@ -0,0 +1,360 @@
+// wallet.js – Multi‑wallet connection for injected Solana providers
+
+// Solana wallets inject a provider object into the page (Phantom on
+// window.phantom.solana, Solflare on window.solflare and so on).  Each
+// adapter below knows where to find one wallet's provider; the module
+// tracks the active connection, follows disconnect and account‑change
+// events and remembers the last wallet so returning visitors are
+// reconnected silently.  Nothing here calls alert(): failures surface as
+// WalletErrors that the UI renders inline.
+//
+// Because providers are looked up on window at call time, tests can
+// install a fake provider (e.g. window.phantom = { solana: fake }) before
+// connecting.
+(() => {
+  const GBonk = window.GBonk;
+  const { t } = GBonk.i18n;
+  const STORAGE_KEY = 'gbonk:wallet';
+
+  // The last used wallet's adapter id, remembered for restore().  With
+  // storage disabled nothing is remembered and the wallet still works.
+  function remembered() {
+    try {
+      return localStorage.getItem(STORAGE_KEY);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function remember(id) {
+    try {
+      if (id) localStorage.setItem(STORAGE_KEY, id);
+      else localStorage.removeItem(STORAGE_KEY);
+    } catch (err) {
+      // Storage disabled; the next visit starts disconnected.
+    }
+  }
+
+  // Error raised by connect().  `code` is one of 'not-installed',
+  // 'rejected' (the user dismissed the wallet prompt) or 'failed'.
+  class WalletError extends Error {
+    constructor(message, code, cause) {
+      super(message);
+      this.name = 'WalletError';
+      this.code = code;
+      this.cause = cause;
+    }
+  }
+
+  const ADAPTERS = [
+    {
+      id: 'phantom',
+      name: 'Phantom',
+      url: 'https://phantom.app/',
+      detect: () => (window.phantom && window.phantom.solana)
+        || (window.solana && window.solana.isPhantom ? window.solana : null),
+    },
+    {
+      id: 'backpack',
+      name: 'Backpack',
+      url: 'https://backpack.app/',
+      detect: () => (window.backpack && (window.backpack.solana || window.backpack)) || null,
+    },
+    {
+      id: 'solflare',
+      name: 'Solflare',
+      url: 'https://solflare.com/',
+      detect: () => (window.solflare && window.solflare.isSolflare ? window.solflare : null),
+    },
+    {
+      id: 'binance',
+      name: 'Binance Wallet',
+      url: 'https://www.binance.com/en/web3wallet',
+      detect: () => (window.binancew3w && window.binancew3w.solana) || null,
+    },
+  ];
+
+  let state = { adapter: null, provider: null, publicKey: null };
+  const changes = GBonk.createEmitter();
+
+  function setState(next) {
+    state = { ...state, ...next };
+    changes.emit(state);
+  }
+
+  function findAdapter(id) {
+    return ADAPTERS.find((a) => a.id === id) || null;
+  }
+
+  // Adapters whose provider is currently injected in the page.
+  function detected() {
+    return ADAPTERS.filter((a) => a.detect());
+  }
+
+  // Providers signal a user rejection with EIP‑1193 style code 4001.
+  function isRejection(err) {
+    return Boolean(err) && (err.code === 4001 || /reject/i.test(err.message || ''));
+  }
+
+  function toWalletError(err) {
+    if (err instanceof WalletError) return err;
+    if (isRejection(err)) {
+      return new WalletError(t('wallet.rejected'), 'rejected', err);
+    }
+    return new WalletError(t('wallet.failed'), 'failed', err);
+  }
+
+  // Provider event handlers.  They are bound once so they can be removed
+  // again when the wallet disconnects.
+  function onProviderDisconnect() {
+    reset();
+  }
+
+  function onAccountChanged(publicKey) {
+    if (publicKey) {
+      setState({ publicKey: publicKey.toString() });
+      return;
+    }
+    // Phantom reports null when the user switched to an account that has
+    // not approved this site.  Try a silent reconnect before giving up.
+    const { provider } = state;
+    if (!provider) return;
+    provider.connect({ onlyIfTrusted: true })
+      .then(() => setState({ publicKey: provider.publicKey.toString() }))
+      .catch(() => reset());
+  }
+
+  function attach(provider) {
+    if (typeof provider.on !== 'function') return;
+    provider.on('disconnect', onProviderDisconnect);
+    provider.on('accountChanged', onAccountChanged);
+  }
+
+  function detach(provider) {
+    const off = provider.off || provider.removeListener;
+    if (typeof off !== 'function') return;
+    off.call(provider, 'disconnect', onProviderDisconnect);
+    off.call(provider, 'accountChanged', onAccountChanged);
+  }
+
+  function reset() {
+    if (state.provider) detach(state.provider);
+    setState({ adapter: null, provider: null, publicKey: null });
+  }
+
+  // Connect to a wallet by adapter id.  With `silent` the wallet is only
+  // connected if it already trusts this site, so no prompt is shown.
+  async function connect(id, { silent = false } = {}) {
+    const adapter = findAdapter(id);
+    const provider = adapter && adapter.detect();
+    if (!provider) {
+      throw new WalletError(t('wallet.notInstalled', { wallet: adapter ? adapter.name : t('wallet.thatWallet') }), 'not-installed');
+    }
+    if (state.provider && state.provider !== provider) await disconnect();
+    try {
+      const resp = await provider.connect(silent ? { onlyIfTrusted: true } : undefined);
+      // Solflare resolves with a boolean, the others with { publicKey }.
+      const publicKey = (resp && resp.publicKey) || provider.publicKey;
+      if (!publicKey) throw new Error('Wallet did not return a public key');
+      // Reconnecting to the provider we already follow (after an account
+      // change, say) must not add a second set of handlers.
+      if (state.provider !== provider) attach(provider);
+      remember(adapter.id);
+      setState({ adapter, provider, publicKey: publicKey.toString() });
+      return state;
+    } catch (err) {
+      throw toWalletError(err);
+    }
+  }
+
+  async function disconnect() {
+    const { provider } = state;
+    remember(null);
+    if (!provider) return;
+    reset();
+    try {
+      await provider.disconnect();
+    } catch (err) {
+      console.warn('Wallet disconnect failed', err);
+    }
+  }
+
+  // Have the connected wallet sign and submit a transaction (a
+  // @solana/web3.js Transaction or VersionedTransaction).  Wallets without
+  // signAndSendTransaction sign only, and we submit through the RPC
+  // client.  Resolves to the transaction signature.
+  async function signAndSend(transaction) {
+    const { provider } = state;
+    if (!provider) throw new WalletError(t('wallet.connectFirst'), 'not-connected');
+    try {
+      if (typeof provider.signAndSendTransaction === 'function') {
+        const { signature } = await provider.signAndSendTransaction(transaction);
+        return signature;
+      }
+      const signed = await provider.signTransaction(transaction);
+      const bytes = signed.serialize();
+      return await GBonk.rpc.getClient().sendTransaction(btoa(String.fromCharCode(...bytes)));
+    } catch (err) {
+      if (isRejection(err)) {
+        throw new WalletError(t('wallet.txRejected'), 'rejected', err);
+      }
+      throw new WalletError(err.message || t('wallet.txFailed'), 'failed', err);
+    }
+  }
+
+  // Have the connected wallet sign `text` (shown to the user as is).
+  // Nothing is sent to the chain, so it costs no fee.  Resolves to the
+  // 64‑byte Ed25519 signature.
+  async function signMessage(text) {
+    const { adapter, provider } = state;
+    if (!provider) throw new WalletError(t('wallet.connectFirst'), 'not-connected');
+    if (typeof provider.signMessage !== 'function') {
+      throw new WalletError(t('wallet.signUnsupported', { wallet: adapter.name }), 'unsupported');
+    }
+    try {
+      const result = await provider.signMessage(new TextEncoder().encode(text), 'utf8');
+      // Phantom and Solflare resolve with { signature }, others with the bytes.
+      return Uint8Array.from(result && result.signature ? result.signature : result);
+    } catch (err) {
+      if (isRejection(err)) {
+        throw new WalletError(t('wallet.signRejected'), 'rejected', err);
+      }
+      throw new WalletError(err.message || t('wallet.signFailed'), 'failed', err);
+    }
+  }
+
+  // Silently reconnect the last used wallet, if it is still installed and
+  // still trusts this site.  Failures are expected (e.g. the user revoked
+  // access) and are not reported.
+  async function restore() {
+    const id = remembered();
+    if (!id || !findAdapter(id)) return;
+    try {
+      await connect(id, { silent: true });
+    } catch (err) {
+      if (err.code !== 'not-installed') remember(null);
+    }
+  }
+
+  // Wire up the header connect button, the wallet picker and the inline
+  // error area.
+  function initUI() {
+    const connectBtn = document.getElementById('connect-wallet');
+    const disconnectBtn = document.getElementById('disconnect-wallet');
+    const status = document.getElementById('wallet-address');
+    const picker = document.getElementById('wallet-picker');
+    const options = picker && picker.querySelector('.wallet-options');
+    const errorEl = document.getElementById('wallet-error');
+    if (!connectBtn || !status || !picker || !options || !errorEl) return;
+
+    function showError(message) {
+      errorEl.textContent = message;
+      errorEl.hidden = !message;
+    }
+
+    function closePicker() {
+      picker.hidden = true;
+      connectBtn.setAttribute('aria-expanded', 'false');
+    }
+
+    function renderOptions() {
+      options.textContent = '';
+      ADAPTERS.forEach((adapter) => {
+        const li = document.createElement('li');
+        if (adapter.detect()) {
+          const btn = document.createElement('button');
+          btn.type = 'button';
+          btn.className = 'wallet-option';
+          btn.textContent = adapter.name;
+          btn.addEventListener('click', async () => {
+            showError('');
+            btn.disabled = true;
+            btn.textContent = t('wallet.connecting', { wallet: adapter.name });
+            try {
+              await connect(adapter.id);
+              closePicker();
+              (disconnectBtn || connectBtn).focus();
+            } catch (err) {
+              console.error(err);
+              showError(err.message);
+            } finally {
+              btn.disabled = false;
+              btn.textContent = adapter.name;
+            }
+          });
+          li.appendChild(btn);
+        } else {
+          const link = document.createElement('a');
+          link.className = 'wallet-option not-installed';
+          link.href = adapter.url;
+          link.target = '_blank';
+          link.rel = 'noopener';
+          link.textContent = t('wallet.install', { wallet: adapter.name });
+          li.appendChild(link);
+        }
+        options.appendChild(li);
+      });
+    }
+
+    function openPicker() {
+      showError(detected().length ? '' : t('wallet.noneDetected'));
+      renderOptions();
+      picker.hidden = false;
+      connectBtn.setAttribute('aria-expanded', 'true');
+      const first = options.querySelector('.wallet-option');
+      if (first) first.focus();
+    }
+
+    connectBtn.addEventListener('click', () => {
+      if (picker.hidden) openPicker();
+      else closePicker();
+    });
+    picker.querySelectorAll('[data-close]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        closePicker();
+        connectBtn.focus();
+      });
+    });
+    picker.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        closePicker();
+        connectBtn.focus();
+      }
+    });
+    if (disconnectBtn) {
+      disconnectBtn.addEventListener('click', () => {
+        showError('');
+        disconnect();
+      });
+    }
+
+    // Re-label the install links if the language changes while open.
+    GBonk.i18n.subscribe(() => {
+      if (!picker.hidden) renderOptions();
+    });
+
+    changes.subscribe(({ adapter, publicKey }) => {
+      const connected = Boolean(publicKey);
+      connectBtn.hidden = connected;
+      if (disconnectBtn) disconnectBtn.hidden = !connected;
+      status.textContent = connected ? `${adapter.name}: ${GBonk.shortAddress(publicKey)}` : '';
+      status.title = connected ? publicKey : '';
+    });
+  }
+
+  GBonk.wallet = {
+    ADAPTERS,
+    WalletError,
+    detected,
+    connect,
+    disconnect,
+    restore,
+    signAndSend,
+    signMessage,
+    // Register a listener for connection changes.
+    subscribe: changes.subscribe,
+    initUI,
+    // Current connection as { adapter, provider, publicKey }.
+    getState: () => state,
+  };
+})();
@@ -0,0 +1,488 @@
+// whitepaper.js – Versioned whitepaper: rendering, contents, diff and changelog
+
+// The whitepaper is written as Markdown, one file per release, listed in a
+// manifest (GBonk.config.whitepaper.url) that also carries each release's
+// changelog:
+//
+//   { "versions": [{ "version": "1.1", "date": "2025-08",
+//                    "changes": { "en": ["…"], "es": ["…"] } }, …] }
+//
+// Versions are newest first.  Translations sit beside the English file as
+// <version>.<locale>.md, falling back to English like data/content.json.
+// The Markdown subset is the one js/content.js renders, plus "## " and
+// "### " headings (with an optional {#id} so anchors survive translation)
+// and "- " list items.
+//
+// Besides rendering, this module builds the table of contents, highlights
+// the section being read, adds heading anchors, and offers a version
+// switcher with a word‑level diff against any other release.  The choice
+// is kept in the URL (?version=1.0&compare=1.1) so it can be shared.
+(() => {
+  const GBonk = window.GBonk;
+  const t = (key, params) => GBonk.i18n.t(key, params);
+
+  // Headings above this line (px from the top of the viewport, below the
+  // fixed header) count as the section being read.
+  const SPY_LINE = 120;
+
+  let els = {};
+  let manifest = null;
+  let state = { version: null, compare: null };
+  const cache = new Map();
+  let latest = 0;
+
+  // ---- Markdown ---------------------------------------------------------
+
+  // Parse into a flat list of units: { kind: 'h2' | 'h3' | 'p' | 'li',
+  // text, id }.  List items stay separate so the diff can match them one
+  // by one; consecutive items are grouped into a list when rendered.
+  function parse(markdown) {
+    const units = [];
+    let paragraph = [];
+    let inList = false;
+    const flush = () => {
+      if (paragraph.length) units.push({ kind: 'p', text: paragraph.join(' ') });
+      paragraph = [];
+    };
+    String(markdown).split(/\r?\n/).forEach((line) => {
+      const text = line.trim();
+      const heading = /^(#{2,3})\s+(.+?)(?:\s+\{#([a-z0-9-]+)\})?$/.exec(text);
+      const item = /^[-*]\s+(.+)$/.exec(text);
+      if (!text) {
+        flush();
+        inList = false;
+      } else if (heading) {
+        flush();
+        inList = false;
+        units.push({ kind: heading[1].length === 2 ? 'h2' : 'h3', text: heading[2], id: heading[3] || GBonk.content.slug(heading[2]) });
+      } else if (item) {
+        flush();
+        inList = true;
+        units.push({ kind: 'li', text: item[1] });
+      } else if (inList) {
+        // A wrapped list item.
+        units[units.length - 1].text += ` ${text}`;
+      } else {
+        paragraph.push(text);
+      }
+    });
+    flush();
+    return units;
+  }
+
+  function plain(text) {
+    return GBonk.content.renderInline(text).textContent;
+  }
+
+  // ---- Diff -------------------------------------------------------------
+
+  // Longest common subsequence of `a` and `b` as a list of
+  // { op: 'same' | 'del' | 'ins', value } steps.
+  function diffSequences(a, b, equal) {
+    const table = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        table[i][j] = equal(a[i], b[j]) ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+    const steps = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (equal(a[i], b[j])) {
+        steps.push({ op: 'same', value: b[j] });
+        i++;
+        j++;
+      } else if (table[i + 1][j] >= table[i][j + 1]) {
+        steps.push({ op: 'del', value: a[i++] });
+      } else {
+        steps.push({ op: 'ins', value: b[j++] });
+      }
+    }
+    while (i < a.length) steps.push({ op: 'del', value: a[i++] });
+    while (j < b.length) steps.push({ op: 'ins', value: b[j++] });
+    return steps;
+  }
+
+  // Word diff of two plain strings, as runs of { op, text }.
+  function diffWords(before, after) {
+    const split = (text) => text.split(/(\s+)/).filter(Boolean);
+    const runs = [];
+    diffSequences(split(before), split(after), (x, y) => x === y).forEach(({ op, value }) => {
+      const last = runs[runs.length - 1];
+      if (last && last.op === op) last.text += value;
+      else runs.push({ op, text: value });
+    });
+    return runs;
+  }
+
+  // Units of `to` annotated against `from`: status is 'same', 'added',
+  // 'removed' or 'changed' (with word runs).  Removed and added units of
+  // the same kind next to each other are treated as one edited unit.
+  function diff(from, to) {
+    const result = [];
+    let removed = [];
+    let added = [];
+    const flush = () => {
+      while (removed.length || added.length) {
+        if (removed.length && added.length && removed[0].kind === added[0].kind) {
+          const before = removed.shift();
+          const after = added.shift();
+          result.push({ ...after, status: 'changed', runs: diffWords(plain(before.text), plain(after.text)) });
+        } else if (removed.length) {
+          result.push({ ...removed.shift(), status: 'removed' });
+        } else {
+          result.push({ ...added.shift(), status: 'added' });
+        }
+      }
+    };
+    diffSequences(from, to, (x, y) => x.kind === y.kind && x.text === y.text).forEach(({ op, value }) => {
+      if (op === 'del') removed.push(value);
+      else if (op === 'ins') added.push(value);
+      else {
+        flush();
+        result.push({ ...value, status: 'same' });
+      }
+    });
+    flush();
+    return result;
+  }
+
+  // ---- Rendering --------------------------------------------------------
+
+  function unitContent(unit) {
+    if (unit.status === 'changed') {
+      const fragment = document.createDocumentFragment();
+      unit.runs.forEach(({ op, text }) => {
+        if (op === 'same') {
+          fragment.append(text);
+        } else {
+          const mark = document.createElement(op === 'ins' ? 'ins' : 'del');
+          mark.textContent = text;
+          fragment.appendChild(mark);
+        }
+      });
+      return fragment;
+    }
+    const content = GBonk.content.renderInline(unit.text);
+    if (unit.status !== 'added' && unit.status !== 'removed') return content;
+    const mark = document.createElement(unit.status === 'added' ? 'ins' : 'del');
+    mark.appendChild(content);
+    return mark;
+  }
+
+  function renderUnit(unit) {
+    const el = document.createElement(unit.kind);
+    el.appendChild(unitContent(unit));
+    if (unit.status && unit.status !== 'same') el.classList.add(`diff-${unit.status}`);
+    // Removed headings are no longer part of the document, so they get
+    // no anchor (and no id to clash with the heading that replaced them).
+    if ((unit.kind === 'h2' || unit.kind === 'h3') && unit.status !== 'removed') {
+      el.id = unit.id;
+      const anchor = document.createElement('a');
+      anchor.className = 'heading-anchor';
+      anchor.href = `#${unit.id}`;
+      anchor.textContent = '#';
+      anchor.setAttribute('aria-label', t('whitepaper.anchor', { title: plain(unit.text) }));
+      el.appendChild(anchor);
+    }
+    return el;
+  }
+
+  function renderBody(units) {
+    const fragment = document.createDocumentFragment();
+    let list = null;
+    units.forEach((unit) => {
+      if (unit.kind !== 'li') {
+        list = null;
+        fragment.appendChild(renderUnit(unit));
+        return;
+      }
+      if (!list) {
+        list = document.createElement('ul');
+        fragment.appendChild(list);
+      }
+      list.appendChild(renderUnit(unit));
+    });
+    els.body.replaceChildren(fragment);
+  }
+
+  // Contents: every h2, with its h3s nested, then the changelog.
+  function renderContents() {
+    if (!els.toc) return;
+    const root = document.createElement('ol');
+    let sub = null;
+    const entry = (heading) => {
+      const li = document.createElement('li');
+      const a = document.createElement('a');
+      a.href = `#${heading.id}`;
+      // The heading as it now reads: without its anchor or deleted words.
+      a.textContent = Array.from(heading.childNodes)
+        .filter((node) => !(node.matches && node.matches('.heading-anchor, del')))
+        .map((node) => node.textContent)
+        .join('')
+        .trim();
+      li.appendChild(a);
+      return li;
+    };
+    headings().forEach((heading) => {
+      if (heading.tagName === 'H3' && sub) {
+        sub.appendChild(entry(heading));
+        return;
+      }
+      const li = entry(heading);
+      root.appendChild(li);
+      sub = document.createElement('ol');
+      li.appendChild(sub);
+    });
+    root.querySelectorAll('ol:empty').forEach((ol) => ol.remove());
+    els.toc.replaceChildren(...root.children);
+    spy();
+  }
+
+  function headings() {
+    const list = Array.from(els.body.querySelectorAll('h2[id], h3[id]'));
+    if (els.changelogTitle) list.push(els.changelogTitle);
+    return list;
+  }
+
+  // Mark the contents entry of the section being read.
+  function spy() {
+    if (!els.toc) return;
+    const all = headings();
+    let active = all[0];
+    all.forEach((heading) => {
+      if (heading.getBoundingClientRect().top <= SPY_LINE) active = heading;
+    });
+    els.toc.querySelectorAll('a').forEach((a) => {
+      const current = active && a.getAttribute('href') === `#${active.id}`;
+      a.classList.toggle('is-active', current);
+      if (current) a.setAttribute('aria-current', 'location');
+      else a.removeAttribute('aria-current');
+    });
+  }
+
+  function formatRelease(entry) {
+    const date = GBonk.i18n.formatDate(new Date(entry.date), { year: 'numeric', month: 'long', timeZone: 'UTC' });
+    return t('whitepaper.versionLine', { version: entry.version, date });
+  }
+
+  function renderChangelog() {
+    if (!els.changelog) return;
+    const locale = GBonk.i18n.locale();
+    els.changelog.replaceChildren(...manifest.versions.map((entry) => {
+      const li = document.createElement('li');
+      const h3 = document.createElement('h3');
+      h3.textContent = formatRelease(entry);
+      const changes = document.createElement('ul');
+      const notes = (entry.changes && (entry.changes[locale] || entry.changes.en)) || [];
+      notes.forEach((note) => {
+        const item = document.createElement('li');
+        item.appendChild(GBonk.content.renderInline(note));
+        changes.appendChild(item);
+      });
+      li.append(h3, changes);
+      return li;
+    }));
+  }
+
+  function renderControls() {
+    const option = (value, label) => {
+      const el = document.createElement('option');
+      el.value = value;
+      el.textContent = label;
+      return el;
+    };
+    els.version.replaceChildren(...manifest.versions.map((entry, index) => option(
+      entry.version,
+      index === 0 ? `${formatRelease(entry)} ${t('whitepaper.latest')}` : formatRelease(entry),
+    )));
+    els.version.value = state.version;
+    const others = manifest.versions.filter((entry) => entry.version !== state.version);
+    els.compare.replaceChildren(
+      option('', t('whitepaper.compareNone')),
+      ...others.map((entry) => option(entry.version, formatRelease(entry))),
+    );
+    els.compare.value = state.compare || '';
+    // Nothing to compare until there is a second release.
+    els.compareField.hidden = others.length === 0;
+  }
+
+  function setStatus(text) {
+    els.status.textContent = text;
+  }
+
+  // ---- Loading ----------------------------------------------------------
+
+  function release(version) {
+    return manifest.versions.find((entry) => entry.version === version) || null;
+  }
+
+  // Markdown for `version` in `locale`, or in English when there is no
+  // translation.  Resolves to { text, locale }.
+  function loadDocument(version, locale) {
+    const id = `${version}|${locale}`;
+    if (!cache.has(id)) {
+      const url = (suffix) => new URL(`${version}${suffix}.md`, new URL(GBonk.config.whitepaper.url, document.baseURI)).href;
+      const load = async () => {
+        if (locale !== 'en') {
+          try {
+            return { text: await GBonk.fetchText(url(`.${locale}`)), locale };
+          } catch (err) {
+            console.warn(`No ${locale} whitepaper ${version}, using English:`, err.message);
+          }
+        }
+        return { text: await GBonk.fetchText(url('')), locale: 'en' };
+      };
+      const promise = load();
+      // Failed loads are retried on the next render.
+      promise.catch(() => cache.delete(id));
+      cache.set(id, promise);
+    }
+    return cache.get(id);
+  }
+
+  // Both sides of a comparison in the same language, or the diff would be
+  // all red and green.
+  async function loadPair(version, compare) {
+    const locale = GBonk.i18n.locale();
+    let [doc, base] = await Promise.all([loadDocument(version, locale), loadDocument(compare, locale)]);
+    if (doc.locale !== base.locale) [doc, base] = await Promise.all([loadDocument(version, 'en'), loadDocument(compare, 'en')]);
+    return { doc, base };
+  }
+
+  function syncUrl() {
+    if (!history.replaceState) return;
+    const url = new URL(location.href);
+    if (state.version === manifest.versions[0].version) url.searchParams.delete('version');
+    else url.searchParams.set('version', state.version);
+    if (state.compare) url.searchParams.set('compare', state.compare);
+    else url.searchParams.delete('compare');
+    history.replaceState(null, '', url);
+  }
+
+  async function render({ scrollToHash = false } = {}) {
+    const request = ++latest;
+    const { version, compare } = state;
+    // Comparisons read as "what changed from the older release to the
+    // newer one", whichever of the two is selected as the version.
+    const position = (v) => manifest.versions.indexOf(release(v));
+    const [from, to] = compare && position(compare) > position(version) ? [compare, version] : [version, compare];
+    els.article.setAttribute('aria-busy', 'true');
+    setStatus(t('whitepaper.loading'));
+    try {
+      let units;
+      let docLocale;
+      if (compare) {
+        const { doc, base } = await loadPair(version, compare);
+        const texts = { [version]: doc.text, [compare]: base.text };
+        units = diff(parse(texts[from]), parse(texts[to]));
+        docLocale = doc.locale;
+      } else {
+        const doc = await loadDocument(version, GBonk.i18n.locale());
+        units = parse(doc.text);
+        docLocale = doc.locale;
+      }
+      if (request !== latest) return;
+      renderBody(units);
+      // An English fallback inside a translated page is marked as such.
+      if (docLocale !== GBonk.i18n.locale()) {
+        els.body.lang = docLocale;
+        els.body.dir = 'ltr';
+      } else {
+        els.body.removeAttribute('lang');
+        els.body.removeAttribute('dir');
+      }
+      els.versionLine.textContent = formatRelease(release(version));
+      els.body.classList.toggle('paper-diff', Boolean(compare));
+      if (compare) {
+        const changed = units.some((unit) => unit.status !== 'same');
+        setStatus(changed ? t('whitepaper.comparing', { from, to }) : t('whitepaper.noChanges', { from, to }));
+      } else {
+        setStatus('');
+      }
+      els.legend.hidden = !compare;
+      if (els.printSource) els.printSource.textContent = t('whitepaper.printedFrom', { url: location.href });
+      renderContents();
+      if (scrollToHash && location.hash) {
+        let id = '';
+        try {
+          id = decodeURIComponent(location.hash.slice(1));
+        } catch (err) {
+          // Malformed percent‑encoding: no section to scroll to.
+        }
+        const target = id && document.getElementById(id);
+        if (target) target.scrollIntoView();
+      }
+    } catch (err) {
+      if (request !== latest) return;
+      console.error('Failed to load the whitepaper', err);
+      setStatus(t('whitepaper.error'));
+    } finally {
+      if (request === latest) els.article.removeAttribute('aria-busy');
+      if (GBonk.timeline) GBonk.timeline.refresh();
+    }
+  }
+
+  async function init() {
+    els = {
+      article: document.getElementById('paper'),
+      body: document.getElementById('paper-body'),
+      versionLine: document.getElementById('paper-version-line'),
+      status: document.getElementById('paper-status'),
+      legend: document.getElementById('paper-legend'),
+      version: document.getElementById('paper-version'),
+      compare: document.getElementById('paper-compare'),
+      compareField: document.getElementById('paper-compare-field'),
+      print: document.getElementById('paper-print'),
+      printSource: document.getElementById('paper-print-source'),
+      toc: document.getElementById('paper-toc-list'),
+      changelog: document.getElementById('paper-changelog-list'),
+      changelogTitle: document.getElementById('changelog'),
+    };
+    if (!els.article || !els.body) return;
+    try {
+      manifest = await GBonk.fetchJSON(GBonk.config.whitepaper.url);
+      if (!manifest || !Array.isArray(manifest.versions) || !manifest.versions.length) throw new Error('Whitepaper manifest lists no versions');
+    } catch (err) {
+      console.error('Failed to load the whitepaper manifest', err);
+      setStatus(t('whitepaper.error'));
+      els.article.removeAttribute('aria-busy');
+      return;
+    }
+
+    // Only versions from the manifest are ever requested.
+    const params = new URLSearchParams(location.search);
+    const version = release(params.get('version')) ? params.get('version') : manifest.versions[0].version;
+    const compare = params.get('compare');
+    state = { version, compare: release(compare) && compare !== version ? compare : null };
+
+    els.version.addEventListener('change', () => {
+      state.version = els.version.value;
+      if (state.compare === state.version) state.compare = null;
+      renderControls();
+      syncUrl();
+      render();
+    });
+    els.compare.addEventListener('change', () => {
+      state.compare = els.compare.value || null;
+      syncUrl();
+      render();
+    });
+    // The browser's print dialog saves a clean PDF using the print
+    // stylesheet; no PDF library is needed.
+    if (els.print) els.print.addEventListener('click', () => window.print());
+    if (GBonk.timeline) GBonk.timeline.track({ decorative: false, onUpdate: spy });
+    GBonk.i18n.subscribe(() => {
+      renderControls();
+      renderChangelog();
+      render();
+    });
+
+    renderControls();
+    renderChangelog();
+    await render({ scrollToHash: true });
+  }
+
+  GBonk.whitepaper = { parse, diff, diffWords, init };
+})();
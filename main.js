@@ -2,20 +2,85 @@
 
 // Immediately invoked function to avoid polluting the global scope
 (() => {
+  // Feature modules loaded before this script register on window.GBonk
+  // (see js/core.js).
+  const GBonk = window.GBonk || {};
+
+  // Whether animations should stay calm (js/motion.js), and a way to hear
+  // when that changes.  Without the motion module everything animates.
+  function motionReduced() {
+    return Boolean(GBonk.motion && GBonk.motion.reduced());
+  }
+
+  function onMotionChange(fn) {
+    if (GBonk.motion) GBonk.motion.subscribe(fn);
+  }
+
+  // Whether a round of the comet mini‑game (js/game.js) is running.
+  function gamePlaying() {
+    return Boolean(GBonk.game && GBonk.game.playing());
+  }
+
+  // The mascot's journey across the page, shared by the dog drawn on the
+  // universe canvas and the DOM fallback (.dog-container).  It travels
+  // from 150px off‑screen left to 150px off‑screen right over the whole
+  // page scroll, bobbing up and down (y), wobbling (rotateY, also used as
+  // the canvas rotation), nodding (rotateX) and growing towards the
+  // middle of the journey as if coming closer (scale).
+  const DOG_JOURNEY = {
+    range: 'page',
+    keyframes: [
+      { at: 0, x: -150, scale: 0.8 },
+      { at: 1, x: (viewport) => viewport.width + 150, scale: 0.8 },
+    ],
+    waves: {
+      y: { amplitude: 50, cycles: 2 },
+      rotateY: { amplitude: 25, cycles: 4 },
+      rotateX: { amplitude: 10, cycles: 3 },
+      scale: { amplitude: 0.4, cycles: 0.5 },
+    },
+  };
+
   // Initialise the canvas‑based universe.  Rather than creating
   // hundreds of DOM elements for stars and comets, we draw
   // everything on a single canvas.  This approach is significantly
   // faster and allows richer animations like falling stars, comets
   // streaking across the view and supernova explosions.
+  //
+  // How much is drawn depends on the quality tier (js/quality.js), which
+  // adapts to how well the device keeps up.  All motion is scaled by the
+  // frame time so speeds match the original 60 Hz tuning on any display,
+  // and the shared frame loop stops while the tab is hidden.  With reduced
+  // motion the loop is left altogether and a single still starfield is
+  // drawn instead, without comets, supernovas or the drifting mascot.
+  //
+  // The "Bonk the comet" mini‑game (js/game.js) plays on this canvas: each
+  // frame hands it the context to advance and draw its round on top.  So
+  // does the burn black hole (js/blackhole.js), whose gravity bends the
+  // paths of stars and comets and swallows those that reach it.
   function initUniverse() {
     const canvas = document.getElementById('universe');
-    if (!canvas) return;
+    if (!canvas || !GBonk.quality) return;
     const ctx = canvas.getContext('2d');
     let w, h;
+    let settings = GBonk.quality.settings();
     let stars = [];
     let comets = [];
     let supernovas = [];
     let nebulas = [];
+    // Where the mascot is on its scroll journey (see DOG_JOURNEY).
+    const journey = GBonk.timeline ? GBonk.timeline.track(DOG_JOURNEY) : null;
+    // Removes draw() from the frame loop; null while the scene is still.
+    let stopFrames = null;
+    // Milliseconds until the next comet and supernova are spawned.
+    let cometTimer = 5000;
+    let supernovaTimer = 10000;
+    // Motion below is expressed per frame at 60 Hz.
+    const FRAME_MS = 1000 / 60;
+    const blackHole = GBonk.blackhole;
+    // Comets keep their momentum, so the black hole's pull changes their
+    // velocity, and only by this share of what it moves a star.
+    const COMET_PULL = 0.05;
 
     // Load the G‑Bonk mascot for rendering directly on the canvas.  By drawing
     // the dog into the universe rather than overlaying it in the DOM we
@@ -55,6 +120,26 @@
       mouseY = (e.clientY / vh) - 0.5;
     });
 
+    // Render a radial glow once into an offscreen canvas so it can be
+    // stamped with drawImage instead of building a gradient every frame.
+    function glowSprite(radius, inner, outer) {
+      const sprite = document.createElement('canvas');
+      const size = Math.max(1, Math.ceil(radius * 2));
+      sprite.width = size;
+      sprite.height = size;
+      const g = sprite.getContext('2d');
+      const grad = g.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+      grad.addColorStop(0, inner);
+      grad.addColorStop(1, outer);
+      g.fillStyle = grad;
+      g.fillRect(0, 0, size, size);
+      return sprite;
+    }
+
+    // Every comet shares one glow, scaled to its size when drawn.
+    const COMET_GLOW_RADIUS = 48;
+    const cometGlow = glowSprite(COMET_GLOW_RADIUS, 'rgba(255,255,255,0.9)', 'rgba(255,255,255,0)');
+
     // Helper to create a batch of stars
     function spawnStars(num) {
       for (let i = 0; i < num; i++) {
@@ -120,7 +205,7 @@
         ['rgba(255, 180, 70, 0.05)', 'rgba(70, 20, 0, 0)'],
       ];
       const choice = colours[Math.floor(Math.random() * colours.length)];
-      return {
+      const nebula = {
         x: Math.random() * w,
         y: Math.random() * h,
         radius: w * 0.4 + Math.random() * w * 0.6,
@@ -130,26 +215,53 @@
         inner: choice[0],
         outer: choice[1],
       };
+      // Nebulae are soft enough that a quarter‑resolution sprite scaled up
+      // is indistinguishable from the live gradient.
+      if (settings.cacheGradients) nebula.sprite = glowSprite(nebula.radius / 4, nebula.inner, nebula.outer);
+      return nebula;
     }
 
-    // Handle resizing of the canvas
+    // Size the canvas for the viewport and the tier's pixel ratio cap, and
+    // (re)spawn the tier's stars and nebulae.
     function onResize() {
-      w = canvas.width = window.innerWidth;
-      h = canvas.height = window.innerHeight;
+      w = window.innerWidth;
+      h = window.innerHeight;
+      const dpr = Math.min(window.devicePixelRatio || 1, settings.dpr);
+      canvas.width = Math.round(w * dpr);
+      canvas.height = Math.round(h * dpr);
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
       // reset the arrays and respawn
       stars = [];
-      spawnStars(250);
+      spawnStars(settings.stars);
       nebulas = [];
       // Spawn a few nebulae proportional to screen size.  Smaller screens
       // receive fewer nebulas to prevent overwhelming the display.
-      const nebCount = Math.max(1, Math.floor(Math.min(w, h) / 600));
+      const nebCount = Math.min(settings.maxNebulae, Math.max(1, Math.floor(Math.min(w, h) / 600)));
       for (let i = 0; i < nebCount; i++) {
         nebulas.push(spawnNebula());
       }
+      if (!stopFrames) draw(0);
     }
 
-    // Draw the universe on each frame
-    function draw() {
+    // Advance and draw the universe.  `dt` is the time since the previous
+    // frame in milliseconds; `step` converts it to 60 Hz frames.
+    function draw(dt) {
+      const step = dt / FRAME_MS;
+      // Spawn comets and supernovas on timers that only run while frames
+      // do, so nothing piles up in a background tab.
+      cometTimer -= dt;
+      if (cometTimer <= 0) {
+        cometTimer += 5000;
+        // Limit number of comets at once to avoid overload.  During a game
+        // round only the game's targets fly, so they are not confused with
+        // scenery.
+        if (comets.length < settings.maxComets && !gamePlaying()) comets.push(spawnComet());
+      }
+      supernovaTimer -= dt;
+      if (supernovaTimer <= 0) {
+        supernovaTimer += 10000;
+        if (settings.supernovae) supernovas.push(spawnSupernova());
+      }
       ctx.clearRect(0, 0, w, h);
       // Draw nebulas (background).  Each nebula is a large radial gradient
       // that slowly rotates.  Using save/restore ensures rotation does
@@ -161,24 +273,36 @@
         // Apply horizontal scaling to create elliptical nebulae.  This adds
         // variety to the shapes and makes the nebulas feel more organic.
         ctx.scale(n.scaleX, 1);
-        const grad = ctx.createRadialGradient(0, 0, 0, 0, 0, n.radius);
-        grad.addColorStop(0, n.inner);
-        grad.addColorStop(1, n.outer);
-        ctx.fillStyle = grad;
-        ctx.beginPath();
-        ctx.arc(0, 0, n.radius, 0, Math.PI * 2);
-        ctx.fill();
+        if (n.sprite) {
+          ctx.drawImage(n.sprite, -n.radius, -n.radius, n.radius * 2, n.radius * 2);
+        } else {
+          const grad = ctx.createRadialGradient(0, 0, 0, 0, 0, n.radius);
+          grad.addColorStop(0, n.inner);
+          grad.addColorStop(1, n.outer);
+          ctx.fillStyle = grad;
+          ctx.beginPath();
+          ctx.arc(0, 0, n.radius, 0, Math.PI * 2);
+          ctx.fill();
+        }
         ctx.restore();
         // Advance rotation slowly and also gently fluctuate the scale to
         // simulate swirling clouds.
-        n.angle += n.speed;
+        n.angle += n.speed * step;
         // Oscillate scaleX between its original value and a slightly
         // expanded state for subtle pulsation.
-        n.scaleX += Math.sin(performance.now() * 0.0002) * 0.0003;
+        n.scaleX += Math.sin(performance.now() * 0.0002) * 0.0003 * step;
       });
       // Draw stars.  Stars are updated based on their individual speeds.
       stars.forEach((s) => {
-        s.y += s.speed;
+        s.y += s.speed * step;
+        const pull = blackHole && blackHole.gravity(s.x, s.y);
+        if (pull && pull.inside) {
+          // Swallowed: a new star takes its place at the top.
+          s.y = h + 1;
+        } else if (pull) {
+          s.x += pull.x * step;
+          s.y += pull.y * step;
+        }
         if (s.y > h) {
           s.y = 0;
           s.x = Math.random() * w;
@@ -188,81 +312,82 @@
         ctx.arc(s.x, s.y, s.radius, 0, Math.PI * 2);
         ctx.fill();
       });
-      // Draw comets
-      comets.forEach((c, index) => {
-        c.x += -c.vx;
-        c.y += c.vy;
-        c.life++;
-        // Draw tail as a glow gradient
-        const gradient = ctx.createRadialGradient(c.x, c.y, 0, c.x, c.y, c.size * 12);
-        gradient.addColorStop(0, 'rgba(255,255,255,0.9)');
-        gradient.addColorStop(1, 'rgba(255,255,255,0)');
-        ctx.fillStyle = gradient;
-        ctx.beginPath();
-        ctx.arc(c.x, c.y, c.size * 12, 0, Math.PI * 2);
-        ctx.fill();
+      // Draw comets.  Iterate backwards so finished comets can be removed
+      // without skipping the next one.
+      for (let i = comets.length - 1; i >= 0; i--) {
+        const c = comets[i];
+        c.x += -c.vx * step;
+        c.y += c.vy * step;
+        c.life += step;
+        const pull = blackHole && blackHole.gravity(c.x, c.y);
+        if (pull && pull.inside) {
+          comets.splice(i, 1);
+          continue;
+        }
+        if (pull) {
+          c.vx -= pull.x * step * COMET_PULL;
+          c.vy += pull.y * step * COMET_PULL;
+        }
+        // Draw tail as a glow
+        const glow = c.size * 12;
+        ctx.drawImage(cometGlow, c.x - glow, c.y - glow, glow * 2, glow * 2);
         // Remove when off screen or expired
-        if (c.life > c.maxLife || c.x < -c.size * 12 || c.y > h + c.size * 12) {
-          comets.splice(index, 1);
+        if (c.life > c.maxLife || c.x < -glow || c.y > h + glow) {
+          comets.splice(i, 1);
         }
-      });
+      }
       // Draw supernovas
-      supernovas.forEach((s, index) => {
-        s.radius += 2;
-        s.alpha -= 0.015;
+      for (let i = supernovas.length - 1; i >= 0; i--) {
+        const s = supernovas[i];
+        s.radius += 2 * step;
+        s.alpha -= 0.015 * step;
+        if (s.radius > s.maxRadius || s.alpha <= 0) {
+          supernovas.splice(i, 1);
+          continue;
+        }
         ctx.strokeStyle = `rgba(255,255,255,${s.alpha})`;
         ctx.lineWidth = 2;
         ctx.beginPath();
         ctx.arc(s.x, s.y, s.radius, 0, Math.PI * 2);
         ctx.stroke();
-        if (s.radius > s.maxRadius || s.alpha <= 0) {
-          supernovas.splice(index, 1);
-        }
-      });
+      }
+      // The black hole covers whatever is behind it.
+      if (blackHole) blackHole.frame(ctx, dt, w, h);
 
-      // Draw the G‑Bonk dog.  Compute scroll progress to determine the
-      // mascot’s position, rotation and base scale.  The dog travels
-      // across the viewport from left to right as the user scrolls down
-      // the document.  It bobs up and down and scales in and out to
-      // simulate depth.  We further modulate these transforms using
-      // the pointer position so that the mascot appears to respond to
-      // user movement – tilting and brightening as the mouse moves.
-      if (dogImg.complete && dogImg.naturalWidth > 0) {
-        const doc = document.documentElement;
-        const scrollTop = window.pageYOffset || doc.scrollTop;
-        const scrollHeight = doc.scrollHeight - doc.clientHeight;
-        const percent = scrollHeight > 0 ? scrollTop / scrollHeight : 0;
-        // Horizontal travel across the entire canvas plus extra margins.  The
-        // dog starts 150px off‑screen and exits 150px off‑screen on the
-        // opposite side.
-        const totalDistance = w + 300;
-        const xPos = percent * totalDistance - 150;
-        // Vertical bobbing relative to canvas height.  We center the dog
-        // vertically and add a sine wave for gentle floating.  Pointer Y
-        // subtly adjusts vertical position to give a sense of depth.
-        const bob = Math.sin(percent * Math.PI * 4) * 50;
-        const yPos = h * 0.5 + bob + mouseY * 80;
-        // Base rotation around the Z‑axis (we use Z since 2D canvas
-        // doesn’t support 3D yaw/pitch).  A higher frequency yields
-        // playful wobbling as the dog travels.  Pointer X modifies the
+      // Draw the G‑Bonk dog at its place on the scroll journey
+      // (DOG_JOURNEY): travelling across the viewport as the user scrolls
+      // down the document, bobbing and scaling in and out to simulate
+      // depth.  We further modulate these transforms using the pointer
+      // position so that the mascot appears to respond to user movement –
+      // tilting and brightening as the mouse moves.  The still scene
+      // leaves it out, as does the 3D mascot once it is on screen.
+      const pose = journey && journey.values();
+      const flatDog = !(GBonk.mascot && GBonk.mascot.showing());
+      if (stopFrames && flatDog && pose && 'x' in pose && dogImg.complete && dogImg.naturalWidth > 0) {
+        // Centre the dog vertically around the bob.  Pointer Y subtly
+        // adjusts vertical position to give a sense of depth.
+        const xPos = pose.x;
+        const yPos = h * 0.5 + pose.y + mouseY * 80;
+        // The journey's yaw becomes a rotation around the Z‑axis (2D
+        // canvas doesn’t support 3D yaw/pitch).  Pointer X modifies the
         // rotation so the dog turns slightly toward the cursor.
-        const baseRotate = Math.sin(percent * Math.PI * 8) * 25 * Math.PI / 180;
-        const interactiveRotate = baseRotate + mouseX * 0.5;
-        // Base scale – the mascot grows in the middle of the journey and
-        // shrinks near the start/end.  Pointer Y accentuates this,
-        // making the dog grow when the cursor is nearer the centre and
-        // shrink at the edges.  We clamp to reasonable limits.
-        let baseScale = 0.8 + 0.4 * Math.sin(percent * Math.PI);
-        baseScale *= 1 + mouseY * 0.3;
+        const interactiveRotate = pose.rotateY * Math.PI / 180 + mouseX * 0.5;
+        // Pointer Y accentuates the journey's scale, making the dog grow
+        // when the cursor is nearer the centre and shrink at the edges.
+        // We clamp to reasonable limits.
+        let baseScale = pose.scale * (1 + mouseY * 0.3);
         baseScale = Math.max(0.5, Math.min(1.4, baseScale));
         ctx.save();
         ctx.translate(xPos, yPos);
         ctx.rotate(interactiveRotate);
         ctx.scale(baseScale, baseScale);
         // Adjust brightness and saturation based on pointer movement.
-        const brightness = 1 + Math.abs(mouseX) * 0.4;
-        const saturate = 1 + Math.abs(mouseY) * 0.5;
-        ctx.filter = `brightness(${brightness}) saturate(${saturate})`;
+        // Canvas filters are costly, so lower tiers skip them.
+        if (settings.dogFilter) {
+          const brightness = 1 + Math.abs(mouseX) * 0.4;
+          const saturate = 1 + Math.abs(mouseY) * 0.5;
+          ctx.filter = `brightness(${brightness}) saturate(${saturate})`;
+        }
         // Draw the image centred on its origin.  Use the base width and
         // height defined at initialisation to ensure consistent sizing.
         ctx.drawImage(dogImg, -DOG_BASE_WIDTH / 2, -DOG_BASE_HEIGHT / 2, DOG_BASE_WIDTH, DOG_BASE_HEIGHT);
@@ -270,27 +395,45 @@
         ctx.filter = 'none';
         ctx.restore();
       }
-      requestAnimationFrame(draw);
+      if (GBonk.game) GBonk.game.frame(ctx, dt, w, h);
+    }
+
+    // Run the animation, or stop it and clear away everything that moves.
+    // A game round the visitor started themselves runs even with reduced
+    // motion.
+    function applyMotion() {
+      if (motionReduced() && !gamePlaying()) {
+        if (stopFrames) stopFrames();
+        stopFrames = null;
+        comets = [];
+        supernovas = [];
+        draw(0);
+      } else if (!stopFrames) {
+        stopFrames = GBonk.quality.onFrame(draw);
+      }
     }
 
     onResize();
     window.addEventListener('resize', onResize);
-    // Spawn comets periodically
-    setInterval(() => {
-      // Limit number of comets at once to avoid overload
-      if (comets.length < 6) comets.push(spawnComet());
-    }, 5000);
-    // Spawn supernovas periodically
-    setInterval(() => {
-      supernovas.push(spawnSupernova());
-    }, 10000);
-    draw();
+    // Re‑size and re‑populate the scene whenever the tier changes.
+    GBonk.quality.subscribe((name) => {
+      settings = GBonk.quality.TIERS[name];
+      onResize();
+      comets.splice(settings.maxComets);
+    });
+    applyMotion();
+    onMotionChange(applyMotion);
+    if (GBonk.game) GBonk.game.subscribe(applyMotion);
+    // The still scene is redrawn when the burned total changes the black
+    // hole.
+    if (GBonk.burn) GBonk.burn.subscribe(() => { if (!stopFrames) draw(0); });
 
     // Spawn a supernova at the click location on the document.  This makes
     // the universe interactive: tapping anywhere triggers a small
     // explosion.  Coordinates are taken directly from the event, which
     // correspond to the viewport; they map naturally onto the canvas.
     document.addEventListener('click', (e) => {
+      if (!stopFrames) return;
       supernovas.push({
         x: e.clientX,
         y: e.clientY,
@@ -301,38 +444,23 @@
     });
   }
 
-  // FAQ toggle logic: expand/collapse answers on click
-  function initFAQ() {
-    document.querySelectorAll('.faq-item').forEach((item) => {
-      const question = item.querySelector('.faq-question');
-      const answer = item.querySelector('.faq-answer');
-      if (!question || !answer) return;
-      question.addEventListener('click', () => {
-        const isOpen = item.classList.toggle('open');
-        // Toggle ARIA attribute for accessibility
-        question.setAttribute('aria-expanded', String(isOpen));
-        // Animate the answer's height
-        if (isOpen) {
-          answer.style.maxHeight = answer.scrollHeight + 'px';
-        } else {
-          answer.style.maxHeight = null;
-        }
-      });
-    });
-  }
-
-  // Intersection observer to reveal sections when scrolled into view
+  // Reveal sections and milestones once a fifth of them has scrolled into
+  // view
   function initScrollAnimations() {
-    const observer = new IntersectionObserver((entries) => {
-      entries.forEach((entry) => {
-        if (entry.isIntersecting) {
-          entry.target.classList.add('visible');
-        }
+    if (!GBonk.timeline) return;
+    // Rendered content (roadmap milestones) brings its own [data-animate]
+    // elements, so whatever has not been revealed yet is registered again
+    // after every render.
+    let stop = null;
+    const observe = () => {
+      if (stop) stop();
+      stop = GBonk.timeline.onSection('[data-animate]:not(.visible)', {
+        threshold: 0.2,
+        enter: (el) => el.classList.add('visible'),
       });
-    }, { threshold: 0.2 });
-    document.querySelectorAll('[data-animate]').forEach((el) => {
-      observer.observe(el);
-    });
+    };
+    observe();
+    if (GBonk.content) GBonk.content.subscribe(observe);
   }
 
   // Toggle mobile menu
@@ -348,419 +476,161 @@
     }
   }
 
-  // Draw the tokenomics donut chart using Chart.js
+  // Draw the tokenomics donut chart and token list.  Both are rendered by
+  // the tokenomics data layer (js/tokenomics.js) from a single source:
+  // live on‑chain balances, or the bundled snapshot when the RPC is down.
+  // The chart falls back to SVG when Chart.js cannot be loaded.
   function initChart() {
-    const chartEl = document.getElementById('tokenChart');
-    if (!chartEl) return;
-    const ctx = chartEl.getContext('2d');
-    new Chart(ctx, {
-      type: 'doughnut',
-      data: {
-        labels: ['Circulating', 'Treasury & Liquidity', 'Team & Dev', 'Burned'],
-        datasets: [
-          {
-            data: [47, 23, 17, 13],
-            backgroundColor: ['#00c2cb', '#ff3860', '#9b59b6', '#ffd700'],
-            borderWidth: 0,
-          },
-        ],
-      },
-      options: {
-        responsive: true,
-        maintainAspectRatio: false,
-        cutout: '55%',
-        plugins: {
-          legend: { display: false },
-        },
-      },
-    });
+    if (!document.getElementById('tokenChart') || !GBonk.tokenomics) return;
+    return GBonk.tokenomics.init();
   }
 
-  // Populate sample tweets in the community section
-  function populateTweets() {
-    const tweets = [
-      { text: 'Just bonked my way through the cosmos 🚀 #GBONK #Solana', time: '2h' },
-      { text: 'When your bags hit the moon and you’re still holding 💎🙌', time: '8h' },
-      { text: 'The only rug we know is the one our dog sleeps on 🐶🧡 #RugProof', time: '1d' },
-      { text: 'Staking? More like snacking on gains 🍪 $GBONK', time: '2d' },
-      { text: 'Universal domination is one bonk away 🌌 #RoadToMars', time: '3d' },
-      { text: 'Warning: Exposure to $GBONK may cause uncontrollable laughter 😂', time: '4d' },
-    ];
-    const feed = document.getElementById('tweet-feed');
-    if (!feed) return;
-    tweets.forEach(({ text, time }) => {
-      const li = document.createElement('li');
-      li.innerHTML = `<strong>@GalacticBonk</strong> • <span>${time}</span><br>${text}`;
-      feed.appendChild(li);
-    });
+  // Run one initialiser.  Whatever goes wrong in it (a library that did
+  // not load, a widget missing from the page) is logged, and never stops
+  // the initialisers after it.
+  function safely(init) {
+    try {
+      const result = init();
+      if (result && typeof result.catch === 'function') result.catch((err) => console.error(err));
+    } catch (err) {
+      console.error(err);
+    }
   }
 
-  // Copy contract address to clipboard
-  function initCopyAddress() {
-    const copyBtn = document.getElementById('copy-address');
-    const addressEl = document.getElementById('contract-address');
-    const statusEl = document.getElementById('copy-status');
-    if (!copyBtn || !addressEl || !statusEl) return;
-    copyBtn.addEventListener('click', () => {
-      const text = addressEl.textContent.trim();
-      navigator.clipboard.writeText(text).then(() => {
-        statusEl.textContent = 'Copied!';
-        setTimeout(() => { statusEl.textContent = ''; }, 2000);
-      }).catch(() => {
-        statusEl.textContent = 'Failed to copy';
-        setTimeout(() => { statusEl.textContent = ''; }, 2000);
-      });
-    });
+  // Initialise the feature module GBonk[name], if it is loaded.
+  function initModule(name) {
+    if (GBonk[name]) safely(() => GBonk[name].init());
   }
 
-  // Wallet connect logic (supports Phantom or compatible Solana wallet)
+  // Wallet connect: the header button and picker are driven by the
+  // wallet module (js/wallet.js), which supports several injected
+  // providers.  The last used wallet is reconnected silently.
   function initWalletConnect() {
-    const connectBtn = document.getElementById('connect-wallet');
-    const status = document.getElementById('wallet-address');
-    if (!connectBtn || !status) return;
-    connectBtn.addEventListener('click', async () => {
-      if (typeof window.solana === 'undefined') {
-        alert('No Solana wallet detected. Please install Phantom or another compatible wallet.');
-        return;
-      }
-      connectBtn.disabled = true;
-      connectBtn.textContent = 'Connecting…';
-      try {
-        const resp = await window.solana.connect();
-        status.textContent = `Connected: ${resp.publicKey.toString()}`;
-        connectBtn.textContent = 'Connected';
-      } catch (err) {
-        console.error(err);
-        alert('Failed to connect to wallet.');
-        connectBtn.textContent = 'Connect Wallet';
-      } finally {
-        connectBtn.disabled = false;
-      }
+    if (!GBonk.wallet) return;
+    GBonk.wallet.initUI();
+    GBonk.wallet.restore();
+  }
+
+  // Everything that renders text, once the message bundles for the page
+  // language are loaded (js/i18n.js).
+  function initContent() {
+    safely(initChart);
+    initModule('ticker');
+    initModule('feed');
+    // Contract address, copy button, QR code and lookalike checker.
+    initModule('contract');
+    // The black hole listens for burns before the first reading.
+    initModule('blackhole');
+    initModule('burn');
+    // Modules that react to the wallet subscribe before it reconnects.
+    initModule('dashboard');
+    initModule('swap');
+    initModule('staking');
+    initModule('governance');
+    initModule('airdrop');
+    initModule('game');
+    initModule('memes');
+    initModule('whitepaper');
+    initModule('vesting');
+    // Service worker, update prompt and offline notices (js/pwa.js).
+    initModule('pwa');
+    safely(initWalletConnect);
+    // Roadmap, steps, portal cards and FAQ entries are rendered from
+    // data/content.json; attach to them once they are in the page.
+    const contentReady = GBonk.content ? GBonk.content.init().catch((err) => console.error(err)) : Promise.resolve();
+    contentReady.then(() => {
+      safely(initScrollAnimations);
+      // Accordion, search, #faq-<id> deep links and JSON-LD (js/faq.js).
+      initModule('faq');
+      // Milestone statuses, progress line and countdown (js/roadmap.js).
+      initModule('roadmap');
     });
   }
 
   document.addEventListener('DOMContentLoaded', () => {
-    initUniverse();
-    initScrollAnimations();
-    initMenuToggle();
-    initChart();
-    populateTweets();
-    initCopyAddress();
-    // initWalletConnect(); // Disabled since wallet connect button removed
-    initFAQ();
-    initRocketScroll();
-    initProgressBar();
-    initDogScroll();
-    initDog3D();
+    // The motion policy is settled first so every animation starts in the
+    // right state.
+    initModule('motion');
+    initModule('quality');
+    initModule('timeline');
+    safely(initUniverse);
+    safely(initMenuToggle);
+    // The page text still renders (untranslated) if the bundles fail.
+    const i18nReady = GBonk.i18n ? GBonk.i18n.init().catch((err) => console.error(err)) : Promise.resolve();
+    i18nReady.then(initContent);
+    safely(initRocketScroll);
+    safely(initProgressBar);
+    safely(initDogScroll);
+    safely(initDog3D);
   });
 
   // Animate the hero rocket based on scroll position rather than a fixed
   // CSS animation.  As the user scrolls past the hero section the rocket
   // moves diagonally upward and rotates slightly, reinforcing the sense
-  // of lifting off.  This function disables the default CSS animation on
-  // the hero rocket and updates its transform on each scroll event.
+  // of lifting off.  Progress runs from the top of the hero reaching the
+  // top of the viewport (0) to its bottom doing so (1).  The flight path
+  // is curved: a gentle side‑to‑side wave on the way up, and a slight
+  // banking wobble in the rotation.  With reduced motion the rocket
+  // simply stays on the launch pad.
   function initRocketScroll() {
-    const rockets = document.querySelectorAll('.rocket-container');
-    if (!rockets.length) return;
-    const heroRocket = rockets[0];
+    const heroRocket = document.querySelector('.rocket-container');
+    if (!heroRocket || !GBonk.timeline) return;
     // Stop the CSS animation if it exists
     heroRocket.style.animation = 'none';
-    window.addEventListener('scroll', () => {
-      const heroSection = document.getElementById('hero');
-      if (!heroSection) return;
-      const rect = heroSection.getBoundingClientRect();
-      // Calculate how far the hero section has scrolled out of view.  When
-      // the top of the hero is at the top of the viewport, progress is 0.
-      // When the bottom of the hero hits the top of the viewport, progress
-      // reaches 1.
-      const progress = Math.min(Math.max(1 - rect.bottom / rect.height, 0), 1);
-      // Define a curved flight path.  The rocket moves upward while
-      // oscillating horizontally along a gentle sine wave.  This adds
-      // dynamism compared to a straight line.  Rotation also varies
-      // slightly with a sine wave to suggest banking as it flies.
-      const baseX = 600 * progress;
-      const wave = Math.sin(progress * Math.PI) * 200; // side‑to‑side motion
-      const translateX = baseX + wave;
-      const translateY = -800 * progress + Math.sin(progress * Math.PI) * -120;
-      const rotate = -20 * progress + Math.sin(progress * Math.PI * 2) * 8;
-      heroRocket.style.transform = `translate(${translateX}px, ${translateY}px) rotate(${rotate}deg)`;
+    GBonk.timeline.track({
+      element: heroRocket,
+      range: { section: '#hero' },
+      keyframes: [
+        { at: 0, x: 0, y: 0, rotate: 0 },
+        { at: 1, x: 600, y: -800, rotate: -20 },
+      ],
+      waves: {
+        x: { amplitude: 200, cycles: 0.5 },
+        y: { amplitude: -120, cycles: 0.5 },
+        rotate: { amplitude: 8, cycles: 1 },
+      },
     });
   }
 
-  // Animate the G‑Bonk dog as the user scrolls.  The dog starts
-  // off‑screen to the left and moves horizontally across the viewport
-  // over the course of the page scroll.  A gentle vertical bobbing
-  // motion and a 3D yaw rotation add life to the mascot.  The dog’s
-  // journey is independent of the rocket and uses overall page scroll
-  // percentage to compute its position.
+  // Animate the G‑Bonk dog as the user scrolls.  The DOM fallback dog
+  // follows the same journey as the one drawn on the canvas.
   function initDogScroll() {
     const dog = document.querySelector('.dog-container');
-    if (!dog) return;
-    const updateDog = () => {
-      const doc = document.documentElement;
-      const scrollTop = window.pageYOffset || doc.scrollTop;
-      const scrollHeight = doc.scrollHeight - doc.clientHeight;
-      const percent = scrollHeight > 0 ? (scrollTop / scrollHeight) : 0;
-      // Horizontal travel: move from off‑screen left to off‑screen right.
-      // The dog traverses the entire viewport plus an extra margin so it
-      // appears to enter and exit the scene smoothly.
-      const viewportWidth = window.innerWidth;
-      const totalDistance = viewportWidth + 300; // 150px off‑screen on each side
-      const translateX = percent * totalDistance - 150;
-      // Vertical bobbing: oscillate up and down to suggest floating.
-      const bob = Math.sin(percent * Math.PI * 4) * 50;
-      const translateY = bob;
-      // 3D yaw rotation: tilt left and right as it moves.  A faster
-      // frequency adds playful energy to the animation.
-      const rotateY = Math.sin(percent * Math.PI * 8) * 25; // degrees
-      // 3D pitch rotation: nod the dog up and down to further
-      // emphasise its three‑dimensionality.
-      const rotateX = Math.sin(percent * Math.PI * 6) * 10; // degrees
-      // Scale the dog slightly along its journey.  At the middle of the
-      // scroll it grows larger, creating a sense of depth as if the
-      // mascot is coming closer to the viewer, then recedes again.
-      const scale = 0.8 + 0.4 * Math.sin(percent * Math.PI);
-      dog.style.transform =
-        `translate(${translateX}px, calc(-50% + ${translateY}px)) ` +
-        `rotateY(${rotateY}deg) rotateX(${rotateX}deg) ` +
-        `scale(${scale})`;
-    };
-    updateDog();
-    window.addEventListener('scroll', updateDog);
-    window.addEventListener('resize', updateDog);
+    if (!dog || !GBonk.timeline) return;
+    // The container is centred vertically with translateY(-50%).
+    GBonk.timeline.track({ ...DOG_JOURNEY, element: dog, base: 'translateY(-50%)' });
   }
 
   // Update the scroll progress indicator based on page scroll position.  The
   // height of the progress bar reflects the percentage of the document
   // that has been scrolled.  Because the progress bar is purely
-  // decorative, it does not interfere with keyboard navigation.
+  // decorative, it does not interfere with keyboard navigation.  It is
+  // not motion either, so it keeps tracking when motion is reduced.
   function initProgressBar() {
     const progress = document.querySelector('.progress-bar');
-    if (!progress) return;
-    const update = () => {
-      const doc = document.documentElement;
-      const scrollTop = window.pageYOffset || doc.scrollTop;
-      const scrollHeight = doc.scrollHeight - doc.clientHeight;
-      const percent = scrollHeight > 0 ? (scrollTop / scrollHeight) : 0;
-      progress.style.height = `${percent * 100}%`;
-    };
-    update();
-    window.addEventListener('scroll', update);
-    window.addEventListener('resize', update);
+    if (!progress || !GBonk.timeline) return;
+    GBonk.timeline.track({
+      decorative: false,
+      onUpdate: (values, percent) => {
+        progress.style.height = `${percent * 100}%`;
+      },
+    });
   }
 
-  // Initialise a 3D rendering of the G‑Bonk mascot using Three.js.
-  // This function constructs a simple low‑poly dog composed of
-  // spheres, cylinders and cones to approximate the character’s
-  // silhouette.  A transparent helmet surrounds the head to evoke
-  // an astronaut suit.  The model is lit with ambient and directional
-  // lights to give depth and shading.  On each animation frame the
-  // dog’s position, rotation and tail wag are updated based on scroll
-  // progress and time, then the scene is rendered.  If Three.js is
-  // unavailable or the container element is missing, the function exits.
+  // Show the 3D G‑Bonk mascot (js/mascot.js) whenever the quality tier
+  // allows a second WebGL render loop and motion is not reduced.  It is
+  // torn down again, releasing its GPU memory, as soon as either stops
+  // being true; until it is ready the flat dog on the universe canvas
+  // stands in.
   function initDog3D() {
     const container = document.getElementById('dog3d-container');
-    // Ensure Three.js is loaded and a container exists
-    if (!container || typeof THREE === 'undefined') return;
-    // Create the renderer
-    const renderer = new THREE.WebGLRenderer({ alpha: true, antialias: true });
-    renderer.setPixelRatio(window.devicePixelRatio || 1);
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.domElement.style.pointerEvents = 'none';
-    container.appendChild(renderer.domElement);
-    // Create the scene
-    const scene = new THREE.Scene();
-    // Camera with perspective projection; positioned back to view the dog
-    const camera = new THREE.PerspectiveCamera(40, window.innerWidth / window.innerHeight, 0.1, 1000);
-    camera.position.set(0, 2, 12);
-    // Lighting: ambient provides base illumination; directional light simulates a sun
-    const ambient = new THREE.AmbientLight(0xffffff, 0.8);
-    scene.add(ambient);
-    const directional = new THREE.DirectionalLight(0xffffff, 0.7);
-    directional.position.set(5, 10, 7);
-    scene.add(directional);
-    // Group to hold all dog parts for easy transformation
-    // Declare limb variables here so they are accessible within the
-    // animation loop.  They will be assigned later when the meshes
-    // are created.
-    let leftArm, rightArm, leftLeg, rightLeg, tailPivot;
-    const dog = new THREE.Group();
-    scene.add(dog);
-    // Body – blue sphere scaled into an ellipsoid for the spacesuit
-    const bodyGeom = new THREE.SphereGeometry(1, 32, 32);
-    const bodyMat = new THREE.MeshPhongMaterial({ color: 0x0066aa });
-    const body = new THREE.Mesh(bodyGeom, bodyMat);
-    body.scale.set(0.9, 1.2, 0.9);
-    body.position.set(0, 0, 0);
-    dog.add(body);
-    // Head – orange sphere for fur
-    const headGeom = new THREE.SphereGeometry(0.7, 32, 32);
-    const headMat = new THREE.MeshPhongMaterial({ color: 0xf5a623 });
-    const head = new THREE.Mesh(headGeom, headMat);
-    head.position.set(0, 1.5, 0);
-    dog.add(head);
-    // Muzzle – lighter sphere
-    const muzzleGeom = new THREE.SphereGeometry(0.35, 32, 32);
-    const muzzleMat = new THREE.MeshPhongMaterial({ color: 0xffd9b3 });
-    const muzzle = new THREE.Mesh(muzzleGeom, muzzleMat);
-    muzzle.position.set(0, 1.3, 0.45);
-    dog.add(muzzle);
-    // Nose – small black sphere
-    const noseGeom = new THREE.SphereGeometry(0.1, 16, 16);
-    const noseMat = new THREE.MeshPhongMaterial({ color: 0x000000 });
-    const nose = new THREE.Mesh(noseGeom, noseMat);
-    nose.position.set(0, 1.33, 0.63);
-    dog.add(nose);
-    // Construct expressive eyes with eyeballs, pupils and highlights.
-    const eyeBallGeom = new THREE.SphereGeometry(0.15, 16, 16);
-    const eyeBallMat = new THREE.MeshPhongMaterial({ color: 0xffffff });
-    const pupilGeom = new THREE.SphereGeometry(0.07, 16, 16);
-    const pupilMat = new THREE.MeshPhongMaterial({ color: 0x000000 });
-    const glintGeom = new THREE.SphereGeometry(0.03, 16, 16);
-    const glintMat = new THREE.MeshPhongMaterial({ color: 0xffffff });
-    function createEye(x, y, z) {
-      const eyeGroup = new THREE.Group();
-      const eyeball = new THREE.Mesh(eyeBallGeom, eyeBallMat);
-      eyeGroup.add(eyeball);
-      const pupil = new THREE.Mesh(pupilGeom, pupilMat);
-      pupil.position.set(0, 0, 0.1);
-      eyeGroup.add(pupil);
-      const glint = new THREE.Mesh(glintGeom, glintMat);
-      glint.position.set(0.04, 0.04, 0.14);
-      eyeGroup.add(glint);
-      eyeGroup.position.set(x, y, z);
-      return eyeGroup;
+    if (!container || !GBonk.mascot || !GBonk.quality) return;
+    function apply() {
+      if (GBonk.quality.settings().dog3d && !motionReduced()) GBonk.mascot.start(container, DOG_JOURNEY);
+      else GBonk.mascot.stop();
     }
-    dog.add(createEye(-0.22, 1.5, 0.52));
-    dog.add(createEye(0.22, 1.5, 0.52));
-    // Add cheeks with a soft pink tone.
-    const cheekGeom = new THREE.SphereGeometry(0.14, 16, 16);
-    const cheekMat = new THREE.MeshPhongMaterial({ color: 0xffc09e });
-    const leftCheek = new THREE.Mesh(cheekGeom, cheekMat);
-    leftCheek.position.set(-0.35, 1.28, 0.55);
-    const rightCheek = leftCheek.clone();
-    rightCheek.position.set(0.35, 1.28, 0.55);
-    dog.add(leftCheek);
-    dog.add(rightCheek);
-    // Add a rocket badge on the chest
-    const badgeGroup = new THREE.Group();
-    const badgeBaseGeom = new THREE.CylinderGeometry(0.16, 0.16, 0.02, 32);
-    const badgeBaseMat = new THREE.MeshPhongMaterial({ color: 0x004a7f });
-    const badgeBase = new THREE.Mesh(badgeBaseGeom, badgeBaseMat);
-    badgeBase.rotation.x = Math.PI / 2;
-    badgeGroup.add(badgeBase);
-    const rocketBodyGeom = new THREE.CylinderGeometry(0.035, 0.035, 0.14, 16);
-    const rocketMat = new THREE.MeshPhongMaterial({ color: 0xffd700 });
-    const rocketBody = new THREE.Mesh(rocketBodyGeom, rocketMat);
-    rocketBody.rotation.x = Math.PI / 2;
-    rocketBody.position.set(0, 0, 0.09);
-    badgeGroup.add(rocketBody);
-    const rocketConeGeom = new THREE.ConeGeometry(0.045, 0.08, 16);
-    const rocketCone = new THREE.Mesh(rocketConeGeom, rocketMat);
-    rocketCone.rotation.x = Math.PI / 2;
-    rocketCone.position.set(0, 0, 0.15);
-    badgeGroup.add(rocketCone);
-    badgeGroup.position.set(0, 0.3, 0.7);
-    dog.add(badgeGroup);
-    // Ears – two orange cones
-    const earGeom = new THREE.ConeGeometry(0.2, 0.6, 16);
-    const earMat = new THREE.MeshPhongMaterial({ color: 0xf5a623 });
-    const leftEar = new THREE.Mesh(earGeom, earMat);
-    leftEar.position.set(-0.35, 2.05, 0);
-    leftEar.rotation.set(Math.PI / 2.8, 0, Math.PI / 9);
-    const rightEar = leftEar.clone();
-    rightEar.position.set(0.35, 2.05, 0);
-    rightEar.rotation.z = -Math.PI / 9;
-    dog.add(leftEar);
-    dog.add(rightEar);
-    // Arms – cylinders sticking out of the body.  Assign to outer
-    // variables so they can be animated later.  Start with a
-    // horizontal orientation (rotation around Z) and position at
-    // shoulder level.
-    const armGeom = new THREE.CylinderGeometry(0.12, 0.12, 0.6, 16);
-    const armMat = new THREE.MeshPhongMaterial({ color: 0x0066aa });
-    leftArm = new THREE.Mesh(armGeom, armMat);
-    leftArm.position.set(-0.8, 0.3, 0);
-    leftArm.rotation.z = Math.PI / 2;
-    rightArm = leftArm.clone();
-    rightArm.position.set(0.8, 0.3, 0);
-    dog.add(leftArm);
-    dog.add(rightArm);
-    // Legs – cylinders under the body.  Assign to outer variables so
-    // they can be animated.  Legs are oriented vertically by default.
-    const legGeom = new THREE.CylinderGeometry(0.15, 0.15, 0.7, 16);
-    const legMat = new THREE.MeshPhongMaterial({ color: 0x0066aa });
-    leftLeg = new THREE.Mesh(legGeom, legMat);
-    leftLeg.position.set(-0.4, -0.8, 0);
-    rightLeg = leftLeg.clone();
-    rightLeg.position.set(0.4, -0.8, 0);
-    dog.add(leftLeg);
-    dog.add(rightLeg);
-    // Tail – cylinder pivoting at the base.  Assign pivot to the
-    // outer scope variable so it can be animated.  The tail mesh
-    // itself remains local.
-    const tailGeom = new THREE.CylinderGeometry(0.05, 0.05, 0.8, 12);
-    const tailMat = new THREE.MeshPhongMaterial({ color: 0xf5a623 });
-    const tail = new THREE.Mesh(tailGeom, tailMat);
-    tailPivot = new THREE.Object3D();
-    tailPivot.position.set(0, -0.2, -0.8);
-    tail.position.set(0, 0.4, 0);
-    tail.rotation.x = Math.PI / 2;
-    tailPivot.add(tail);
-    dog.add(tailPivot);
-    // Helmet – transparent sphere encasing the head
-    const helmetGeom = new THREE.SphereGeometry(0.9, 32, 32);
-    const helmetMat = new THREE.MeshPhongMaterial({ color: 0xffffff, transparent: true, opacity: 0.1, side: THREE.DoubleSide });
-    const helmet = new THREE.Mesh(helmetGeom, helmetMat);
-    helmet.position.set(0, 1.5, 0);
-    dog.add(helmet);
-    // Animation loop
-    // The dog now moves independently across the canvas.  It bounces within
-    // a defined region and animates its limbs to simulate walking.  A
-    // clock provides delta‑time for smooth motion.  The dog rotates to
-    // face its direction of travel and wags its tail.
-    const clock = new THREE.Clock();
-    const wanderArea = { x: 20, y: 10 };
-    const dogVelocity = new THREE.Vector3(
-      (Math.random() * 2 - 1) * 4,
-      (Math.random() * 2 - 1) * 2,
-      0
-    );
-    function animate() {
-      requestAnimationFrame(animate);
-      const delta = clock.getDelta();
-      // Update position
-      dog.position.x += dogVelocity.x * delta;
-      dog.position.y += dogVelocity.y * delta;
-      // Reflect at boundaries
-      if (dog.position.x > wanderArea.x) { dog.position.x = wanderArea.x; dogVelocity.x *= -1; }
-      if (dog.position.x < -wanderArea.x) { dog.position.x = -wanderArea.x; dogVelocity.x *= -1; }
-      if (dog.position.y > wanderArea.y) { dog.position.y = wanderArea.y; dogVelocity.y *= -1; }
-      if (dog.position.y < -wanderArea.y) { dog.position.y = -wanderArea.y; dogVelocity.y *= -1; }
-      // Orientation: face direction of travel plus a small wobble
-      const directionAngle = Math.atan2(dogVelocity.x, dogVelocity.y);
-      const wobble = Math.sin(clock.elapsedTime * 4) * 0.1;
-      dog.rotation.y = directionAngle + wobble;
-      // Limb animation for walking
-      const walkCycle = clock.elapsedTime * 6;
-      const walkAngle = Math.sin(walkCycle) * 0.6;
-      leftArm.rotation.z = Math.PI / 2 + walkAngle;
-      rightArm.rotation.z = Math.PI / 2 - walkAngle;
-      leftLeg.rotation.z = -walkAngle;
-      rightLeg.rotation.z = walkAngle;
-      // Wag tail
-      tailPivot.rotation.z = Math.sin(clock.elapsedTime * 6) * 0.6;
-      renderer.render(scene, camera);
-    }
-    animate();
-    // Resize handler keeps aspect ratio correct
-    function onResize() {
-      const width = window.innerWidth;
-      const height = window.innerHeight;
-      renderer.setSize(width, height);
-      camera.aspect = width / height;
-      camera.updateProjectionMatrix();
-    }
-    window.addEventListener('resize', onResize);
+    GBonk.quality.subscribe(apply);
+    onMotionChange(apply);
+    apply();
   }
 })();
\ No newline at end of file
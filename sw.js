@@ -0,0 +1,228 @@
+// sw.js – Service worker: the site offline, and heavy assets downloaded once
+
+// Without it every visit downloaded the mascot sprites (~3 MB), Chart.js
+// and Three.js again, and the site did not open at all offline.  Requests
+// are answered in one of four ways:
+//
+//   - The app shell (pages, styles, scripts, message bundles, icons, the
+//     mascot sprites and the self‑hosted Chart.js and Three.js) is
+//     precached when the worker installs and served from the cache.  It
+//     belongs to one VERSION of the site, so a deploy reaches a visitor as
+//     a whole: js/pwa.js offers to reload once the next version's worker
+//     has installed, and only then does it take over.
+//   - Data files and the whitepaper (data/, whitepaper/) are stale while
+//     revalidate: the cached copy answers at once and the network
+//     refreshes it for next time.  The ones the pages need to render are
+//     cached at install too (DATA).
+//   - Other same‑origin files (images, video) are added to the shell the
+//     first time they load, and dropped with it on the next deploy.  The
+//     pinned CDN libraries and web fonts are cached the same way, but
+//     kept across versions since their URLs never change content.
+//   - Everything else, the live market, RPC, swap and feed APIs among it,
+//     goes to the network untouched; the pages say when they are offline.
+//
+// Bump VERSION with every deploy, and keep SHELL in step with the files
+// the pages load.
+const VERSION = '2026-10-19';
+const SHELL_CACHE = `gbonk-shell-${VERSION}`;
+const DATA_CACHE = 'gbonk-data';
+const ASSET_CACHE = 'gbonk-assets';
+
+const SHELL = [
+  './',
+  'index.html',
+  'whitepaper.html',
+  'styles.css',
+  'main.js',
+  'manifest.webmanifest',
+  'js/core.js',
+  'js/vendor.js',
+  'js/motion.js',
+  'js/quality.js',
+  'js/timeline.js',
+  'js/mascot.js',
+  'js/i18n.js',
+  'js/rpc.js',
+  'js/tokenomics.js',
+  'js/vesting.js',
+  'js/toast.js',
+  'js/burn.js',
+  'js/blackhole.js',
+  'js/wallet.js',
+  'js/market.js',
+  'js/ticker.js',
+  'js/dashboard.js',
+  'js/swap.js',
+  'js/staking.js',
+  'js/governance.js',
+  'js/airdrop.js',
+  'js/feed.js',
+  'js/game.js',
+  'js/memes.js',
+  'js/qr.js',
+  'js/contract.js',
+  'js/content.js',
+  'js/faq.js',
+  'js/roadmap.js',
+  'js/whitepaper.js',
+  'js/pwa.js',
+  'locales/en/site.json',
+  'locales/en/whitepaper.json',
+  'locales/es/site.json',
+  'locales/es/whitepaper.json',
+  'locales/pt/site.json',
+  'locales/pt/whitepaper.json',
+  'locales/ar/site.json',
+  'locales/ar/whitepaper.json',
+  'assets/icon.png',
+  'assets/icon-192.png',
+  'dog3d.png',
+  'dog3d_fade.png',
+  'assets/mascot.glb',
+  'vendor/chart.js/chart.umd.min.js',
+  'vendor/three/three.module.js',
+  'vendor/three/addons/loaders/GLTFLoader.js',
+  'vendor/three/addons/utils/BufferGeometryUtils.js',
+];
+
+// Data files and whitepaper sources cached when the worker installs.  The
+// first page fetched them before the worker was running, so without this
+// the first offline launch would show no roadmap, FAQ or portals and a
+// blank whitepaper.  Each version in whitepaper/versions.json is added in
+// every language of LOCALES (a missing translation is skipped, as the
+// page falls back to English).  Keep DATA in step with the default
+// GBonk.config URLs.
+const DATA = [
+  'data/content.json',
+  'data/content.es.json',
+  'data/content.pt.json',
+  'data/content.ar.json',
+  'data/contract.json',
+  'data/tokenomics-snapshot.json',
+  'data/feed-fallback.json',
+  'data/vesting.json',
+  'data/governance.json',
+  'data/airdrops.json',
+  'whitepaper/versions.json',
+];
+const LOCALES = ['en', 'es', 'pt', 'ar'];
+
+// The CDN copies of Chart.js and Three.js the pages try first (see
+// GBonk.config.vendor and index.html's import map).  Precached too when
+// the CDN can be reached, but a failure here does not stop the install:
+// offline, js/vendor.js falls back to the self‑hosted copies above.
+const CDN_LIBRARIES = [
+  'https://cdn.jsdelivr.net/npm/chart.js@4.5.1/dist/chart.umd.min.js',
+  'https://cdn.jsdelivr.net/npm/three@0.150.1/build/three.module.js',
+  'https://cdn.jsdelivr.net/npm/three@0.150.1/examples/jsm/loaders/GLTFLoader.js',
+  'https://cdn.jsdelivr.net/npm/three@0.150.1/examples/jsm/utils/BufferGeometryUtils.js',
+];
+
+// Cross‑origin hosts whose responses never change for a given URL.
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// Paths under the worker's directory served stale while revalidate.
+const REVALIDATED = ['data/', 'whitepaper/'];
+
+const BASE = new URL('./', self.location).pathname;
+
+async function warmData() {
+  const cache = await caches.open(DATA_CACHE);
+  await cache.addAll(DATA.map((path) => new Request(path, { cache: 'reload' })));
+  const manifest = await (await cache.match('whitepaper/versions.json')).json();
+  const sources = manifest.versions.flatMap(({ version }) => LOCALES.map((locale) => (
+    `whitepaper/${version}${locale === 'en' ? '' : `.${locale}`}.md`
+  )));
+  await Promise.allSettled(sources.map((path) => cache.add(new Request(path, { cache: 'reload' }))));
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    // Past the HTTP cache, so a deploy never precaches the previous one.
+    await shell.addAll(SHELL.map((path) => new Request(path, { cache: 'reload' })));
+    await warmData();
+    const assets = await caches.open(ASSET_CACHE);
+    await Promise.allSettled(CDN_LIBRARIES.map(async (url) => {
+      if (!(await assets.match(url))) await assets.add(url);
+    }));
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter((name) => name.startsWith('gbonk-shell-') && name !== SHELL_CACHE)
+      .map((name) => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// js/pwa.js posts this once the visitor accepts the update.
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'skip-waiting') self.skipWaiting();
+});
+
+function cacheable(response) {
+  return response && response.ok && response.type !== 'opaque';
+}
+
+async function cacheFirst(request, cacheName) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (cacheable(response)) {
+    const copy = response.clone();
+    caches.open(cacheName).then((cache) => cache.put(request, copy));
+  }
+  return response;
+}
+
+async function staleWhileRevalidate(event) {
+  const { request } = event;
+  const cache = await caches.open(DATA_CACHE);
+  const cached = await cache.match(request);
+  const network = fetch(request).then((response) => {
+    if (cacheable(response)) return cache.put(request, response.clone()).then(() => response);
+    return response;
+  });
+  if (cached) {
+    // Refresh in the background; a failure just leaves the cached copy.
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network;
+}
+
+// Pages come from the shell, so they always match its scripts.  A page
+// not in the shell is fetched, with the home page as the offline answer.
+async function navigate(request) {
+  const cached = await caches.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+  try {
+    return await fetch(request);
+  } catch (err) {
+    const home = await caches.match('./');
+    if (home) return home;
+    throw err;
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  // Range requests (video seeking) cannot be answered from a whole cached
+  // response.
+  if (request.method !== 'GET' || request.headers.has('range')) return;
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    if (!url.pathname.startsWith(BASE)) return;
+    const path = url.pathname.slice(BASE.length);
+    if (request.mode === 'navigate') event.respondWith(navigate(request));
+    else if (REVALIDATED.some((prefix) => path.startsWith(prefix))) event.respondWith(staleWhileRevalidate(event));
+    else if (path.startsWith('api/')) return;
+    else event.respondWith(cacheFirst(request, SHELL_CACHE));
+  } else if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request, ASSET_CACHE));
+  }
+});
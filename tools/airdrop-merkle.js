@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+// airdrop-merkle.js – Build an airdrop campaign file (Merkle root and proofs) from a CSV
+
+// Each airdrop is published as one JSON file (data/airdrop-campaign.schema.json)
+// holding the Merkle root of its allocations and, per address, the amount
+// and the proof that it is in the tree.  The site checks a visitor's proof
+// against the root (js/airdrop.js) and the claim program checks it again
+// on chain, so the file can be served from anywhere.  This script turns
+// the team's allocation spreadsheet, exported as CSV, into that file:
+//
+//   node tools/airdrop-merkle.js build allocations.csv --id summer-2025 \
+//     --name "Summer drop" [--description "…"] [--claim-start 2025-09-01] \
+//     [--claim-end 2025-12-01] [--mint <address>] [--decimals 6] \
+//     [--out data/airdrops/summer-2025.json]
+//
+//   node tools/airdrop-merkle.js verify data/airdrops/summer-2025.json
+//
+// The CSV has an `address,amount` header and one allocation per line, the
+// amount in whole tokens (up to `decimals` fractional digits); blank lines
+// and lines starting with '#' are skipped.  `verify` rebuilds the tree from
+// a published file and checks every proof against its root.  The mint and
+// decimals default to data/contract.json.  No dependencies beyond Node.
+//
+// The tree must hash exactly as js/airdrop.js and the claim program do:
+//
+//   leaf = sha256(0x00 | u64 index | 32‑byte address | u64 amount)
+//   node = sha256(0x01 | lesser child | greater child)
+//
+// Integers are little endian and the amount is in base units.  Children
+// are sorted byte‑wise before hashing, so a proof is just the list of
+// sibling hashes, and a node without a sibling moves up a level as it is.
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const BASE58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const U64_MAX = (1n << 64n) - 1n;
+
+// Bytes of a base58 string, or null if it is not valid base58.
+function decodeBase58(text) {
+  if (typeof text !== 'string' || !text) return null;
+  const bytes = [];
+  for (const char of text) {
+    let carry = BASE58.indexOf(char);
+    if (carry < 0) return null;
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+  for (let i = 0; i < text.length && text[i] === '1'; i++) bytes.push(0);
+  return Buffer.from(bytes.reverse());
+}
+
+function sha256(...parts) {
+  const hash = crypto.createHash('sha256');
+  parts.forEach((part) => hash.update(part));
+  return hash.digest();
+}
+
+function u64(value) {
+  const bytes = Buffer.alloc(8);
+  bytes.writeBigUInt64LE(BigInt(value));
+  return bytes;
+}
+
+function leafHash(index, address, amount) {
+  return sha256(Buffer.of(0), u64(index), decodeBase58(address), u64(amount));
+}
+
+function nodeHash(a, b) {
+  return Buffer.compare(a, b) <= 0 ? sha256(Buffer.of(1), a, b) : sha256(Buffer.of(1), b, a);
+}
+
+// Root and per‑leaf proofs of `leaves` (hashes, in index order).
+function buildTree(leaves) {
+  const proofs = leaves.map(() => []);
+  // Which leaves sit under each node of the current level.
+  let level = leaves.map((hash, i) => ({ hash, members: [i] }));
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      const left = level[i];
+      const right = level[i + 1];
+      if (!right) {
+        next.push(left);
+        continue;
+      }
+      left.members.forEach((m) => proofs[m].push(right.hash));
+      right.members.forEach((m) => proofs[m].push(left.hash));
+      next.push({ hash: nodeHash(left.hash, right.hash), members: left.members.concat(right.members) });
+    }
+    level = next;
+  }
+  return { root: level[0].hash, proofs };
+}
+
+function verifyProof(leaf, proof, root) {
+  const hash = proof.reduce((acc, sibling) => nodeHash(acc, Buffer.from(sibling, 'hex')), leaf);
+  return hash.equals(Buffer.from(root, 'hex'));
+}
+
+// "12.5" whole tokens → 12500000n base units at 6 decimals.
+function toBaseUnits(text, decimals) {
+  const match = /^(\d+)(?:\.(\d+))?$/.exec(text);
+  if (!match) throw new Error(`"${text}" is not a positive decimal amount`);
+  const fraction = match[2] || '';
+  if (fraction.length > decimals) throw new Error(`"${text}" has more than ${decimals} decimal places`);
+  return BigInt(match[1] + fraction.padEnd(decimals, '0'));
+}
+
+// [{ address, amount (base units), line }] from the CSV text.
+function parseCsv(text, decimals) {
+  const rows = [];
+  const seen = new Map();
+  const errors = [];
+  let header = null;
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const line = i + 1;
+    const trimmed = raw.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+    const cells = trimmed.split(',').map((cell) => cell.trim().replace(/^"(.*)"$/, '$1'));
+    if (!header) {
+      header = cells.map((cell) => cell.toLowerCase());
+      if (!header.includes('address') || !header.includes('amount')) {
+        errors.push(`line ${line}: expected an "address,amount" header`);
+      }
+      return;
+    }
+    const address = cells[header.indexOf('address')];
+    const bytes = decodeBase58(address);
+    if (!bytes || bytes.length !== 32) {
+      errors.push(`line ${line}: "${address}" is not a Solana address`);
+      return;
+    }
+    if (seen.has(address)) {
+      errors.push(`line ${line}: ${address} is already listed on line ${seen.get(address)}`);
+      return;
+    }
+    let amount;
+    try {
+      amount = toBaseUnits(cells[header.indexOf('amount')] || '', decimals);
+    } catch (err) {
+      errors.push(`line ${line}: ${err.message}`);
+      return;
+    }
+    if (amount === 0n || amount > U64_MAX) {
+      errors.push(`line ${line}: the amount must be above zero and fit in a u64`);
+      return;
+    }
+    seen.set(address, line);
+    rows.push({ address, amount, line });
+  });
+  if (!header) errors.push('the file is empty');
+  else if (!rows.length && !errors.length) errors.push('no allocations found');
+  if (errors.length) throw new Error(`Invalid allocations:\n  ${errors.join('\n  ')}`);
+  return rows;
+}
+
+function isoDate(text, flag) {
+  if (text === undefined) return undefined;
+  const time = Date.parse(text);
+  if (Number.isNaN(time)) throw new Error(`${flag} is not a date: ${text}`);
+  return new Date(time).toISOString();
+}
+
+function build(csvPath, options) {
+  const contract = JSON.parse(fs.readFileSync(path.join(ROOT_DIR, 'data/contract.json'), 'utf8'));
+  const decimals = options.decimals !== undefined ? Number(options.decimals) : contract.decimals;
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > 18) throw new Error('--decimals must be an integer from 0 to 18');
+  const mint = options.mint || contract.mint;
+  if (!options.id || !/^[a-z0-9][a-z0-9-]*$/.test(options.id)) throw new Error('--id is required (lower case letters, digits and hyphens)');
+  if (!options.name) throw new Error('--name is required');
+
+  const rows = parseCsv(fs.readFileSync(csvPath, 'utf8'), decimals);
+  const leaves = rows.map((row, index) => leafHash(index, row.address, row.amount));
+  const { root, proofs } = buildTree(leaves);
+  const claims = {};
+  rows.forEach((row, index) => {
+    claims[row.address] = {
+      index,
+      amount: row.amount.toString(),
+      proof: proofs[index].map((hash) => hash.toString('hex')),
+    };
+  });
+  const campaign = {
+    id: options.id,
+    name: options.name,
+    description: options.description,
+    mint,
+    decimals,
+    claimStart: isoDate(options['claim-start'], '--claim-start'),
+    claimEnd: isoDate(options['claim-end'], '--claim-end'),
+    root: root.toString('hex'),
+    total: rows.reduce((sum, row) => sum + row.amount, 0n).toString(),
+    count: rows.length,
+    claims,
+  };
+  const out = options.out || path.join(ROOT_DIR, 'data/airdrops', `${options.id}.json`);
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, `${JSON.stringify(campaign, null, 2)}\n`);
+  console.log(`Wrote ${path.relative(process.cwd(), out)}`);
+  console.log(`  ${rows.length} allocations, ${campaign.total} base units in total`);
+  console.log(`  root ${campaign.root}`);
+  console.log('List it in data/airdrops.json and initialise the claim program with this root.');
+}
+
+// Rebuild the tree from the claims and check every proof against the root.
+function verify(campaignPath) {
+  const campaign = JSON.parse(fs.readFileSync(campaignPath, 'utf8'));
+  const entries = Object.entries(campaign.claims);
+  const leaves = [];
+  const problems = [];
+  entries.forEach(([address, claim]) => {
+    const bytes = decodeBase58(address);
+    if (!bytes || bytes.length !== 32) {
+      problems.push(`${address} is not a Solana address`);
+      return;
+    }
+    if (leaves[claim.index]) problems.push(`index ${claim.index} is used twice`);
+    const leaf = leafHash(claim.index, address, claim.amount);
+    leaves[claim.index] = leaf;
+    if (!verifyProof(leaf, claim.proof, campaign.root)) problems.push(`the proof for ${address} does not match the root`);
+  });
+  if (leaves.length !== entries.length || leaves.includes(undefined)) problems.push('the indices are not 0 to count − 1');
+  else if (buildTree(leaves).root.toString('hex') !== campaign.root) problems.push('the claims do not rebuild the root');
+  if (entries.length !== campaign.count) problems.push(`count is ${campaign.count} but there are ${entries.length} claims`);
+  const total = entries.reduce((sum, [, claim]) => sum + BigInt(claim.amount), 0n);
+  if (total.toString() !== campaign.total) problems.push(`total is ${campaign.total} but the claims add up to ${total}`);
+  if (problems.length) throw new Error(`${campaignPath} is not valid:\n  ${problems.join('\n  ')}`);
+  console.log(`${campaignPath}: ${entries.length} proofs match root ${campaign.root}`);
+}
+
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const [name, inline] = arg.slice(2).split(/=(.*)/s);
+      options[name] = inline !== undefined ? inline : argv[++i];
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { positional, options };
+}
+
+function main() {
+  const { positional: [command, file], options } = parseArgs(process.argv.slice(2));
+  if (command === 'build' && file) build(file, options);
+  else if (command === 'verify' && file) verify(file);
+  else {
+    console.error('Usage: node tools/airdrop-merkle.js build <allocations.csv> --id <id> --name <name> [options]');
+    console.error('       node tools/airdrop-merkle.js verify <campaign.json>');
+    process.exitCode = 2;
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,422 @@
+#!/usr/bin/env node
+// mascot-gltf.js – Build the rigged 3D mascot model (assets/mascot.glb)
+
+// js/mascot.js shows a rigged glTF model with Idle, Walk, Wave and Bonk
+// clips and a Head bone that turns towards the pointer
+// (GBonk.config.mascot).  Until an artist's model replaces it, this script
+// builds one from the same shapes and colours as the low‑poly stand‑in in
+// js/mascot.js, so the model path has a real rig to run on:
+//
+//   node tools/mascot-gltf.js [--out assets/mascot.glb]
+//
+// Every part is skinned rigidly to one bone:
+//
+//   Root ── Head, ArmL, ArmR, LegL, LegR, Tail
+//
+// and the clips animate those bones: Idle breathes and wags, Walk swings
+// the limbs and bobs, Wave raises the right arm and Bonk nods the head.
+// A replacement model only needs the same clip names and a Head bone (or
+// the names set in GBonk.config.mascot).  No dependencies beyond Node.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+// ---- Geometry -------------------------------------------------------------
+
+// A UV sphere of `radius`: { positions, normals, indices } as plain arrays.
+function sphere(radius, widthSegments, heightSegments) {
+  const positions = [];
+  const normals = [];
+  const indices = [];
+  for (let y = 0; y <= heightSegments; y++) {
+    const theta = (y / heightSegments) * Math.PI;
+    for (let x = 0; x <= widthSegments; x++) {
+      const phi = (x / widthSegments) * Math.PI * 2;
+      const n = [-Math.cos(phi) * Math.sin(theta), Math.cos(theta), Math.sin(phi) * Math.sin(theta)];
+      normals.push(...n);
+      positions.push(...n.map((v) => v * radius));
+    }
+  }
+  const row = widthSegments + 1;
+  for (let y = 0; y < heightSegments; y++) {
+    for (let x = 0; x < widthSegments; x++) {
+      const a = y * row + x;
+      const b = a + row;
+      if (y !== 0) indices.push(a, b, a + 1);
+      if (y !== heightSegments - 1) indices.push(a + 1, b, b + 1);
+    }
+  }
+  return { positions, normals, indices };
+}
+
+// A capped cylinder along y, centred on the origin (a cone when
+// radiusTop is 0).
+function cylinder(radiusTop, radiusBottom, height, segments) {
+  const positions = [];
+  const normals = [];
+  const indices = [];
+  const slope = (radiusBottom - radiusTop) / height;
+  for (let i = 0; i <= segments; i++) {
+    const angle = (i / segments) * Math.PI * 2;
+    const sin = Math.sin(angle);
+    const cos = Math.cos(angle);
+    const length = Math.hypot(1, slope);
+    [[radiusTop, height / 2], [radiusBottom, -height / 2]].forEach(([radius, y]) => {
+      positions.push(radius * sin, y, radius * cos);
+      normals.push(sin / length, slope / length, cos / length);
+    });
+  }
+  for (let i = 0; i < segments; i++) {
+    const a = i * 2;
+    indices.push(a, a + 1, a + 2, a + 2, a + 1, a + 3);
+  }
+  [[radiusTop, height / 2, 1], [radiusBottom, -height / 2, -1]].forEach(([radius, y, up]) => {
+    if (!radius) return;
+    const centre = positions.length / 3;
+    positions.push(0, y, 0);
+    normals.push(0, up, 0);
+    for (let i = 0; i <= segments; i++) {
+      const angle = (i / segments) * Math.PI * 2;
+      positions.push(radius * Math.sin(angle), y, radius * Math.cos(angle));
+      normals.push(0, up, 0);
+    }
+    for (let i = 0; i < segments; i++) {
+      const a = centre + 1 + i;
+      if (up > 0) indices.push(centre, a, a + 1);
+      else indices.push(centre, a + 1, a);
+    }
+  });
+  return { positions, normals, indices };
+}
+
+// Rotation matrix (rows) of Euler angles in Three.js's default XYZ order.
+function rotation([x, y, z]) {
+  const [a, b, c, d, e, f] = [Math.cos(x), Math.sin(x), Math.cos(y), Math.sin(y), Math.cos(z), Math.sin(z)];
+  return [
+    [c * e, -c * f, d],
+    [a * f + b * d * e, a * e - b * d * f, -b * c],
+    [b * f - a * d * e, b * e + a * d * f, a * c],
+  ];
+}
+
+function multiply(m, v) {
+  return m.map((rowOf) => rowOf[0] * v[0] + rowOf[1] * v[1] + rowOf[2] * v[2]);
+}
+
+// Scale, then rotate, then move a copy of `geometry`, as Three.js applies
+// an object's transform.
+function place(geometry, { position = [0, 0, 0], rotate = [0, 0, 0], scale = [1, 1, 1] } = {}) {
+  const m = rotation(rotate);
+  const positions = [];
+  const normals = [];
+  for (let i = 0; i < geometry.positions.length; i += 3) {
+    const p = multiply(m, [0, 1, 2].map((k) => geometry.positions[i + k] * scale[k]));
+    positions.push(...p.map((v, k) => v + position[k]));
+    const n = multiply(m, [0, 1, 2].map((k) => geometry.normals[i + k] / scale[k]));
+    const length = Math.hypot(...n) || 1;
+    normals.push(...n.map((v) => v / length));
+  }
+  return { positions, normals, indices: geometry.indices.slice() };
+}
+
+// ---- The mascot -----------------------------------------------------------
+
+// Bones, each with its parent and its position in the model.
+const BONES = [
+  { name: 'Root', parent: null, at: [0, 0, 0] },
+  { name: 'Head', parent: 'Root', at: [0, 1.5, 0] },
+  { name: 'ArmL', parent: 'Root', at: [-0.5, 0.3, 0] },
+  { name: 'ArmR', parent: 'Root', at: [0.5, 0.3, 0] },
+  { name: 'LegL', parent: 'Root', at: [-0.4, -0.45, 0] },
+  { name: 'LegR', parent: 'Root', at: [0.4, -0.45, 0] },
+  { name: 'Tail', parent: 'Root', at: [0, -0.2, -0.8] },
+];
+
+// A bone's position relative to its parent, as its node stores it.
+function restTranslation(bone) {
+  const parent = BONES.find((b) => b.name === bone.parent);
+  return bone.at.map((v, k) => v - (parent ? parent.at[k] : 0));
+}
+
+// Colours of js/mascot.js's stand‑in.  The helmet is see‑through.
+const MATERIALS = {
+  suit: { color: 0x0066aa },
+  fur: { color: 0xf5a623 },
+  muzzle: { color: 0xffd9b3 },
+  black: { color: 0x000000 },
+  white: { color: 0xffffff },
+  cheek: { color: 0xffc09e },
+  badge: { color: 0x004a7f },
+  gold: { color: 0xffd700 },
+  helmet: { color: 0xffffff, opacity: 0.1 },
+};
+
+// [bone, material, geometry in model space].
+function parts() {
+  const head = [0, 1.5, 0];
+  const onHead = (offset) => offset.map((v, k) => v + head[k]);
+  const list = [
+    ['Root', 'suit', place(sphere(1, 16, 12), { scale: [0.9, 1.2, 0.9] })],
+    // Rocket badge on the chest.
+    ['Root', 'badge', place(cylinder(0.16, 0.16, 0.02, 16), { position: [0, 0.3, 0.87], rotate: [Math.PI / 2, 0, 0] })],
+    ['Root', 'gold', place(cylinder(0.035, 0.035, 0.14, 8), { position: [0, 0.3, 0.92], rotate: [Math.PI / 2, 0, 0] })],
+    ['Root', 'gold', place(cylinder(0, 0.045, 0.08, 8), { position: [0, 0.3, 1.01], rotate: [Math.PI / 2, 0, 0] })],
+    ['Head', 'fur', place(sphere(0.7, 16, 12), { position: head })],
+    ['Head', 'muzzle', place(sphere(0.35, 12, 8), { position: onHead([0, -0.2, 0.45]) })],
+    ['Head', 'black', place(sphere(0.1, 8, 6), { position: onHead([0, -0.17, 0.63]) })],
+    ['Head', 'helmet', place(sphere(0.9, 16, 12), { position: head })],
+    ['ArmL', 'suit', place(cylinder(0.12, 0.12, 0.6, 10), { position: [-0.8, 0.3, 0], rotate: [0, 0, Math.PI / 2] })],
+    ['ArmR', 'suit', place(cylinder(0.12, 0.12, 0.6, 10), { position: [0.8, 0.3, 0], rotate: [0, 0, Math.PI / 2] })],
+    ['LegL', 'suit', place(cylinder(0.15, 0.15, 0.7, 10), { position: [-0.4, -0.8, 0] })],
+    ['LegR', 'suit', place(cylinder(0.15, 0.15, 0.7, 10), { position: [0.4, -0.8, 0] })],
+    // Up and back from its base.
+    ['Tail', 'fur', place(cylinder(0.05, 0.05, 0.8, 8), { position: [0, 0.15, -1.15], rotate: [-Math.PI / 3, 0, 0] })],
+  ];
+  [-1, 1].forEach((side) => {
+    list.push(
+      ['Head', 'white', place(sphere(0.15, 10, 8), { position: onHead([0.22 * side, 0, 0.52]) })],
+      ['Head', 'black', place(sphere(0.07, 8, 6), { position: onHead([0.22 * side, 0, 0.62]) })],
+      ['Head', 'white', place(sphere(0.03, 6, 4), { position: onHead([0.22 * side + 0.04, 0.04, 0.66]) })],
+      ['Head', 'cheek', place(sphere(0.14, 8, 6), { position: onHead([0.35 * side, -0.22, 0.55]) })],
+      ['Head', 'fur', place(cylinder(0, 0.2, 0.6, 10), {
+        position: onHead([0.35 * side, 0.55, 0]),
+        rotate: [Math.PI / 2.8, 0, -side * Math.PI / 9],
+      })],
+    );
+  });
+  return list;
+}
+
+// ---- Clips ----------------------------------------------------------------
+
+function axisAngle(axis, angle) {
+  const s = Math.sin(angle / 2);
+  return [axis[0] * s, axis[1] * s, axis[2] * s, Math.cos(angle / 2)];
+}
+
+const X = [1, 0, 0];
+const Y = [0, 1, 0];
+const Z = [0, 0, 1];
+
+// Each clip: a duration and, per bone, a rotation (axis and angle at time
+// t) or a translation (offset from the bone's rest position at t).
+// Looping clips end where they start.
+const CLIPS = {
+  Idle: {
+    duration: 2,
+    rotations: {
+      Head: [X, (t) => 0.06 * Math.sin(Math.PI * t)],
+      Tail: [Y, (t) => 0.4 * Math.sin(2 * Math.PI * t)],
+    },
+    translations: {
+      Root: (t) => [0, 0.03 * Math.sin(Math.PI * t), 0],
+    },
+  },
+  Walk: {
+    duration: 0.8,
+    rotations: {
+      ArmL: [X, (t) => 0.6 * Math.sin(2.5 * Math.PI * t)],
+      ArmR: [X, (t) => -0.6 * Math.sin(2.5 * Math.PI * t)],
+      LegL: [X, (t) => -0.6 * Math.sin(2.5 * Math.PI * t)],
+      LegR: [X, (t) => 0.6 * Math.sin(2.5 * Math.PI * t)],
+      Tail: [Y, (t) => 0.6 * Math.sin(5 * Math.PI * t)],
+      Head: [X, (t) => 0.05 * Math.sin(5 * Math.PI * t)],
+    },
+    translations: {
+      Root: (t) => [0, 0.06 * Math.abs(Math.sin(2.5 * Math.PI * t)), 0],
+    },
+  },
+  Wave: {
+    duration: 1.2,
+    rotations: {
+      // Raised over 0.2 s, waved, and lowered over the last 0.2 s.
+      ArmR: [Z, (t) => Math.min(1, t / 0.2, (1.2 - t) / 0.2) * (1 + 0.3 * Math.sin(14 * t))],
+      Head: [Z, (t) => -0.15 * Math.sin((Math.PI * t) / 1.2)],
+    },
+    translations: {},
+  },
+  Bonk: {
+    duration: 0.5,
+    rotations: {
+      Head: [X, (t) => 0.6 * Math.sin((Math.PI * t) / 0.5)],
+      Root: [X, (t) => 0.15 * Math.sin((Math.PI * t) / 0.5)],
+    },
+    translations: {},
+  },
+};
+
+// Keyframes per second of clip.
+const FRAME_RATE = 30;
+
+// ---- GLB ------------------------------------------------------------------
+
+// The sRGB colour as the linear factor glTF expects.
+function linear(channel) {
+  const c = channel / 255;
+  return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+}
+
+function build() {
+  const chunks = [];
+  let byteLength = 0;
+  const bufferViews = [];
+  const accessors = [];
+
+  // Add one accessor, in its own 4‑byte aligned buffer view.
+  function accessor(TypedArray, componentType, type, values, extra = {}) {
+    const data = Buffer.from(new TypedArray(values).buffer);
+    const padding = (4 - (data.length % 4)) % 4;
+    bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: data.length, ...(extra.target ? { target: extra.target } : {}) });
+    chunks.push(data, Buffer.alloc(padding));
+    byteLength += data.length + padding;
+    const size = { SCALAR: 1, VEC3: 3, VEC4: 4, MAT4: 16 }[type];
+    const entry = { bufferView: bufferViews.length - 1, componentType, count: values.length / size, type };
+    if (extra.bounds) {
+      entry.min = Array.from({ length: size }, (_, k) => Math.min(...values.filter((_, i) => i % size === k)));
+      entry.max = Array.from({ length: size }, (_, k) => Math.max(...values.filter((_, i) => i % size === k)));
+    }
+    accessors.push(entry);
+    return accessors.length - 1;
+  }
+  const FLOAT = 5126;
+  const UNSIGNED_BYTE = 5121;
+  const UNSIGNED_SHORT = 5123;
+  const ARRAY_BUFFER = 34962;
+  const ELEMENT_ARRAY_BUFFER = 34963;
+
+  const boneIndex = Object.fromEntries(BONES.map((bone, i) => [bone.name, i]));
+  // Node 0 is the skinned mesh; the bones follow.
+  const nodes = [{ name: 'Mascot', mesh: 0, skin: 0 }];
+  BONES.forEach((bone) => {
+    const node = { name: bone.name, translation: restTranslation(bone) };
+    const children = BONES.filter((b) => b.parent === bone.name).map((b) => 1 + boneIndex[b.name]);
+    if (children.length) node.children = children;
+    nodes.push(node);
+  });
+
+  const materialNames = Object.keys(MATERIALS);
+  const materials = materialNames.map((name) => {
+    const { color, opacity = 1 } = MATERIALS[name];
+    const material = {
+      name,
+      pbrMetallicRoughness: {
+        baseColorFactor: [(color >> 16) & 255, (color >> 8) & 255, color & 255].map(linear).concat(opacity),
+        metallicFactor: 0,
+        roughnessFactor: 0.7,
+      },
+    };
+    if (opacity < 1) Object.assign(material, { alphaMode: 'BLEND', doubleSided: true });
+    return material;
+  });
+
+  // One primitive per material, each vertex bound to its part's bone.
+  const byMaterial = new Map();
+  parts().forEach(([bone, material, geometry]) => {
+    if (!byMaterial.has(material)) byMaterial.set(material, { positions: [], normals: [], joints: [], indices: [] });
+    const merged = byMaterial.get(material);
+    const base = merged.positions.length / 3;
+    merged.positions.push(...geometry.positions);
+    merged.normals.push(...geometry.normals);
+    geometry.indices.forEach((i) => merged.indices.push(base + i));
+    for (let i = 0; i < geometry.positions.length / 3; i++) merged.joints.push(boneIndex[bone], 0, 0, 0);
+  });
+  const primitives = Array.from(byMaterial, ([material, merged]) => ({
+    attributes: {
+      POSITION: accessor(Float32Array, FLOAT, 'VEC3', merged.positions, { bounds: true, target: ARRAY_BUFFER }),
+      NORMAL: accessor(Float32Array, FLOAT, 'VEC3', merged.normals, { target: ARRAY_BUFFER }),
+      JOINTS_0: accessor(Uint8Array, UNSIGNED_BYTE, 'VEC4', merged.joints, { target: ARRAY_BUFFER }),
+      WEIGHTS_0: accessor(Float32Array, FLOAT, 'VEC4', merged.joints.map((_, i) => (i % 4 === 0 ? 1 : 0)), { target: ARRAY_BUFFER }),
+    },
+    indices: accessor(Uint16Array, UNSIGNED_SHORT, 'SCALAR', merged.indices, { target: ELEMENT_ARRAY_BUFFER }),
+    material: materialNames.indexOf(material),
+  }));
+
+  // The bones have no rotation at rest, so binding only undoes their
+  // position in the model.
+  const inverseBind = [];
+  BONES.forEach((bone) => inverseBind.push(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, -bone.at[0], -bone.at[1], -bone.at[2], 1));
+  const skin = {
+    joints: BONES.map((_, i) => i + 1),
+    skeleton: 1,
+    inverseBindMatrices: accessor(Float32Array, FLOAT, 'MAT4', inverseBind),
+  };
+
+  const animations = Object.entries(CLIPS).map(([name, clip]) => {
+    const frames = Math.round(clip.duration * FRAME_RATE);
+    const times = Array.from({ length: frames + 1 }, (_, i) => (i / frames) * clip.duration);
+    const input = accessor(Float32Array, FLOAT, 'SCALAR', times, { bounds: true });
+    const samplers = [];
+    const channels = [];
+    const add = (bone, pathName, values) => {
+      samplers.push({ input, output: accessor(Float32Array, FLOAT, pathName === 'rotation' ? 'VEC4' : 'VEC3', values), interpolation: 'LINEAR' });
+      channels.push({ sampler: samplers.length - 1, target: { node: 1 + boneIndex[bone], path: pathName } });
+    };
+    Object.entries(clip.rotations).forEach(([bone, [axis, angle]]) => {
+      add(bone, 'rotation', times.flatMap((t) => axisAngle(axis, angle(t))));
+    });
+    Object.entries(clip.translations).forEach(([bone, offset]) => {
+      const rest = restTranslation(BONES[boneIndex[bone]]);
+      add(bone, 'translation', times.flatMap((t) => offset(t).map((v, k) => rest[k] + v)));
+    });
+    return { name, samplers, channels };
+  });
+
+  const json = {
+    asset: { version: '2.0', generator: 'GalacticBonk tools/mascot-gltf.js' },
+    scene: 0,
+    scenes: [{ name: 'Mascot', nodes: [0, 1] }],
+    nodes,
+    meshes: [{ name: 'Mascot', primitives }],
+    materials,
+    skins: [skin],
+    animations,
+    accessors,
+    bufferViews,
+    buffers: [{ byteLength }],
+  };
+
+  // GLB: header, then the JSON and binary chunks, each padded to 4 bytes.
+  const jsonBytes = Buffer.from(JSON.stringify(json));
+  const jsonChunk = Buffer.concat([jsonBytes, Buffer.alloc((4 - (jsonBytes.length % 4)) % 4, 0x20)]);
+  const binChunk = Buffer.concat(chunks);
+  const header = Buffer.alloc(12);
+  header.writeUInt32LE(0x46546c67, 0);
+  header.writeUInt32LE(2, 4);
+  header.writeUInt32LE(12 + 8 + jsonChunk.length + 8 + binChunk.length, 8);
+  const chunkHeader = (length, type) => {
+    const bytes = Buffer.alloc(8);
+    bytes.writeUInt32LE(length, 0);
+    bytes.writeUInt32LE(type, 4);
+    return bytes;
+  };
+  return Buffer.concat([
+    header,
+    chunkHeader(jsonChunk.length, 0x4e4f534a), jsonChunk,
+    chunkHeader(binChunk.length, 0x004e4942), binChunk,
+  ]);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const outIndex = args.indexOf('--out');
+  const out = outIndex >= 0 ? args[outIndex + 1] : path.join(ROOT_DIR, 'assets/mascot.glb');
+  if (!out) {
+    console.error('Usage: node tools/mascot-gltf.js [--out assets/mascot.glb]');
+    process.exitCode = 2;
+    return;
+  }
+  const glb = build();
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, glb);
+  console.log(`Wrote ${path.relative(process.cwd(), out)} (${glb.length} bytes)`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+}